@@ -0,0 +1,1340 @@
+/// <reference types="node" />
+
+import { URL } from 'url';
+import { Readable, Transform, Writable } from 'stream';
+import { EventEmitter } from 'events';
+
+export = aeriesjs;
+
+declare class aeriesjs extends EventEmitter {
+    /**
+     * aeriesjs
+     * @param options The options for the api.
+     */
+    constructor(options?: aeriesjs.InitOptions);
+
+    on(event: 'request' | 'response' | 'retry' | 'error', listener: (event: aeriesjs.ApiEvent) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+
+    options: aeriesjs.InitOptions;
+
+    /** Gets the currently configured Aeries API Certificate. */
+    readonly certificate: aeriesjs.Certificate | null;
+    /** Gets the currently configured Aeries Url. */
+    readonly url: string | null;
+    /** Sends the HTTP requests of this client. */
+    transport: aeriesjs.Transport;
+    /** The request pipeline of this client, in order. */
+    middleware: aeriesjs.Middleware[];
+    metrics: aeriesjs.MetricsCollector | null;
+    logger: aeriesjs.LogAdapter | null;
+
+    setCertificate(certificate: aeriesjs.Certificate): void;
+    setUrl(url: string): void;
+
+    /**
+     * Builds an Aeries API Endpoint URL.
+     * @param apiVersion The version of the API for the endpoint.
+     * @param args The Aeries Endpoint you wish to get a URL for, e.g. schools, schools/100
+     */
+    makeApiUrl(apiVersion: string | null, ...args: Array<string | number | null | undefined>): URL;
+
+    /** Adds a step to the request pipeline of this client, after any already added. */
+    use(middleware: aeriesjs.Middleware): this;
+
+    /** Gets a view of this client that applies the given call options to every API call made through it. */
+    withOptions(callOptions: aeriesjs.CallOptions): this;
+
+    /** Make an API call to Aeries. */
+    makeApiCall<T = any>(url: URL, callback: aeriesjs.ApiCallback<T>): void;
+    makeApiCall<T = any>(url: URL, callOptions: aeriesjs.CallOptions | null, callback: aeriesjs.ApiCallback<T>): void;
+    makeApiCall<T = any>(url: URL, callOptions?: aeriesjs.CallOptions | null): Promise<aeriesjs.ApiResult<T>>;
+
+    /** Make an API call to Aeries and stream the records of the response as they are parsed. */
+    makeApiStream(url: URL, callOptions?: aeriesjs.CallOptions | null): Readable;
+
+    /** Removes cached responses for a url, an endpoint template pattern, or everything. */
+    invalidateCache(target?: URL | string): Promise<void>;
+
+    /** Creates a change sync, which incrementally fetches the records that changed in Aeries since the last checkpoint. */
+    createChangeSync(options?: aeriesjs.SyncOptions): aeriesjs.ChangeSync;
+
+    // Queries
+
+    /** Starts a query at an API path, e.g. query('v3', 'schools', 994, 'students'). */
+    query(apiVersion: string, ...segments: Array<string | number | null | undefined>): aeriesjs.AeriesQuery;
+    /** Starts a query for a school, e.g. school(994).students().grade(9).extended(). */
+    school(schoolCode: number): aeriesjs.AeriesQuery;
+    staff(staffId: number): aeriesjs.AeriesQuery;
+    courses(courseId?: string): aeriesjs.AeriesQuery;
+
+    // Schools
+
+    getSchools(callback: aeriesjs.ApiCallback<aeriesjs.School[]>): void;
+    getSchools(): Promise<aeriesjs.ApiResult<aeriesjs.School[]>>;
+
+    getSchool(schoolCode: number, callback: aeriesjs.ApiCallback<aeriesjs.School>): void;
+    getSchool(schoolCode: number): Promise<aeriesjs.ApiResult<aeriesjs.School>>;
+
+    getSchoolTerms(schoolCode: number, callback: aeriesjs.ApiCallback<aeriesjs.Term[]>): void;
+    getSchoolTerms(schoolCode: number): Promise<aeriesjs.ApiResult<aeriesjs.Term[]>>;
+
+    getSchoolCalendar(schoolCode: number, callback: aeriesjs.ApiCallback<aeriesjs.CalendarDay[]>): void;
+    getSchoolCalendar(schoolCode: number): Promise<aeriesjs.ApiResult<aeriesjs.CalendarDay[]>>;
+
+    getSchoolBellSchedule(schoolCode: number, callback: aeriesjs.ApiCallback<aeriesjs.BellSchedule[]>): void;
+    getSchoolBellSchedule(schoolCode: number, day: number | null, callback: aeriesjs.ApiCallback<aeriesjs.BellSchedule[]>): void;
+    getSchoolBellSchedule(schoolCode: number, day?: number | null): Promise<aeriesjs.ApiResult<aeriesjs.BellSchedule[]>>;
+
+    getSchoolAbsenceCodes(schoolCode: number, callback: aeriesjs.ApiCallback<aeriesjs.AbsenceCode[]>): void;
+    getSchoolAbsenceCodes(schoolCode: number, code: string | null, callback: aeriesjs.ApiCallback<aeriesjs.AbsenceCode[]>): void;
+    getSchoolAbsenceCodes(schoolCode: number, code?: string | null): Promise<aeriesjs.ApiResult<aeriesjs.AbsenceCode[]>>;
+
+    getCodes(table: string, field: string, callback: aeriesjs.ApiCallback<aeriesjs.Code[]>): void;
+    getCodes(table: string, field: string): Promise<aeriesjs.ApiResult<aeriesjs.Code[]>>;
+
+    // Students
+
+    getStudents(schoolCode: number, callback: aeriesjs.ApiCallback<aeriesjs.Student[]>): void;
+    getStudents(schoolCode: number): Promise<aeriesjs.ApiResult<aeriesjs.Student[]>>;
+    streamStudents(schoolCode: number): Readable;
+
+    getStudentsInGrade(schoolCode: number, grade: number, callback: aeriesjs.ApiCallback<aeriesjs.Student[]>): void;
+    getStudentsInGrade(schoolCode: number, grade: number): Promise<aeriesjs.ApiResult<aeriesjs.Student[]>>;
+
+    getStudentByNumber(schoolCode: number, studentNumber: number, callback: aeriesjs.ApiCallback<aeriesjs.Student[]>): void;
+    getStudentByNumber(schoolCode: number, studentNumber: number): Promise<aeriesjs.ApiResult<aeriesjs.Student[]>>;
+
+    getStudentById(schoolCode: number, studentId: number, callback: aeriesjs.ApiCallback<aeriesjs.Student[]>): void;
+    getStudentById(schoolCode: number, studentId: number): Promise<aeriesjs.ApiResult<aeriesjs.Student[]>>;
+
+    getStudentByIdExtended(schoolCode: number, studentId: number, callback: aeriesjs.ApiCallback<aeriesjs.StudentExtended[]>): void;
+    getStudentByIdExtended(schoolCode: number, studentId: number): Promise<aeriesjs.ApiResult<aeriesjs.StudentExtended[]>>;
+
+    getStudentsInGradeExtended(schoolCode: number, grade: number, callback: aeriesjs.ApiCallback<aeriesjs.StudentExtended[]>): void;
+    getStudentsInGradeExtended(schoolCode: number, grade: number): Promise<aeriesjs.ApiResult<aeriesjs.StudentExtended[]>>;
+    streamStudentsInGradeExtended(schoolCode: number, grade: number): Readable;
+
+    getStudentByNumberExtended(schoolCode: number, studentNumber: number, callback: aeriesjs.ApiCallback<aeriesjs.StudentExtended[]>): void;
+    getStudentByNumberExtended(schoolCode: number, studentNumber: number): Promise<aeriesjs.ApiResult<aeriesjs.StudentExtended[]>>;
+
+    getStudentDataChanges(dataArea: string, year: number, month: number, day: number, hour: number, minute: number, callback: aeriesjs.ApiCallback<aeriesjs.StudentDataChange[]>): void;
+    getStudentDataChanges(dataArea: string, year: number, month: number, day: number, hour: number, minute: number): Promise<aeriesjs.ApiResult<aeriesjs.StudentDataChange[]>>;
+
+    getContacts(schoolCode: number, callback: aeriesjs.ApiCallback<aeriesjs.Contact[]>): void;
+    getContacts(schoolCode: number): Promise<aeriesjs.ApiResult<aeriesjs.Contact[]>>;
+    streamContacts(schoolCode: number): Readable;
+
+    getContactsById(schoolCode: number, studentId: number, callback: aeriesjs.ApiCallback<aeriesjs.Contact[]>): void;
+    getContactsById(schoolCode: number, studentId: number): Promise<aeriesjs.ApiResult<aeriesjs.Contact[]>>;
+
+    updateContacts(schoolCode: number, studentId: number, contacts: Array<Partial<aeriesjs.Contact>>, callback: aeriesjs.ApiCallback): void;
+    updateContacts(schoolCode: number, studentId: number, contacts: Array<Partial<aeriesjs.Contact>>): Promise<aeriesjs.ApiResult>;
+
+    getProgramsById(schoolCode: number, studentId: number, callback: aeriesjs.ApiCallback<aeriesjs.Program[]>): void;
+    getProgramsById(schoolCode: number, studentId: number, code: number | string | null, callback: aeriesjs.ApiCallback<aeriesjs.Program[]>): void;
+    getProgramsById(schoolCode: number, studentId: number, code?: number | string | null): Promise<aeriesjs.ApiResult<aeriesjs.Program[]>>;
+
+    updateProgramsById(schoolCode: number, studentId: number, programs: Array<Partial<aeriesjs.Program>>, callback: aeriesjs.ApiCallback): void;
+    updateProgramsById(schoolCode: number, studentId: number, programs: Array<Partial<aeriesjs.Program>>): Promise<aeriesjs.ApiResult>;
+
+    getTestsById(studentId: number, callback: aeriesjs.ApiCallback<aeriesjs.TestScore[]>): void;
+    getTestsById(studentId: number): Promise<aeriesjs.ApiResult<aeriesjs.TestScore[]>>;
+
+    getCollegeTestsById(schoolCode: number, callback: aeriesjs.ApiCallback<aeriesjs.TestScore[]>): void;
+    getCollegeTestsById(schoolCode: number, studentId: number | null, callback: aeriesjs.ApiCallback<aeriesjs.TestScore[]>): void;
+    getCollegeTestsById(schoolCode: number, studentId?: number | null): Promise<aeriesjs.ApiResult<aeriesjs.TestScore[]>>;
+
+    getAssertiveDisciplineById(schoolCode: number, callback: aeriesjs.ApiCallback<aeriesjs.Discipline[]>): void;
+    getAssertiveDisciplineById(schoolCode: number, studentId: number | null, callback: aeriesjs.ApiCallback<aeriesjs.Discipline[]>): void;
+    getAssertiveDisciplineById(schoolCode: number, studentId?: number | null): Promise<aeriesjs.ApiResult<aeriesjs.Discipline[]>>;
+
+    getDistrictSupplementalById(schoolCode: number, callback: aeriesjs.ApiCallback<aeriesjs.AeriesRecord[]>): void;
+    getDistrictSupplementalById(schoolCode: number, studentId: number | null, callback: aeriesjs.ApiCallback<aeriesjs.AeriesRecord[]>): void;
+    getDistrictSupplementalById(schoolCode: number, studentId?: number | null): Promise<aeriesjs.ApiResult<aeriesjs.AeriesRecord[]>>;
+
+    getFeesAndFinesById(schoolCode: number, callback: aeriesjs.ApiCallback<aeriesjs.Fee[]>): void;
+    getFeesAndFinesById(schoolCode: number, studentId: number | null, callback: aeriesjs.ApiCallback<aeriesjs.Fee[]>): void;
+    getFeesAndFinesById(schoolCode: number, studentId?: number | null): Promise<aeriesjs.ApiResult<aeriesjs.Fee[]>>;
+
+    getStudentPictureById(schoolCode: number, callback: aeriesjs.ApiCallback<aeriesjs.StudentPicture[]>): void;
+    getStudentPictureById(schoolCode: number, studentId: number | null, callback: aeriesjs.ApiCallback<aeriesjs.StudentPicture[]>): void;
+    getStudentPictureById(schoolCode: number, studentId?: number | null): Promise<aeriesjs.ApiResult<aeriesjs.StudentPicture[]>>;
+
+    getStudentGroups(callback: aeriesjs.ApiCallback<aeriesjs.StudentGroup[]>): void;
+    getStudentGroups(schoolCode: number | 'all' | null, callback: aeriesjs.ApiCallback<aeriesjs.StudentGroup[]>): void;
+    getStudentGroups(schoolCode?: number | 'all' | null): Promise<aeriesjs.ApiResult<aeriesjs.StudentGroup[]>>;
+
+    getStudentEnrollment(callback: aeriesjs.ApiCallback<aeriesjs.Enrollment[]>): void;
+    getStudentEnrollment(studentId: number | null, callback: aeriesjs.ApiCallback<aeriesjs.Enrollment[]>): void;
+    getStudentEnrollment(studentId?: number | null): Promise<aeriesjs.ApiResult<aeriesjs.Enrollment[]>>;
+
+    getStudentEnrollmentAtSchool(schoolCode: number, callback: aeriesjs.ApiCallback<aeriesjs.Enrollment[]>): void;
+    getStudentEnrollmentAtSchool(schoolCode: number, studentId: number | null, callback: aeriesjs.ApiCallback<aeriesjs.Enrollment[]>): void;
+    getStudentEnrollmentAtSchool(schoolCode: number, studentId?: number | null): Promise<aeriesjs.ApiResult<aeriesjs.Enrollment[]>>;
+
+    getStudentEnrollmentByYear(schoolCode: number, studentId: number | null, year: number, callback: aeriesjs.ApiCallback<aeriesjs.Enrollment[]>): void;
+    getStudentEnrollmentByYear(schoolCode: number, studentId: number | null, year: number): Promise<aeriesjs.ApiResult<aeriesjs.Enrollment[]>>;
+
+    // Attendance
+
+    getAttendance(schoolCode: number, callback: aeriesjs.ApiCallback<aeriesjs.Attendance[]>): void;
+    getAttendance(schoolCode: number, studentId: number | null, callback: aeriesjs.ApiCallback<aeriesjs.Attendance[]>): void;
+    getAttendance(schoolCode: number, studentId?: number | null): Promise<aeriesjs.ApiResult<aeriesjs.Attendance[]>>;
+    streamAttendance(schoolCode: number, studentId?: number | null): Readable;
+
+    getAttendanceByDateRange(schoolCode: number, startDate: string, endDate: string, callback: aeriesjs.ApiCallback<aeriesjs.Attendance[]>): void;
+    getAttendanceByDateRange(schoolCode: number, startDate: string, endDate: string, studentId: number | null, callback: aeriesjs.ApiCallback<aeriesjs.Attendance[]>): void;
+    getAttendanceByDateRange(schoolCode: number, startDate: string, endDate: string, studentId?: number | null): Promise<aeriesjs.ApiResult<aeriesjs.Attendance[]>>;
+
+    getAttendanceHistory(schoolCode: number, callback: aeriesjs.ApiCallback<aeriesjs.AttendanceHistory[]>): void;
+    getAttendanceHistory(schoolCode: number, studentId: number | null, callback: aeriesjs.ApiCallback<aeriesjs.AttendanceHistory[]>): void;
+    getAttendanceHistory(schoolCode: number, studentId?: number | null): Promise<aeriesjs.ApiResult<aeriesjs.AttendanceHistory[]>>;
+
+    getAttendanceHistoryByYear(schoolCode: number, year: string, callback: aeriesjs.ApiCallback<aeriesjs.AttendanceHistory[]>): void;
+    getAttendanceHistoryByYear(schoolCode: number, year: string): Promise<aeriesjs.ApiResult<aeriesjs.AttendanceHistory[]>>;
+
+    fetchAttendanceData(schoolCode: number, options?: aeriesjs.AttendanceOptions): Promise<aeriesjs.AttendanceData>;
+    getAttendanceSummary(schoolCode: number, options?: aeriesjs.AttendanceOptions, data?: aeriesjs.AttendanceData): Promise<aeriesjs.AttendanceSummary>;
+
+    // Grades
+
+    getStudentGrades(schoolCode: number, callback: aeriesjs.ApiCallback<aeriesjs.Gpa[]>): void;
+    getStudentGrades(schoolCode: number, studentId: number | null, callback: aeriesjs.ApiCallback<aeriesjs.Gpa[]>): void;
+    getStudentGrades(schoolCode: number, studentId?: number | null): Promise<aeriesjs.ApiResult<aeriesjs.Gpa[]>>;
+
+    getReportCards(schoolCode: number, callback: aeriesjs.ApiCallback<aeriesjs.ReportCard[]>): void;
+    getReportCards(schoolCode: number, studentId: number | null, callback: aeriesjs.ApiCallback<aeriesjs.ReportCard[]>): void;
+    getReportCards(schoolCode: number, studentId?: number | null): Promise<aeriesjs.ApiResult<aeriesjs.ReportCard[]>>;
+
+    getReportCardMarkingPeriods(schoolCode: number, callback: aeriesjs.ApiCallback<aeriesjs.MarkingPeriod[]>): void;
+    getReportCardMarkingPeriods(schoolCode: number): Promise<aeriesjs.ApiResult<aeriesjs.MarkingPeriod[]>>;
+
+    getGraduationRequirements(schoolCode: number, callback: aeriesjs.ApiCallback<aeriesjs.AeriesRecord[]>): void;
+    getGraduationRequirements(schoolCode: number): Promise<aeriesjs.ApiResult<aeriesjs.AeriesRecord[]>>;
+
+    getGraduationSummary(schoolCode: number, callback: aeriesjs.ApiCallback<aeriesjs.AeriesRecord[]>): void;
+    getGraduationSummary(schoolCode: number, studentId: number | null, callback: aeriesjs.ApiCallback<aeriesjs.AeriesRecord[]>): void;
+    getGraduationSummary(schoolCode: number, studentId?: number | null): Promise<aeriesjs.ApiResult<aeriesjs.AeriesRecord[]>>;
+
+    getGraduationSummaryByGrade(schoolCode: number, grade: number, callback: aeriesjs.ApiCallback<aeriesjs.AeriesRecord[]>): void;
+    getGraduationSummaryByGrade(schoolCode: number, grade: number): Promise<aeriesjs.ApiResult<aeriesjs.AeriesRecord[]>>;
+
+    getTranscript(schoolCode: number, callback: aeriesjs.ApiCallback<aeriesjs.TranscriptCourse[]>): void;
+    getTranscript(schoolCode: number, studentId: number | null, callback: aeriesjs.ApiCallback<aeriesjs.TranscriptCourse[]>): void;
+    getTranscript(schoolCode: number, studentId?: number | null): Promise<aeriesjs.ApiResult<aeriesjs.TranscriptCourse[]>>;
+    streamTranscript(schoolCode: number, studentId?: number | null): Readable;
+
+    // Scheduling
+
+    getClassSchedule(schoolCode: number, callback: aeriesjs.ApiCallback<aeriesjs.ClassSchedule[]>): void;
+    getClassSchedule(schoolCode: number, studentId: number | null, callback: aeriesjs.ApiCallback<aeriesjs.ClassSchedule[]>): void;
+    getClassSchedule(schoolCode: number, studentId?: number | null): Promise<aeriesjs.ApiResult<aeriesjs.ClassSchedule[]>>;
+
+    getCourseDetails(callback: aeriesjs.ApiCallback<aeriesjs.Course[]>): void;
+    getCourseDetails(courseId: string | null, callback: aeriesjs.ApiCallback<aeriesjs.Course | aeriesjs.Course[]>): void;
+    getCourseDetails(courseId?: string | null): Promise<aeriesjs.ApiResult<aeriesjs.Course | aeriesjs.Course[]>>;
+
+    getCourseDataChanges(year: number, month: number, day: number, hour: number, minute: number, callback: aeriesjs.ApiCallback<aeriesjs.CourseDataChange[]>): void;
+    getCourseDataChanges(year: number, month: number, day: number, hour: number, minute: number): Promise<aeriesjs.ApiResult<aeriesjs.CourseDataChange[]>>;
+
+    getStaffDetails(callback: aeriesjs.ApiCallback<aeriesjs.Staff[]>): void;
+    getStaffDetails(staffId: number | null, callback: aeriesjs.ApiCallback<aeriesjs.Staff[]>): void;
+    getStaffDetails(staffId?: number | null): Promise<aeriesjs.ApiResult<aeriesjs.Staff[]>>;
+
+    getStaffDataChanges(year: number, month: number, day: number, hour: number, minute: number, callback: aeriesjs.ApiCallback<aeriesjs.StaffDataChange[]>): void;
+    getStaffDataChanges(year: number, month: number, day: number, hour: number, minute: number): Promise<aeriesjs.ApiResult<aeriesjs.StaffDataChange[]>>;
+
+    getTeachers(schoolCode: number, callback: aeriesjs.ApiCallback<aeriesjs.Teacher[]>): void;
+    getTeachers(schoolCode: number, teacherId: number | null, callback: aeriesjs.ApiCallback<aeriesjs.Teacher[]>): void;
+    getTeachers(schoolCode: number, teacherId?: number | null): Promise<aeriesjs.ApiResult<aeriesjs.Teacher[]>>;
+
+    getStaffTeachers(schoolCode: number | null, staffId: number, callback: aeriesjs.ApiCallback<aeriesjs.Teacher[]>): void;
+    getStaffTeachers(schoolCode: number | null, staffId: number): Promise<aeriesjs.ApiResult<aeriesjs.Teacher[]>>;
+
+    getSection(schoolCode: number, callback: aeriesjs.ApiCallback<aeriesjs.Section[]>): void;
+    getSection(schoolCode: number, sectionNumber: number | null, callback: aeriesjs.ApiCallback<aeriesjs.Section[]>): void;
+    getSection(schoolCode: number, sectionNumber?: number | null): Promise<aeriesjs.ApiResult<aeriesjs.Section[]>>;
+
+    getSectionDataChanges(year: number, month: number, day: number, hour: number, minute: number, callback: aeriesjs.ApiCallback<aeriesjs.SectionDataChange[]>): void;
+    getSectionDataChanges(year: number, month: number, day: number, hour: number, minute: number): Promise<aeriesjs.ApiResult<aeriesjs.SectionDataChange[]>>;
+
+    getClassRoster(schoolCode: number, sectionNumber: number, callback: aeriesjs.ApiCallback<aeriesjs.RosterStudent[]>): void;
+    getClassRoster(schoolCode: number, sectionNumber: number): Promise<aeriesjs.ApiResult<aeriesjs.RosterStudent[]>>;
+
+    getClassRosterChanges(year: number, month: number, day: number, hour: number, minute: number, callback: aeriesjs.ApiCallback<aeriesjs.SectionDataChange[]>): void;
+    getClassRosterChanges(year: number, month: number, day: number, hour: number, minute: number): Promise<aeriesjs.ApiResult<aeriesjs.SectionDataChange[]>>;
+
+    // Gradebooks
+
+    getGradebookByStaffId(staffId: number, callback: aeriesjs.ApiCallback<aeriesjs.Gradebook[]>): void;
+    getGradebookByStaffId(staffId: number): Promise<aeriesjs.ApiResult<aeriesjs.Gradebook[]>>;
+
+    getGradebookBySection(schoolCode: number, sectionNumber: number, callback: aeriesjs.ApiCallback<aeriesjs.Gradebook[]>): void;
+    getGradebookBySection(schoolCode: number, sectionNumber: number): Promise<aeriesjs.ApiResult<aeriesjs.Gradebook[]>>;
+
+    getGradebookById(gradebookId: number, callback: aeriesjs.ApiCallback<aeriesjs.Gradebook>): void;
+    getGradebookById(gradebookId: number): Promise<aeriesjs.ApiResult<aeriesjs.Gradebook>>;
+
+    getGradebookAssignments(gradebookId: number, callback: aeriesjs.ApiCallback<aeriesjs.Assignment[]>): void;
+    getGradebookAssignments(gradebookId: number, assignmentId: number | null, callback: aeriesjs.ApiCallback<aeriesjs.Assignment[]>): void;
+    getGradebookAssignments(gradebookId: number, assignmentId?: number | null): Promise<aeriesjs.ApiResult<aeriesjs.Assignment[]>>;
+
+    createGradebookAssignment(gradebookId: number, assignment: Partial<aeriesjs.Assignment>, callback: aeriesjs.ApiCallback): void;
+    createGradebookAssignment(gradebookId: number, assignment: Partial<aeriesjs.Assignment>): Promise<aeriesjs.ApiResult>;
+
+    updateGradebookAssignment(gradebookId: number, assignmentId: number, assignment: Partial<aeriesjs.Assignment>, callback: aeriesjs.ApiCallback): void;
+    updateGradebookAssignment(gradebookId: number, assignmentId: number, assignment: Partial<aeriesjs.Assignment>): Promise<aeriesjs.ApiResult>;
+
+    deleteGradebookAssignment(gradebookId: number, assignmentId: number, callback: aeriesjs.ApiCallback): void;
+    deleteGradebookAssignment(gradebookId: number, assignmentId: number): Promise<aeriesjs.ApiResult>;
+
+    getGradebookAssugnmentByUniqueId(uniqueId: number, callback: aeriesjs.ApiCallback<aeriesjs.Assignment>): void;
+    getGradebookAssugnmentByUniqueId(uniqueId: number): Promise<aeriesjs.ApiResult<aeriesjs.Assignment>>;
+
+    getGradebookFinalMarks(gradebookId: number, callback: aeriesjs.ApiCallback<aeriesjs.AeriesRecord[]>): void;
+    getGradebookFinalMarks(gradebookId: number): Promise<aeriesjs.ApiResult<aeriesjs.AeriesRecord[]>>;
+
+    getGradebookStudentInfo(gradebookId: number, gradebookTerm: string, callback: aeriesjs.ApiCallback<aeriesjs.AeriesRecord[]>): void;
+    getGradebookStudentInfo(gradebookId: number, gradebookTerm: string, studentId: number | null, callback: aeriesjs.ApiCallback<aeriesjs.AeriesRecord[]>): void;
+    getGradebookStudentInfo(gradebookId: number, gradebookTerm: string, studentId?: number | null): Promise<aeriesjs.ApiResult<aeriesjs.AeriesRecord[]>>;
+
+    getGradebookAssignmentScores(gradebookId: number, assignmentId: number, callback: aeriesjs.ApiCallback<aeriesjs.Score[]>): void;
+    getGradebookAssignmentScores(gradebookId: number, assignmentId: number, studentId: number | null, callback: aeriesjs.ApiCallback<aeriesjs.Score[]>): void;
+    getGradebookAssignmentScores(gradebookId: number, assignmentId: number, studentId?: number | null): Promise<aeriesjs.ApiResult<aeriesjs.Score[]>>;
+
+    updateGradebookAssignmentScores(gradebookId: number, assignmentId: number, scores: Array<Partial<aeriesjs.Score>>, callback: aeriesjs.ApiCallback): void;
+    updateGradebookAssignmentScores(gradebookId: number, assignmentId: number, scores: Array<Partial<aeriesjs.Score>>): Promise<aeriesjs.ApiResult>;
+
+    getGradebookAssignmentScoresByUniqueId(uniqueId: number, callback: aeriesjs.ApiCallback<aeriesjs.Score[]>): void;
+    getGradebookAssignmentScoresByUniqueId(uniqueId: number, studentId: number | null, callback: aeriesjs.ApiCallback<aeriesjs.Score[]>): void;
+    getGradebookAssignmentScoresByUniqueId(uniqueId: number, studentId?: number | null): Promise<aeriesjs.ApiResult<aeriesjs.Score[]>>;
+
+    updateGradebookAssignmentScoresByUniqueId(uniqueId: number, scores: Array<Partial<aeriesjs.Score>>, callback: aeriesjs.ApiCallback): void;
+    updateGradebookAssignmentScoresByUniqueId(uniqueId: number, scores: Array<Partial<aeriesjs.Score>>): Promise<aeriesjs.ApiResult>;
+
+    // District wide calls
+
+    forEachSchool<T = aeriesjs.AeriesRecord>(fn: (schoolCode: number) => Promise<aeriesjs.ApiResult<T | T[]>>, options?: aeriesjs.DistrictOptions): Promise<aeriesjs.DistrictResult<T>>;
+    getDistrictStudents(options?: aeriesjs.DistrictOptions): Promise<aeriesjs.DistrictResult<aeriesjs.Student>>;
+    getDistrictContacts(options?: aeriesjs.DistrictOptions): Promise<aeriesjs.DistrictResult<aeriesjs.Contact>>;
+    getDistrictAttendance(options?: aeriesjs.DistrictOptions): Promise<aeriesjs.DistrictResult<aeriesjs.Attendance>>;
+    getDistrictTeachers(options?: aeriesjs.DistrictOptions): Promise<aeriesjs.DistrictResult<aeriesjs.Teacher>>;
+    getDistrictSections(options?: aeriesjs.DistrictOptions): Promise<aeriesjs.DistrictResult<aeriesjs.Section>>;
+
+    // Export
+
+    /** Exports records to a file or stream as csv, tsv or ndjson. */
+    exportRecords(source: aeriesjs.ExportSource, destination: string | Writable, options?: aeriesjs.ExportOptions): Promise<{ count: number }>;
+
+    // Rosters
+
+    /** Fetches the schools, terms, courses, sections, rosters, teachers and students the roster exports are built from. */
+    fetchRosterData(options?: aeriesjs.RosterOptions): Promise<aeriesjs.RosterData>;
+    /** Builds a OneRoster 1.1 bundle. */
+    getOneRoster(options?: aeriesjs.RosterOptions & aeriesjs.OneRosterOptions, data?: aeriesjs.RosterData): Promise<aeriesjs.OneRosterBundle>;
+    /** Writes the roster files of an export profile, e.g. clever or oneroster. */
+    exportProfile(profile: string | aeriesjs.ExportProfile, directory: string, options?: aeriesjs.RosterOptions & { [option: string]: any }, data?: aeriesjs.RosterData): Promise<string[]>;
+}
+
+declare namespace aeriesjs {
+
+    // Certificates
+
+    interface CredentialProvider {
+        /** Gets the certificate. refresh is true after a 401, to read it again instead of using a kept one. */
+        getCertificate(refresh: boolean): Promise<string>;
+    }
+
+    /** A certificate, or where to read it for each request. */
+    type Certificate = string | CredentialProvider | (() => string | Promise<string>) | { env: string } | { file: string };
+
+    class EnvCredentials implements CredentialProvider {
+        constructor(name?: string, env?: { [name: string]: string | undefined });
+        getCertificate(): Promise<string>;
+    }
+
+    class FileCredentials implements CredentialProvider {
+        constructor(file: string);
+        getCertificate(refresh?: boolean): Promise<string>;
+    }
+
+    class FunctionCredentials implements CredentialProvider {
+        constructor(fn: () => string | Promise<string>, options?: { maxAge?: number });
+        getCertificate(refresh?: boolean): Promise<string>;
+    }
+
+    // Options
+
+    interface InitOptions {
+        /** The Aeries API Certificate string. */
+        certificate?: Certificate | null;
+        /** The Url of the Aeries API. */
+        url?: string | null;
+        /** Should SSL Certificates be validated? Only applies to this client. */
+        verifyCerts?: boolean;
+        tls?: TlsOptions | null;
+        /** The default time to wait for a response, in milliseconds. */
+        timeout?: number | null;
+        limits?: SchedulerOptions | null;
+        cache?: CacheOptions | boolean | null;
+        normalize?: NormalizeOptions | boolean | null;
+        retry?: Partial<RetryOptions> | number | null;
+        /** Sends the HTTP requests. Defaults to an HttpTransport. */
+        transport?: Transport | null;
+        middleware?: Middleware[] | null;
+        /** Collects Prometheus style metrics from the events of this client. */
+        metrics?: MetricsCollector | boolean | null;
+        /** Logs the events of this client with personal information removed. */
+        logger?: LogAdapter | Logger | null;
+        /** A redaction profile applied to every response, e.g. directory. */
+        redaction?: string | RedactionProfile | null;
+    }
+
+    interface CallOptions {
+        timeout?: number | null;
+        signal?: AbortSignalLike | null;
+        cache?: boolean;
+        normalize?: NormalizeOptions | boolean;
+        method?: 'GET' | 'POST' | 'PUT' | 'DELETE' | string;
+        body?: any;
+        /** Overrides the client redaction profile. Set to false to return responses unredacted. */
+        redaction?: string | RedactionProfile | false | null;
+    }
+
+    interface AbortSignalLike {
+        readonly aborted: boolean;
+        addEventListener(type: 'abort', listener: () => void): void;
+        removeEventListener(type: 'abort', listener: () => void): void;
+    }
+
+    interface TlsOptions {
+        rejectUnauthorized?: boolean;
+        ca?: string | Buffer | Array<string | Buffer>;
+        cert?: string | Buffer;
+        key?: string | Buffer;
+        passphrase?: string;
+        pfx?: string | Buffer;
+        /** SHA-256 fingerprints of the server certificates to accept. */
+        fingerprints?: string[];
+    }
+
+    interface RetryInfo {
+        attempt: number;
+        delay: number;
+        error: AeriesError;
+        url: string;
+    }
+
+    interface RetryOptions {
+        maxAttempts: number;
+        minDelay: number;
+        maxDelay: number;
+        factor: number;
+        jitter: boolean;
+        statusCodes: number[];
+        errorCodes: string[];
+        respectRetryAfter: boolean;
+        onRetry: ((info: RetryInfo) => void) | null;
+    }
+
+    interface SchedulerOptions {
+        maxConcurrent?: number;
+        requestsPerSecond?: number;
+    }
+
+    interface NormalizeOptions {
+        /** Convert Aeries date strings to Date objects. Defaults to true. */
+        dates?: boolean;
+        /** Convert empty and whitespace only strings to null. Defaults to true. */
+        blanksToNull?: boolean;
+        /** Convert numeric strings in code fields to numbers. Defaults to true. */
+        numbers?: boolean;
+        numericFields?: string[];
+        /** Convert PascalCase keys to camelCase. Defaults to false. */
+        camelCase?: boolean;
+    }
+
+    // Results
+
+    interface ResponseHeaders {
+        [name: string]: string | string[] | undefined;
+    }
+
+    interface ApiResult<T = any> {
+        body: T;
+        statusCode: number;
+        /** The response headers, with lower case names. */
+        headers: ResponseHeaders;
+    }
+
+    type ApiCallback<T = any> = (error: AeriesError | null, body: T, statusCode: number, headers: ResponseHeaders) => void;
+
+    // Errors
+
+    interface ErrorDetails {
+        statusCode?: number | null;
+        url?: string | null;
+        body?: string | null;
+        headers?: ResponseHeaders | null;
+        cause?: Error | null;
+    }
+
+    class AeriesError extends Error {
+        constructor(message: string, details?: ErrorDetails);
+        statusCode: number | null;
+        url: string | null;
+        /** The raw response body. */
+        body: string | null;
+        headers: ResponseHeaders | null;
+        cause: Error | null;
+    }
+    class AeriesNetworkError extends AeriesError { }
+    class AeriesTimeoutError extends AeriesNetworkError {
+        code: 'ETIMEDOUT';
+    }
+    class AeriesAbortError extends AeriesError { }
+    class AeriesCredentialError extends AeriesError { }
+    class AeriesParseError extends AeriesError { }
+    class AeriesResponseError extends AeriesError { }
+    class AeriesAuthenticationError extends AeriesResponseError { }
+    class AeriesNotFoundError extends AeriesResponseError { }
+    class AeriesValidationError extends AeriesResponseError { }
+    class AeriesServerError extends AeriesResponseError { }
+
+    // Caching
+
+    interface CacheEntry {
+        body: string;
+        statusCode: number;
+        etag: string | null;
+        lastModified: string | null;
+        template: string;
+        expires: number;
+    }
+
+    interface CacheStore {
+        get(key: string): Promise<CacheEntry | null>;
+        set(key: string, entry: CacheEntry): Promise<void>;
+        delete(key: string): Promise<void>;
+        keys(): Promise<string[]>;
+        clear(): Promise<void>;
+    }
+
+    interface CacheOptions {
+        store?: CacheStore;
+        /** The time to live in milliseconds by endpoint template, e.g. { 'schools/:school/terms': 3600000 } */
+        ttl?: { [template: string]: number };
+    }
+
+    class MemoryCacheStore implements CacheStore {
+        constructor(options?: { maxEntries?: number });
+        get(key: string): Promise<CacheEntry | null>;
+        set(key: string, entry: CacheEntry): Promise<void>;
+        delete(key: string): Promise<void>;
+        keys(): Promise<string[]>;
+        clear(): Promise<void>;
+    }
+
+    class FileCacheStore implements CacheStore {
+        constructor(directory: string);
+        get(key: string): Promise<CacheEntry | null>;
+        set(key: string, entry: CacheEntry): Promise<void>;
+        delete(key: string): Promise<void>;
+        keys(): Promise<string[]>;
+        clear(): Promise<void>;
+    }
+
+    // Change sync
+
+    interface CheckpointStore {
+        get(key: string): Promise<string | null>;
+        set(key: string, value: string): Promise<void>;
+    }
+
+    class MemoryCheckpointStore implements CheckpointStore {
+        get(key: string): Promise<string | null>;
+        set(key: string, value: string): Promise<void>;
+    }
+
+    class FileCheckpointStore implements CheckpointStore {
+        constructor(file: string);
+        get(key: string): Promise<string | null>;
+        set(key: string, value: string): Promise<void>;
+    }
+
+    type SyncArea = 'student' | 'course' | 'staff' | 'section' | 'roster';
+
+    interface SyncOptions {
+        areas?: SyncArea[];
+        studentDataArea?: string;
+        store?: CheckpointStore;
+        key?: string;
+        initialSince?: Date | string | null;
+        concurrency?: number;
+    }
+
+    interface SyncRecord {
+        type: SyncArea;
+        op: 'upsert' | 'delete';
+        key: { [field: string]: any };
+        record: any;
+    }
+
+    interface SyncSummary {
+        since: Date;
+        until: Date;
+        count: number;
+    }
+
+    class ChangeSync {
+        constructor(client: aeriesjs, options?: SyncOptions);
+        getSince(since?: Date | string): Promise<Date>;
+        stream(since?: Date | string): Readable;
+        run(handler: (record: SyncRecord) => any, since?: Date | string): Promise<SyncSummary>;
+    }
+
+    // Multiple districts
+
+    interface RegistryOptions {
+        defaults?: InitOptions | null;
+        cacheDirectory?: string | null;
+        cacheStore?: ((districtId: string) => CacheStore) | null;
+        concurrency?: number;
+    }
+
+    interface FanOutOptions {
+        districts?: string[] | null;
+        concurrency?: number;
+        failFast?: boolean;
+        tagField?: string;
+    }
+
+    interface FanOutResult<T> {
+        records: T[];
+        districts: string[];
+        errors: Array<{ districtId: string, schoolCode: number | null, error: AeriesError }>;
+    }
+
+    class ClientRegistry {
+        constructor(options?: RegistryOptions);
+        readonly districtIds: string[];
+        register(districtId: string, options: InitOptions): aeriesjs;
+        get(districtId: string): aeriesjs;
+        has(districtId: string): boolean;
+        remove(districtId: string): boolean;
+        loadFile(file: string): this;
+        loadEnv(env?: { [name: string]: string | undefined }): this;
+        forEachDistrict<T = AeriesRecord>(fn: (client: aeriesjs, districtId: string) => Promise<ApiResult<T | T[]> | DistrictResult<T>>, options?: FanOutOptions): Promise<FanOutResult<T>>;
+    }
+
+    // Transport
+
+    interface TransportRequest {
+        url: string;
+        method: string;
+        headers: { [name: string]: string };
+        body?: string;
+        /** The agent for https requests with custom TLS settings, if any. */
+        agent?: any;
+    }
+
+    interface TransportResponse {
+        statusCode: number;
+        headers: ResponseHeaders;
+        /** The decompressed response body. */
+        body: NodeJS.ReadableStream;
+    }
+
+    interface Transport {
+        request(options: TransportRequest, callback: (error: Error | null, response?: TransportResponse) => void): { abort(): void };
+        destroy?(): void;
+    }
+
+    interface HttpTransportOptions {
+        keepAlive?: boolean;
+        maxSockets?: number;
+        maxRedirects?: number;
+        httpsAgent?: any;
+    }
+
+    class HttpTransport implements Transport {
+        constructor(options?: HttpTransportOptions);
+        request(options: TransportRequest, callback: (error: Error | null, response?: TransportResponse) => void): { abort(): void };
+        /** Closes the kept alive connections. */
+        destroy(): void;
+    }
+
+    // Middleware
+
+    interface PipelineRequest {
+        url: string;
+        method: string;
+        headers: { [name: string]: string };
+        body?: string;
+        /** True for streamed calls, whose response body is not read. */
+        stream?: boolean;
+    }
+
+    interface PipelineResponse<T = any> {
+        statusCode: number;
+        headers: ResponseHeaders;
+        /** The parsed body, or the response stream for streamed calls. */
+        body: T;
+        /** The raw body, if it was read. */
+        text?: string;
+    }
+
+    type Middleware = (request: PipelineRequest, next: () => Promise<PipelineResponse>) => PipelineResponse | Promise<PipelineResponse>;
+
+    // Observability
+
+    interface ApiEvent {
+        method: string;
+        /** The requested url, which includes ids. */
+        url: string;
+        /** The endpoint template, e.g. schools/:school/students/:id */
+        endpoint: string;
+        attempt: number;
+        stream: boolean;
+        statusCode?: number | null;
+        duration?: number;
+        bytesSent?: number;
+        bytesReceived?: number;
+        cached?: boolean;
+        delay?: number;
+        error?: AeriesError;
+    }
+
+    interface MetricsOptions {
+        prefix?: string;
+        /** The upper bounds of the request duration histogram, in seconds. */
+        buckets?: number[];
+        /** Labels added to every metric. */
+        labels?: { [name: string]: string } | null;
+    }
+
+    type MetricLabels = { [name: string]: string | number };
+
+    class Counter {
+        readonly name: string;
+        inc(labels: MetricLabels, value?: number): void;
+        get(labels: MetricLabels): number;
+    }
+
+    class Histogram {
+        readonly name: string;
+        observe(labels: MetricLabels, value: number): void;
+        get(labels: MetricLabels): { count: number, sum: number };
+    }
+
+    class MetricsCollector {
+        constructor(options?: MetricsOptions);
+        readonly requests: Counter;
+        readonly duration: Histogram;
+        readonly bytes: Counter;
+        readonly cacheHits: Counter;
+        readonly retries: Counter;
+        readonly errors: Counter;
+        attach(client: aeriesjs): this;
+        detach(client: aeriesjs): void;
+        reset(): void;
+        /** Formats the metrics in the Prometheus text exposition format. */
+        toPrometheus(): string;
+    }
+
+    type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+
+    /** A structured logger called as logger.info(fields, message), e.g. pino or bunyan, or a function. */
+    type Logger = { [level in LogLevel]?: (fields: object, message: string) => void } | ((level: LogLevel, fields: object, message: string) => void);
+
+    interface LogOptions {
+        level?: LogLevel;
+        /** Certificates to remove from logged text, in addition to those of the attached clients. */
+        certificates?: string[];
+    }
+
+    class LogAdapter {
+        constructor(logger: Logger, options?: LogOptions);
+        log(level: LogLevel, fields: object, message?: string): void;
+        debug(fields: object, message?: string): void;
+        info(fields: object, message?: string): void;
+        warn(fields: object, message?: string): void;
+        error(fields: object, message?: string): void;
+        attach(client: aeriesjs): this;
+        detach(client: aeriesjs): void;
+    }
+
+    /** Copies a value with student ids, names and certificates removed. */
+    function redactPii<T>(value: T, certificates?: string[]): any;
+
+    // Redaction
+
+    interface RedactionProfile {
+        name: string;
+        /** The name of a profile this profile adds its rules to. */
+        extends?: string;
+        /** Only keep fields matching these patterns, e.g. FirstName or Contacts.FirstName. */
+        allow?: string[] | null;
+        /** Remove fields matching these patterns, even if they are allowed. */
+        deny?: string[] | null;
+        endpoints?: {
+            allow?: string[];
+            deny?: string[];
+            exempt?: string[];
+        };
+        /** Replace removed fields with this value instead of removing them. */
+        replacement?: any;
+    }
+
+    function registerRedactionProfile(profile: RedactionProfile): object;
+    function getRedactionProfile(profile: string | RedactionProfile): object;
+    /** Registers the profiles in a JSON file and returns their names. */
+    function loadRedactionProfiles(file: string): string[];
+    function applyRedactionProfile<T = any>(body: T, profile: string | RedactionProfile, url: URL | string): T;
+
+    // Queries
+
+    class AeriesQuery<T = any> {
+        constructor(client: aeriesjs, apiVersion?: string, segments?: Array<string | number>, state?: { params?: Array<[string, string]>, fields?: string[] | null });
+        readonly apiVersion: string;
+        readonly segments: Array<string | number>;
+        path(...segments: Array<string | number | null | undefined>): AeriesQuery<T>;
+        version(apiVersion: string): AeriesQuery<T>;
+        students(studentId?: number | null): AeriesQuery<T>;
+        studentNumber(studentNumber: number): AeriesQuery<T>;
+        grade(grade: number): AeriesQuery<T>;
+        extended(): AeriesQuery<T>;
+        contacts(studentId?: number | null): AeriesQuery<T>;
+        programs(): AeriesQuery<T>;
+        attendance(studentId?: number | null): AeriesQuery<T>;
+        transcript(studentId?: number | null): AeriesQuery<T>;
+        classes(studentId?: number | null): AeriesQuery<T>;
+        terms(): AeriesQuery<T>;
+        teachers(teacherNumber?: number | null): AeriesQuery<T>;
+        sections(sectionNumber?: number | null): AeriesQuery<T>;
+        roster(): AeriesQuery<T>;
+        gradebooks(): AeriesQuery<T>;
+        param(name: string, value: any): AeriesQuery<T>;
+        /** Limits the records to a date range. Dates are sent as YYYYMMDD. */
+        between(startDate: Date | string, endDate?: Date | string | null): AeriesQuery<T>;
+        code(codes: string | number | Array<string | number>): AeriesQuery<T>;
+        /** Picks fields from each record, once the response is parsed. */
+        select(...fields: Array<string | string[]>): AeriesQuery<T>;
+        url(): URL;
+        get(callback: ApiCallback<T>): void;
+        get(callOptions: CallOptions | null, callback: ApiCallback<T>): void;
+        get(callOptions?: CallOptions | null): Promise<ApiResult<T>>;
+        stream(callOptions?: CallOptions | null): Readable;
+    }
+
+    // District wide calls
+
+    interface DistrictOptions {
+        schools?: number[] | null;
+        skipSchools?: number[];
+        skipInactive?: boolean;
+        concurrency?: number;
+        failFast?: boolean;
+        tagField?: string;
+    }
+
+    interface DistrictResult<T> {
+        records: T[];
+        schools: number[];
+        errors: Array<{ schoolCode: number, error: AeriesError }>;
+    }
+
+    // Export
+
+    type ExportSource = Readable | Promise<ApiResult<any>> | Promise<DistrictResult<any>> | DistrictResult<any> | any[];
+
+    interface ExportColumn {
+        field?: string;
+        header?: string;
+        value?: (flat: { [field: string]: any }, record: any) => any;
+    }
+
+    interface ExportOptions {
+        format?: 'csv' | 'tsv' | 'ndjson';
+        columns?: Array<string | ExportColumn> | null;
+        flatten?: boolean;
+        separator?: string;
+        header?: boolean;
+        newline?: string;
+    }
+
+    class ExportStream extends Transform {
+        constructor(options?: ExportOptions);
+        readonly count: number;
+    }
+
+    function exportRecords(source: ExportSource, destination: string | Writable, options?: ExportOptions): Promise<{ count: number }>;
+    function flatten(record: any, separator?: string): { [field: string]: any };
+
+    // Attendance analytics
+
+    interface AttendanceOptions {
+        startDate?: Date | string | null;
+        endDate?: Date | string | null;
+        grade?: number | number[] | null;
+        threshold?: number;
+        minDaysEnrolled?: number;
+        tardyCodes?: string[];
+        presentCodes?: string[];
+    }
+
+    interface AttendanceData {
+        schoolCode: number;
+        attendance: Attendance[];
+        absenceCodes: AbsenceCode[];
+        calendar: CalendarDay[];
+        students: Student[];
+    }
+
+    interface AttendanceTotals {
+        daysEnrolled: number;
+        daysPresent: number;
+        daysAbsent: number;
+        daysExcused: number;
+        daysUnexcused: number;
+        daysTardy: number;
+        attendanceRate: number | null;
+    }
+
+    interface StudentAttendanceSummary extends AttendanceTotals {
+        schoolCode: number;
+        permanentId: number;
+        grade: number | null;
+        absenceRate: number | null;
+        chronicallyAbsent: boolean;
+    }
+
+    interface GroupAttendanceSummary extends AttendanceTotals {
+        students: number;
+        chronicallyAbsent: number;
+        chronicAbsenteeismRate: number | null;
+    }
+
+    interface AttendanceSummary {
+        schoolCode: number;
+        schoolDays: number;
+        threshold: number;
+        students: StudentAttendanceSummary[];
+        skippedStudents: Array<{ schoolCode: number, permanentId: number }>;
+        grades: { [grade: number]: GroupAttendanceSummary };
+        total: GroupAttendanceSummary;
+    }
+
+    function summarizeAttendance(data: AttendanceData, options?: AttendanceOptions): AttendanceSummary;
+
+    // Rosters
+
+    interface RosterOptions {
+        schools?: number[] | null;
+        skipSchools?: number[];
+        skipInactive?: boolean;
+        concurrency?: number;
+    }
+
+    interface RosterData {
+        schools: School[];
+        terms: { [schoolCode: number]: Term[] };
+        courses: Course[];
+        sections: Section[];
+        rosters: { [section: string]: RosterStudent[] };
+        teachers: Teacher[];
+        students: StudentExtended[];
+    }
+
+    interface OneRosterOptions {
+        districtId?: string;
+        districtName?: string;
+        schoolYear?: number | null;
+        dateLastModified?: Date;
+    }
+
+    interface OneRosterBundle {
+        orgs: AeriesRecord[];
+        academicSessions: AeriesRecord[];
+        courses: AeriesRecord[];
+        classes: AeriesRecord[];
+        users: AeriesRecord[];
+        enrollments: AeriesRecord[];
+        demographics: AeriesRecord[];
+    }
+
+    function buildOneRoster(data: RosterData, options?: OneRosterOptions): OneRosterBundle;
+    function toOneRosterJson(bundle: OneRosterBundle, options?: { baseUrl?: string }): { [collection: string]: AeriesRecord[] };
+    function writeOneRosterCsv(bundle: OneRosterBundle, directory: string): Promise<string[]>;
+    function writeOneRosterJson(bundle: OneRosterBundle, file: string, options?: { baseUrl?: string }): Promise<void>;
+
+    // Export profiles
+
+    interface RosterContext {
+        readonly data: RosterData;
+        readonly options: { [option: string]: any };
+        school(schoolCode: number): School | null;
+        course(courseId: string): Course | null;
+        teacher(schoolCode: number, teacherNumber: number): Teacher | null;
+        student(permanentId: number): StudentExtended | null;
+        terms(schoolCode: number): Term[];
+        /** The term of a section from its Semester, or a term spanning the school's terms for year long sections. */
+        sectionTerm(section: Section): Term | null;
+    }
+
+    type ProfileSource = 'schools' | 'terms' | 'courses' | 'sections' | 'teachers' | 'students' | 'enrollments';
+
+    interface ProfileColumn {
+        header: string;
+        field?: string;
+        value?: (record: any, context: RosterContext) => any;
+    }
+
+    interface ProfileFile {
+        source: ProfileSource | ((data: RosterData, context: RosterContext) => any[]);
+        filter?: (record: any, context: RosterContext) => boolean;
+        columns: ProfileColumn[];
+        format?: 'csv' | 'tsv' | 'ndjson';
+    }
+
+    interface ExportProfile {
+        name: string;
+        format?: 'csv' | 'tsv' | 'ndjson';
+        files?: { [file: string]: ProfileFile };
+        write?: (data: RosterData, directory: string, options: { [option: string]: any }) => Promise<string[]>;
+    }
+
+    function registerProfile(profile: ExportProfile): void;
+    function getProfile(profile: string | ExportProfile): ExportProfile;
+    function runProfile(profile: string | ExportProfile, data: RosterData, directory: string, options?: { [option: string]: any }): Promise<string[]>;
+
+    // Data models. Dates are strings, or Date objects when normalization is enabled.
+    // Records keep an index signature, as the fields returned vary by district and Aeries version.
+
+    type AeriesDate = string | Date;
+
+    interface AeriesRecord {
+        [field: string]: any;
+    }
+
+    interface School extends AeriesRecord {
+        SchoolCode: number;
+        Name: string;
+        InactiveStatusCode: string | null;
+        Address: string | null;
+        AddressCity: string | null;
+        AddressState: string | null;
+        AddressZipCode: string | null;
+        LowGradeLevel: number;
+        HighGradeLevel: number;
+        Terms?: Term[];
+    }
+
+    interface Term extends AeriesRecord {
+        TermCode: string;
+        TermDescription: string;
+        StartDate: AeriesDate | null;
+        EndDate: AeriesDate | null;
+    }
+
+    interface CalendarDay extends AeriesRecord {
+        SchoolCode: number;
+        CalendarDate: AeriesDate;
+        DayNumber: number;
+        HolidayCode: string | null;
+    }
+
+    interface BellSchedule extends AeriesRecord {
+        Date: AeriesDate;
+        DayNumber: number;
+        Period: number;
+        StartTime: AeriesDate | null;
+        EndTime: AeriesDate | null;
+    }
+
+    interface AbsenceCode extends AeriesRecord {
+        Code: string;
+        Title: string;
+        Description: string;
+        ExcusedCode: string | null;
+        TruancyCode: string | null;
+    }
+
+    interface Code extends AeriesRecord {
+        Code: string | number;
+        Description: string;
+    }
+
+    interface Student extends AeriesRecord {
+        PermanentID: number;
+        SchoolCode: number;
+        StudentNumber: number;
+        StateStudentID: string | null;
+        LastName: string;
+        FirstName: string;
+        MiddleName: string | null;
+        Sex: string;
+        Grade: number;
+        Birthdate: AeriesDate | null;
+        HomeLanguageCode: string | number | null;
+        ParentEmailAddress: string | null;
+        StudentEmailAddress: string | null;
+        MailingAddress: string | null;
+        MailingAddressCity: string | null;
+        MailingAddressState: string | null;
+        MailingAddressZipCode: string | null;
+        HomePhone: string | null;
+        SchoolEnterDate: AeriesDate | null;
+        SchoolLeaveDate: AeriesDate | null;
+        InactiveStatusCode: string | null;
+    }
+
+    interface StudentExtended extends Student {
+        EthnicityCode: string | null;
+        RaceCode1: string | number | null;
+        LanguageFluencyCode: string | null;
+        Contacts?: Contact[];
+        Programs?: Program[];
+        [field: string]: any;
+    }
+
+    interface Contact extends AeriesRecord {
+        PermanentID: number;
+        SequenceNumber: number;
+        RelationshipToStudentCode: string | number | null;
+        FirstName: string;
+        LastName: string;
+        EmailAddress: string | null;
+        HomePhone: string | null;
+        WorkPhone: string | null;
+        CellPhone: string | null;
+        MailingAddress: string | null;
+        MailingAddressCity: string | null;
+        MailingAddressState: string | null;
+        MailingAddressZipCode: string | null;
+    }
+
+    interface Program extends AeriesRecord {
+        PermanentID: number;
+        ProgramCode: string | number;
+        ProgramDescription: string;
+        EligibilityStartDate: AeriesDate | null;
+        EligibilityEndDate: AeriesDate | null;
+        ParticipationStartDate: AeriesDate | null;
+        ParticipationEndDate: AeriesDate | null;
+    }
+
+    interface TestScore extends AeriesRecord {
+        PermanentID: number;
+        TestID: string;
+        TestDate: AeriesDate | null;
+    }
+
+    interface Discipline extends AeriesRecord {
+        PermanentID: number;
+        SchoolCode: number;
+        IncidentDate: AeriesDate | null;
+        ViolationCode1: string | number | null;
+        DispositionCode: string | number | null;
+    }
+
+    interface Fee extends AeriesRecord {
+        PermanentID: number;
+        Code: string;
+        Description: string;
+        Amount: number;
+        PaidAmount: number;
+        Date: AeriesDate | null;
+    }
+
+    interface StudentPicture extends AeriesRecord {
+        PermanentID: number;
+        PictureData: string;
+    }
+
+    interface StudentGroup extends AeriesRecord {
+        SchoolCode: number;
+        Code: string;
+        Name: string;
+        Students: number[];
+    }
+
+    interface Enrollment extends AeriesRecord {
+        PermanentID: number;
+        SchoolCode: number;
+        AcademicYear: string;
+        EnterDate: AeriesDate | null;
+        LeaveDate: AeriesDate | null;
+        Grade: number;
+        ExitReasonCode: string | number | null;
+    }
+
+    interface AttendancePeriod extends AeriesRecord {
+        Period: number;
+        AbsenceCode: string | null;
+    }
+
+    interface AttendanceDay extends AeriesRecord {
+        Date: AeriesDate;
+        AllDayAttendanceCode: string | null;
+        Periods: AttendancePeriod[];
+    }
+
+    interface Attendance extends AeriesRecord {
+        SchoolCode: number;
+        PermanentID: number;
+        StudentNumber: number;
+        SchoolYear: string;
+        CalendarDays: AttendanceDay[];
+    }
+
+    interface AttendanceHistory extends AeriesRecord {
+        PermanentID: number;
+        SchoolCode: number;
+        SchoolYear: string;
+        DaysEnrolled: number;
+        DaysPresent: number;
+        DaysAbsence: number;
+        DaysExcused: number;
+        DaysUnexcused: number;
+        DaysTardy: number;
+    }
+
+    interface Gpa extends AeriesRecord {
+        PermanentID: number;
+        GPAs: AeriesRecord[];
+    }
+
+    interface ReportCard extends AeriesRecord {
+        PermanentID: number;
+        SchoolCode: number;
+    }
+
+    interface MarkingPeriod extends AeriesRecord {
+        SchoolCode: number;
+        Code: string;
+        Description: string;
+        StartDate: AeriesDate | null;
+        EndDate: AeriesDate | null;
+    }
+
+    interface TranscriptCourse extends AeriesRecord {
+        PermanentID: number;
+        CourseID: string;
+        CourseTitle: string;
+        Mark: string | null;
+        CreditAttempted: number;
+        CreditCompleted: number;
+    }
+
+    interface ClassSchedule extends AeriesRecord {
+        PermanentID: number;
+        SchoolCode: number;
+        SectionNumber: number;
+        Period: number;
+        CourseID: string;
+        TeacherNumber: number;
+    }
+
+    interface Course extends AeriesRecord {
+        ID: string;
+        Title: string;
+        LongDescription: string | null;
+        DepartmentCode: string | null;
+        StateCourseCode: string | number | null;
+        CreditDefault: number;
+        LowGrade: number;
+        HighGrade: number;
+        InactiveStatusCode: string | null;
+    }
+
+    interface Staff extends AeriesRecord {
+        ID: number;
+        FirstName: string;
+        LastName: string;
+        EmailAddress: string | null;
+        InactiveStatusCode: string | null;
+    }
+
+    interface Teacher extends AeriesRecord {
+        SchoolCode: number;
+        TeacherNumber: number;
+        DisplayName: string;
+        FirstName: string;
+        LastName: string;
+        EmailAddress: string | null;
+        Room: string | null;
+        StaffID1: number;
+        InactiveStatusCode: string | null;
+    }
+
+    interface Section extends AeriesRecord {
+        SchoolCode: number;
+        SectionNumber: number;
+        CourseID: string;
+        Period: number;
+        Room: string | null;
+        Semester: string | null;
+        TeacherNumber1: number;
+        TeacherNumber2: number | null;
+        TeacherNumber3: number | null;
+        LowGrade: number;
+        HighGrade: number;
+        InactiveStatusCode: string | null;
+    }
+
+    interface RosterStudent extends AeriesRecord {
+        PermanentID: number;
+        StudentNumber: number;
+        SchoolCode: number;
+    }
+
+    interface Gradebook extends AeriesRecord {
+        GradebookNumber: number;
+        Name: string;
+        SchoolCode: number;
+        Sections: AeriesRecord[];
+        Terms: AeriesRecord[];
+    }
+
+    interface Assignment extends AeriesRecord {
+        GradebookNumber: number;
+        AssignmentNumber: number;
+        UniqueID: number;
+        Description: string;
+        AssignmentCategory: string | null;
+        DateAssigned: AeriesDate | null;
+        DateDue: AeriesDate | null;
+        NumberPossible: number;
+        PointsPossible: number;
+    }
+
+    interface Score extends AeriesRecord {
+        PermanentID: number;
+        StudentNumber: number;
+        AssignmentNumber: number;
+        NumberCorrect: number | null;
+        NumberPossible: number | null;
+        Mark: string | null;
+        DateCompleted: AeriesDate | null;
+    }
+
+    interface StudentDataChange extends AeriesRecord {
+        SchoolCode: number;
+        PermanentID: number;
+    }
+
+    interface CourseDataChange extends AeriesRecord {
+        CourseID: string;
+    }
+
+    interface StaffDataChange extends AeriesRecord {
+        StaffID: number;
+    }
+
+    interface SectionDataChange extends AeriesRecord {
+        SchoolCode: number;
+        SectionNumber: number;
+    }
+}
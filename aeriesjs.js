@@ -1,56 +1,217 @@
 'use strict';
 
-let request = require('request');
 let { URL } = require('url');
+let util = require('util');
+let { EventEmitter } = require('events');
+let errors = require('./lib/errors');
+let { AeriesNetworkError, AeriesTimeoutError, AeriesAbortError, AeriesParseError, AeriesValidationError, errorFromResponse, wrapError } = errors;
+let retry = require('./lib/retry');
+let RequestScheduler = require('./lib/scheduler');
+let { createAgent } = require('./lib/tls');
+let { HttpTransport, readBody } = require('./lib/transport');
+let middleware = require('./lib/middleware');
+let { getEndpointTemplate } = require('./lib/endpoints');
+let { MetricsCollector } = require('./lib/metrics');
+let { LogAdapter, redactPii } = require('./lib/logging');
+let redaction = require('./lib/redaction');
+let { applyRedactionProfile, getRedactionProfile } = redaction;
+let JsonArrayParser = require('./lib/json-stream');
+let { normalize, normalizeOptions } = require('./lib/normalize');
+let cache = require('./lib/cache');
+let { ResponseCache, addValidators } = cache;
+let { ChangeSync } = require('./lib/sync');
+let checkpoints = require('./lib/checkpoints');
+let district = require('./lib/district');
+let attendance = require('./lib/attendance');
+let exporter = require('./lib/export');
+let roster = require('./lib/roster');
+let oneroster = require('./lib/oneroster');
+let profiles = require('./lib/profiles');
+let { AeriesQuery } = require('./lib/query');
+let { ClientRegistry } = require('./lib/registry');
+let credentials = require('./lib/credentials');
+let { createCredentialProvider, redactError, StaticCredentials } = credentials;
 
 /**
  * @typedef initOptions
  * @type {Object}
- * @property {string} certificate The Aeries API Certificate string.
+ * @property {string|credentialProvider|function(): Promise<string>|{env: string}|{file: string}} certificate The Aeries API Certificate string, or where to get it for each request: a credential provider, an async function, an environment variable or a file.
  * @property {string} url The Url of the Aeries API.
- * @property {boolean} verifyCerts Should SSL Certificates be validated?
+ * @property {boolean} verifyCerts Should SSL Certificates be validated? Only applies to this client.
+ * @property {tlsOptions} tls The TLS settings for this client, e.g. a CA bundle, client certificate or pinned fingerprints.
+ * @property {number} timeout The default time to wait for a response, in milliseconds. No timeout by default.
+ * @property {schedulerOptions} limits The maximum number of requests in flight and requests per second for this client. Unlimited by default.
+ * @property {cacheOptions|boolean} cache Caches responses for slowly changing reference data, e.g. schools and code tables. Disabled by default.
+ * @property {normalizeOptions|boolean} normalize Converts dates, blank strings and numeric codes in responses, and optionally keys to camelCase. Disabled by default.
+ * @property {retryOptions|number} retry The retry policy for failed GET requests, or the maximum number of attempts. Retries are disabled by default.
+ * @property {transport} transport Sends the HTTP requests, e.g. through a proxy or to a test double. Defaults to an HttpTransport, which keeps connections alive.
+ * @property {middleware[]} middleware Steps every request and response of this client goes through, in order. More can be added with use.
+ * @property {MetricsCollector|boolean} metrics Collects Prometheus style metrics from the events of this client. Pass a collector to share it between clients.
+ * @property {LogAdapter|Object} logger Logs the events of this client with personal information removed, e.g. a pino logger.
+ * @property {string|redactionProfile} redaction A redaction profile applied to every response, e.g. directory. Disabled by default.
 */
 
+/**
+ * Options for a single API call.
+ * @typedef callOptions
+ * @type {Object}
+ * @property {number} timeout The time to wait for a response, in milliseconds. Overrides the client timeout.
+ * @property {AbortSignal} signal A signal that cancels the call when aborted.
+ * @property {boolean} cache Set to false to skip the response cache for this call.
+ * @property {normalizeOptions|boolean} normalize Overrides the client normalize option for this call.
+ * @property {string} method The HTTP method, e.g. POST. Defaults to GET. Only GET requests are retried.
+ * @property {*} body The request body, which is sent as JSON.
+ * @property {string|redactionProfile|boolean} redaction Overrides the client redaction profile for this call. Set to false to return responses unredacted.
+ */
+
 /**
  *  The callback function for API calls.
  * @callback apiCallback
- * @param {error} error An error object if an error has occured.
+ * @param {AeriesError} error An error object if an error has occured, including non-success HTTP responses.
  * @param {object} body The response body.
  * @param {number} statusCode The API response status code.
+ * @param {Object} headers The response headers, with lower case names.
+ */
+
+/**
+ * The result of an API call, when using Promises.
+ * @typedef apiResult
+ * @type {Object}
+ * @property {object} body The response body.
+ * @property {number} statusCode The API response status code.
+ * @property {Object} headers The response headers, with lower case names.
+ */
+
+/**
+ * An event emitted by a client for each request, response, retry and failed call.
+ * @typedef apiEvent
+ * @type {Object}
+ * @property {string} method
+ * @property {string} url The requested url, which includes ids. Use the endpoint for metrics and logs.
+ * @property {string} endpoint The endpoint template, e.g. schools/:school/students/:id
+ * @property {number} attempt The attempt, starting at 1.
+ * @property {boolean} stream True for streamed calls.
+ * @property {number} statusCode The response status code, for response and error events.
+ * @property {number} duration The milliseconds from sending the request to reading the response, or from the start of the call for error events.
+ * @property {number} bytesSent The size of the request body, for response events.
+ * @property {number} bytesReceived The size of the response body, for response events.
+ * @property {boolean} cached True for response events answered from the cache.
+ * @property {number} delay The milliseconds before the next attempt, for retry events.
+ * @property {AeriesError} error The error, for retry and error events.
  */
 
-class aeriesjs {
+class aeriesjs extends EventEmitter {
 
     /**
      * aeriesjs
+     * Emits request, response, retry and error events with an {@link apiEvent}. Error events are only emitted when there are listeners.
      * @param {initOptions} options The options for the api.
      */
     constructor(options) {
+        super();
         this.options = Object.assign({
             certificate: null,
             verifyCerts: true,
-            url: null
+            url: null,
+            tls: null,
+            timeout: null,
+            retry: null,
+            limits: null,
+            cache: null,
+            normalize: null,
+            transport: null,
+            middleware: null,
+            metrics: null,
+            logger: null,
+            redaction: null
         }, options);
 
-        if (!this.options.verifyCerts) {
-            process.env.NODE_TLS_REJECT_UNAUTHORIZED = "0";
+        this.options.retry = retry.normalizeRetryOptions(this.options.retry);
+        this.options.normalize = normalizeOptions(this.options.normalize);
+        this.redaction = this.options.redaction ? getRedactionProfile(this.options.redaction) : null;
+        this.scheduler = new RequestScheduler(this.options.limits);
+        this.cache = this.options.cache ? new ResponseCache(this.options.cache === true ? null : this.options.cache) : null;
+        this.callOptions = null;
+        this.credentials = createCredentialProvider(this.options.certificate);
+
+        var tlsOptions = Object.assign({}, this.options.tls);
+        if (!this.options.verifyCerts && tlsOptions.rejectUnauthorized === undefined) {
+            tlsOptions.rejectUnauthorized = false;
+        }
+        this.options.tls = tlsOptions;
+        this.agent = createAgent(tlsOptions);
+        this.transport = this.options.transport || new HttpTransport({ httpsAgent: this.agent });
+        this.middleware = (this.options.middleware || []).slice();
+
+        this.metrics = this.options.metrics === true ? new MetricsCollector() : this.options.metrics || null;
+        if (this.metrics) {
+            this.metrics.attach(this);
+        }
+        this.logger = this.options.logger instanceof LogAdapter || !this.options.logger ? this.options.logger : new LogAdapter(this.options.logger);
+        if (this.logger) {
+            this.logger.attach(this);
+        }
+    }
+
+    /**
+     * Emits an event without letting a failing listener break the call that emitted it.
+     * Error events are only emitted when there are listeners, so they never throw.
+     * @param {string} event request, response, retry or error.
+     * @param {apiEvent} data
+     */
+    _notify(event, data) {
+        if (event === 'error' && this.listenerCount('error') === 0) {
+            return;
+        }
+        try {
+            this.emit(event, data);
+        }
+        catch (e) {
+            setImmediate(function () { throw e; });
         }
     }
 
+    /**
+     * Gets the redaction profile of a call.
+     * @param {callOptions} callOptions
+     * @returns {Object|null}
+     */
+    _redactionFor(callOptions) {
+        if (callOptions.redaction === undefined) {
+            return this.redaction;
+        }
+        return callOptions.redaction ? getRedactionProfile(callOptions.redaction) : null;
+    }
+
     /**
      * Gets the currently configured Aeries API Certificate.
-     * @returns {string} Returns the currently configured Aeries API Certificate.
+     * @returns {string|credentialProvider} Returns the currently configured Aeries API Certificate, or its provider.
      */
     get certificate() {
         return this.options.certificate;
     }
 
     /**
-     * Sets the certificate to use.
-     * @param {string} certificate
+     * Sets the certificate to use. On a view made by withOptions, the certificate of the client it was made from is set.
+     * @param {string|credentialProvider|function(): Promise<string>|{env: string}|{file: string}} certificate
      */
     setCertificate(certificate) {
-        this.options.certificate = certificate;
+        // A view made by withOptions shares its client's options, so the credentials are kept on the same client.
+        var client = this;
+        while (!client.hasOwnProperty('options')) {
+            client = Object.getPrototypeOf(client);
+        }
+        client.options.certificate = certificate;
+        client.credentials = createCredentialProvider(certificate);
+    }
+
+    /**
+     * Shows the client without its certificate, e.g. in console.log.
+     * @returns {string}
+     */
+    [util.inspect.custom](depth, inspectOptions) {
+        var options = Object.assign({}, this.options, { certificate: typeof this.options.certificate === 'string' ? '[redacted]' : this.options.certificate });
+        return 'aeriesjs ' + util.inspect(options, inspectOptions);
     }
 
     /**
@@ -79,91 +240,645 @@ class aeriesjs {
 
         var i = 1, n = arguments.length, e = '';
         for (; i < n; i++) {
-            if (arguments[i] !== null) {
+            if (arguments[i] !== null && arguments[i] !== undefined) {
                 e += arguments[i].toString().replace(/(^\/|\/$)/g, '') + '/';
             }
         }
         return new URL('api/' + apiVersion.replace(/(^\/|\/$)/g, '') + '/' + e, this.url);
     }
 
+    /**
+     * Gets a view of this client that applies the given call options to every API call made through it.
+     * The view shares the configuration, limits and retry policy of this client.
+     * @param {callOptions} callOptions The options to apply, e.g. { timeout: 5000, signal: controller.signal }
+     * @returns {aeriesjs}
+     */
+    withOptions(callOptions) {
+        var scoped = Object.create(this);
+        scoped.callOptions = Object.assign({}, this.callOptions, callOptions);
+        return scoped;
+    }
+
+    /**
+     * Adds a step to the request pipeline of this client, after any already added.
+     * Every attempt of every call, including streamed calls, goes through the pipeline before it is authorized and sent.
+     * @param {middleware} fn Called with the request and a next function, e.g. (request, next) => { request.headers['X-Request-ID'] = id(); return next(); }
+     * @returns {aeriesjs}
+     */
+    use(fn) {
+        if (typeof fn !== 'function') {
+            throw new TypeError('Middleware must be a function.');
+        }
+        this.middleware.push(fn);
+        return this;
+    }
+
+    /**
+     * Creates a change sync, which incrementally fetches the records that changed in Aeries since the last checkpoint.
+     * @param {syncOptions} [options]
+     * @returns {ChangeSync}
+     */
+    createChangeSync(options) {
+        return new ChangeSync(this, options);
+    }
+
+    /**
+     * Starts a query at an API path, e.g. aeries.query('v3', 'schools', 994, 'students')
+     * @param {string} apiVersion The version of the API, e.g. v3.
+     * @param {...*} segments The path segments after the version.
+     * @returns {AeriesQuery}
+     */
+    query(apiVersion) {
+        return new AeriesQuery(this, apiVersion, Array.prototype.slice.call(arguments, 1).filter(function (s) { return s !== null && s !== undefined; }));
+    }
+
+    /**
+     * Starts a query for a school, e.g. aeries.school(994).students().grade(9).extended()
+     * @param {number} schoolCode The school code to use.
+     * @returns {AeriesQuery}
+     */
+    school(schoolCode) {
+        return this.query('v3', 'schools', schoolCode);
+    }
+
+    /**
+     * Starts a query for a staff member, e.g. aeries.staff(1234).gradebooks()
+     * @param {number} staffId The staff id to use.
+     * @returns {AeriesQuery}
+     */
+    staff(staffId) {
+        return this.query('v3', 'staff', staffId);
+    }
+
+    /**
+     * Starts a query for the course catalog, or one course.
+     * @param {string} [courseId] The ID of the course to use.
+     * @returns {AeriesQuery}
+     */
+    courses(courseId) {
+        return this.query('v3', 'courses', courseId);
+    }
+
     /**
      * Make an API call to Aeries.
+     * If no callback is passed, a Promise is returned that resolves to an {@link apiResult}.
+     * @param {URL} url The url for the API.
+     * @param {callOptions} [callOptions] Options for this call, which override the client defaults.
+     * @param {apiCallback} [callback] The callback that is called when the API call completes.
+     * @returns {Promise<apiResult>|undefined}
+     */
+    makeApiCall(url, callOptions, callback) {
+        if (typeof callOptions === 'function') {
+            callback = callOptions;
+            callOptions = null;
+        }
+
+        if (typeof callback !== 'function') {
+            return new Promise((resolve, reject) => {
+                this.makeApiCall(url, callOptions, function (err, body, code, headers) {
+                    if (err) {
+                        reject(wrapError(err, { statusCode: code, url: url.toString(), body: body }));
+                    }
+                    else {
+                        resolve({ body: body, statusCode: code, headers: headers });
+                    }
+                });
+            });
+        }
+
+        callOptions = Object.assign({
+            timeout: this.options.timeout,
+            signal: null,
+            normalize: undefined
+        }, this.callOptions, callOptions);
+
+        var rOptions = this._buildRequestOptions(url, callOptions);
+        var self = this;
+        var policy = this.options.retry;
+        var signal = callOptions.signal;
+        var cacheTtl = this.cache && callOptions.cache !== false && rOptions.method === 'GET' ? this.cache.getTtl(url) : 0;
+        var cached = null;
+        var normalizeWith = callOptions.normalize === undefined ? this.options.normalize : normalizeOptions(callOptions.normalize);
+        var redactWith = this._redactionFor(callOptions);
+        var attempt = 0;
+        var finished = false;
+        var cancelQueued = null;
+        var retryTimer = null;
+        var activeRequest = null;
+        var endpoint = getEndpointTemplate(url);
+        var started = Date.now();
+        var attemptStarted = null;
+
+        function event(data) {
+            return Object.assign({ method: rOptions.method, url: rOptions.url, endpoint: endpoint, attempt: attempt, stream: false }, data);
+        }
+
+        function next() {
+            attempt++;
+            retryTimer = null;
+            cancelQueued = self.scheduler.schedule(function (done) {
+                cancelQueued = null;
+                if (finished) {
+                    done();
+                    return;
+                }
+                attemptStarted = Date.now();
+                self._notify('request', event());
+                activeRequest = self._sendRequest(rOptions, callOptions.timeout, function (err, body, statusCode, response) {
+                    activeRequest = null;
+                    done();
+                    onResponse(err, body, statusCode, response);
+                });
+            });
+        }
+
+        function onResponse(err, body, statusCode, response) {
+            redactError(err, rOptions.headers['AERIES-CERT']);
+            if (response) {
+                self._notify('response', event({
+                    statusCode: statusCode,
+                    duration: Date.now() - attemptStarted,
+                    bytesSent: rOptions.body ? Buffer.byteLength(rOptions.body) : 0,
+                    bytesReceived: Buffer.byteLength(response.body || ''),
+                    cached: false
+                }));
+            }
+            if (cached && statusCode === 304) {
+                self.cache.refresh(rOptions.url, cached, response, cacheTtl).catch(function () { });
+                finishFromCache(cached);
+                return;
+            }
+            if (!err && cacheTtl > 0 && statusCode === 200) {
+                self.cache.set(rOptions.url, response, cacheTtl).catch(function () { });
+            }
+            if (err && attempt < policy.maxAttempts && rOptions.method === 'GET' && retry.isRetryable(policy, err)) {
+                var delay = retry.getRetryDelay(policy, attempt, response ? response.headers['retry-after'] : null);
+                if (typeof policy.onRetry === 'function') {
+                    policy.onRetry({ attempt: attempt, delay: delay, error: err, url: rOptions.url });
+                }
+                self._notify('retry', event({ delay: delay, error: err }));
+                retryTimer = setTimeout(next, delay);
+                return;
+            }
+            finish(err, body, statusCode, response ? response.headers : null);
+        }
+
+        function onAbort() {
+            if (activeRequest) {
+                // The request reports the abort through its callback.
+                activeRequest.abort();
+                return;
+            }
+            if (cancelQueued) {
+                cancelQueued();
+            }
+            clearTimeout(retryTimer);
+            finish(new AeriesAbortError('The request was aborted.', { url: rOptions.url }), null, 500);
+        }
+
+        function finishFromCache(entry) {
+            var body = null;
+            try {
+                body = entry.body ? JSON.parse(entry.body) : null;
+            }
+            catch (e) {
+                finish(new AeriesParseError('Unable to parse the cached API response: ' + e.message, { statusCode: entry.statusCode, url: rOptions.url, body: entry.body, cause: e }), entry.body, entry.statusCode);
+                return;
+            }
+            finish(null, body, entry.statusCode, entry.headers || {});
+        }
+
+        function finish(err, body, statusCode, headers) {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            if (err) {
+                redactError(err, rOptions.headers['AERIES-CERT']);
+                body = credentials.redact(body, rOptions.headers['AERIES-CERT']);
+                self._notify('error', event({ statusCode: statusCode, duration: Date.now() - started, error: err }));
+            }
+            else {
+                if (redactWith) {
+                    body = applyRedactionProfile(body, redactWith, url);
+                }
+                if (normalizeWith && body !== null) {
+                    body = normalize(body, normalizeWith);
+                }
+            }
+            callback(err, body, statusCode, headers || null);
+        }
+
+        if (signal) {
+            if (signal.aborted) {
+                setImmediate(onAbort);
+                return;
+            }
+            signal.addEventListener('abort', onAbort);
+        }
+
+        if (cacheTtl > 0) {
+            // A failing cache store should never fail the call, so errors fall through to a request.
+            this.cache.get(rOptions.url).catch(function () { return null; }).then(function (entry) {
+                if (finished) {
+                    return;
+                }
+                if (entry && entry.expires > Date.now()) {
+                    self._notify('response', event({ statusCode: entry.statusCode, duration: 0, bytesSent: 0, bytesReceived: Buffer.byteLength(entry.body || ''), cached: true }));
+                    finishFromCache(entry);
+                    return;
+                }
+                if (entry) {
+                    cached = entry;
+                    addValidators(rOptions.headers, entry);
+                }
+                next();
+            });
+        }
+        else {
+            next();
+        }
+    }
+
+    /**
+     * Removes cached responses.
+     * @param {URL|string} [target] A url, or an endpoint template pattern, e.g. schools/:school/terms. Everything is removed if not set.
+     * @returns {Promise}
+     */
+    invalidateCache(target) {
+        return this.cache ? this.cache.invalidate(target) : Promise.resolve();
+    }
+
+    /**
+     * Streams the records of an API call to Aeries as they are parsed, without buffering the whole response.
+     * Streamed calls are limited like any other call, but are not retried or cached.
+     * The timeout, if any, applies until the response starts.
      * @param {URL} url The url for the API.
-     * @param {apiCallback} callback The callback that is called when the API call completes.
+     * @param {callOptions} [callOptions] Options for this call, which override the client defaults.
+     * @returns {Readable} An object mode stream of records, which is also an async iterator on Node 10+.
+     */
+    makeApiStream(url, callOptions) {
+        callOptions = Object.assign({
+            timeout: this.options.timeout,
+            signal: null,
+            normalize: undefined
+        }, this.callOptions, callOptions);
+
+        var rOptions = this._buildRequestOptions(url, callOptions);
+        rOptions.stream = true;
+        var normalizeWith = callOptions.normalize === undefined ? this.options.normalize : normalizeOptions(callOptions.normalize);
+        var redactWith = this._redactionFor(callOptions);
+        var signal = callOptions.signal;
+        var parser = new JsonArrayParser({
+            url: rOptions.url,
+            map: normalizeWith || redactWith ? function (record) {
+                if (redactWith) {
+                    // Records of withheld endpoints become null, which the parser skips.
+                    record = applyRedactionProfile(record, redactWith, url);
+                }
+                return normalizeWith && record !== null ? normalize(record, normalizeWith) : record;
+            } : null
+        });
+        var self = this;
+        var req = null;
+        var timer = null;
+        var release = null;
+        var finished = false;
+        var endpoint = getEndpointTemplate(url);
+        var started = Date.now();
+        var attemptStarted = null;
+        var statusCode = null;
+
+        function event(data) {
+            return Object.assign({ method: rOptions.method, url: rOptions.url, endpoint: endpoint, attempt: 1, stream: true }, data);
+        }
+
+        function responded(bytesReceived) {
+            self._notify('response', event({
+                statusCode: statusCode,
+                duration: Date.now() - attemptStarted,
+                bytesSent: rOptions.body ? Buffer.byteLength(rOptions.body) : 0,
+                bytesReceived: bytesReceived,
+                cached: false
+            }));
+        }
+
+        function finish(err) {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            if (release) {
+                release();
+            }
+            if (err) {
+                if (req) {
+                    req.abort();
+                }
+                redactError(err, rOptions.headers['AERIES-CERT']);
+                self._notify('error', event({ statusCode: statusCode, duration: Date.now() - started, error: err }));
+                parser.destroy(err);
+            }
+        }
+
+        function onAbort() {
+            if (cancelQueued) {
+                cancelQueued();
+            }
+            finish(new AeriesAbortError('The request was aborted.', { url: rOptions.url }));
+        }
+
+        if (signal) {
+            if (signal.aborted) {
+                setImmediate(onAbort);
+                return parser;
+            }
+            signal.addEventListener('abort', onAbort);
+        }
+
+        // Stop the request if the consumer stops reading early.
+        parser.on('close', function () {
+            finish(finished ? null : new AeriesAbortError('The stream was closed before the response ended.', { url: rOptions.url }));
+        });
+        parser.on('end', function () {
+            finish(null);
+        });
+
+        var cancelQueued = this.scheduler.schedule(function (done) {
+            cancelQueued = null;
+            release = done;
+            if (finished) {
+                done();
+                return;
+            }
+
+            if (callOptions.timeout > 0) {
+                timer = setTimeout(function () {
+                    finish(new AeriesTimeoutError('The request timed out after ' + callOptions.timeout + 'ms.', { url: rOptions.url }));
+                }, callOptions.timeout);
+            }
+
+            start();
+        });
+
+        function start() {
+            attemptStarted = Date.now();
+            self._notify('request', event());
+            req = self._dispatch(rOptions);
+            req.response.then(function (response) {
+                if (finished) {
+                    return;
+                }
+                clearTimeout(timer);
+                statusCode = response.statusCode;
+
+                var body = response.body;
+                var stream = body && typeof body.pipe === 'function';
+                if (response.statusCode >= 400) {
+                    if (!stream) {
+                        var errorText = typeof response.text === 'string' ? response.text : JSON.stringify(body);
+                        responded(Buffer.byteLength(errorText || ''));
+                        finish(errorFromResponse(response.statusCode, rOptions.url, errorText, response.headers));
+                        return;
+                    }
+                    readBody(body, function (err, text) {
+                        if (!err) {
+                            responded(Buffer.byteLength(text));
+                        }
+                        finish(err ? new AeriesNetworkError(err.message, { statusCode: response.statusCode, url: rOptions.url, cause: err }) : errorFromResponse(response.statusCode, rOptions.url, text, response.headers));
+                    });
+                    return;
+                }
+
+                parser.emit('response', { statusCode: response.statusCode, headers: response.headers || {} });
+                if (!stream) {
+                    // Answered by middleware without a response stream.
+                    var text = typeof response.text === 'string' ? response.text : JSON.stringify(body === undefined ? null : body);
+                    responded(Buffer.byteLength(text));
+                    parser.end(text);
+                    return;
+                }
+                var bytesReceived = 0;
+                body.on('data', function (chunk) {
+                    bytesReceived += typeof chunk === 'string' ? Buffer.byteLength(chunk) : chunk.length;
+                });
+                body.on('end', function () {
+                    responded(bytesReceived);
+                });
+                body.on('error', function (err) {
+                    finish(new AeriesNetworkError(err.message, { statusCode: response.statusCode, url: rOptions.url, cause: err }));
+                });
+                body.pipe(parser);
+            }, function (err) {
+                finish(wrapError(err, { url: rOptions.url }));
+            });
+        }
+
+        parser.on('error', function () {
+            finish(null);
+        });
+
+        return parser;
+    }
+
+    /**
+     * Builds the request options for an API call.
+     * @param {URL} url The url for the API.
+     * @param {callOptions} callOptions
+     * @returns {Object}
      */
-    makeApiCall(url, callback) {
+    _buildRequestOptions(url, callOptions) {
         var rOptions = {
             url: url.toString(),
-            method: 'GET',
+            method: (callOptions.method || 'GET').toUpperCase(),
             headers: {
                 'Accept': 'application/json',
-                'AERIES-CERT': this.certificate || ''
+                'AERIES-CERT': ''
             }
         };
-        var _r = request(rOptions, function (err, response, body) {
-            if (body) {
-                try {
-                    var jBody = JSON.parse(body);
-                    callback(err, jBody, response ? response.statusCode : 500);
+
+        if (callOptions.body !== undefined && callOptions.body !== null) {
+            rOptions.body = JSON.stringify(callOptions.body);
+            rOptions.headers['Content-Type'] = 'application/json';
+        }
+
+        if (this.agent && url.protocol === 'https:') {
+            rOptions.agent = this.agent;
+        }
+
+        return rOptions;
+    }
+
+    /**
+     * Sets the AERIES-CERT header of a request from the credential provider.
+     * @param {Object} rOptions The request options.
+     * @param {boolean} [refresh] Get the certificate again, after a 401.
+     * @returns {Promise}
+     */
+    _authorize(rOptions, refresh) {
+        return Promise.resolve().then(() => this.credentials.getCertificate(!!refresh)).then(function (certificate) {
+            rOptions.headers['AERIES-CERT'] = certificate || '';
+        }, function (err) {
+            throw errors.wrapError(err, { url: rOptions.url });
+        });
+    }
+
+    /**
+     * Checks if the certificate can change, so a 401 is worth retrying with a fresh one.
+     * @returns {boolean}
+     */
+    _canRefresh() {
+        return !(this.credentials instanceof StaticCredentials);
+    }
+
+    /**
+     * Sends a request through the middleware pipeline, then the built in authorization and JSON parsing steps, and the transport.
+     * @param {Object} rOptions The request options.
+     * @returns {{response: Promise<pipelineResponse>, abort: function()}}
+     */
+    _dispatch(rOptions) {
+        var transport = this.transport;
+        var current = null;
+        var aborted = false;
+
+        var stack = this.middleware.concat([middleware.authorize(this), middleware.parseJson()]);
+        var response = middleware.compose(stack, function (request) {
+            return new Promise(function (resolve, reject) {
+                if (aborted) {
+                    reject(new AeriesAbortError('The request was aborted.', { url: request.url }));
+                    return;
                 }
-                catch (e) {
-                    callback(e, body, response ? response.statusCode : 500);
+                current = transport.request(request, function (err, res) {
+                    current = null;
+                    if (err) {
+                        reject(new AeriesNetworkError(err.message, { url: request.url, cause: err }));
+                        return;
+                    }
+                    if (request.stream) {
+                        resolve({ statusCode: res.statusCode, headers: res.headers, body: res.body });
+                        return;
+                    }
+                    readBody(res.body, function (err, text) {
+                        if (err) {
+                            reject(new AeriesNetworkError(err.message, { statusCode: res.statusCode, url: request.url, cause: err }));
+                            return;
+                        }
+                        resolve({ statusCode: res.statusCode, headers: res.headers, body: text, text: text });
+                    });
+                });
+            });
+        })(rOptions);
+
+        return {
+            response: response,
+            abort: function () {
+                aborted = true;
+                if (current) {
+                    current.abort();
                 }
             }
-            else {
-                callback(null, null, response ? response.statusCode : 500);
+        };
+    }
+
+    /**
+     * Sends a single request to Aeries and parses the response.
+     * @param {Object} rOptions The request options.
+     * @param {number} [timeout] The time to wait for the response, in milliseconds.
+     * @param {function(AeriesError, object, number, Object)} callback Called with the error, parsed body, status code and the response, with its raw body, status code and headers.
+     * @returns {{abort: function()}} A handle to abort the request.
+     */
+    _sendRequest(rOptions, timeout, callback) {
+        var completed = false;
+        var timer = null;
+
+        function complete(err, body, statusCode, response) {
+            if (completed) {
+                return;
             }
+            completed = true;
+            clearTimeout(timer);
+            callback(err, body, statusCode, response);
+        }
+
+        var req = this._dispatch(rOptions);
+        req.response.then(function (res) {
+            var body = res.body === undefined ? null : res.body;
+            // Responses answered by middleware may only have a parsed body.
+            var text = typeof res.text === 'string' ? res.text : body === null ? '' : JSON.stringify(body);
+            var headers = res.headers || {};
+            complete(errorFromResponse(res.statusCode, rOptions.url, text, headers), body, res.statusCode, { statusCode: res.statusCode, headers: headers, body: text });
+        }, function (err) {
+            err = wrapError(err, { url: rOptions.url });
+            complete(err, err.body, err.statusCode || 500);
         });
+
+        if (timeout > 0) {
+            timer = setTimeout(function () {
+                req.abort();
+                complete(new AeriesTimeoutError('The request timed out after ' + timeout + 'ms.', { url: rOptions.url }), null, 500);
+            }, timeout);
+        }
+
+        return {
+            abort: function () {
+                req.abort();
+                complete(new AeriesAbortError('The request was aborted.', { url: rOptions.url }), null, 500);
+            }
+        };
     }
 
     /**
      * Get's a list of schools.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getSchools(callback) {
-        this.makeApiCall(this.makeApiUrl('v3', 'schools'), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools'), callback);
     }
 
     /**
      * Gets information for a specific school.
      * @param {number} schoolCode
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getSchool(schoolCode, callback) {
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode), callback);
     }
 
     /**
      * Get's the term information for a school.
      * @param {number} schoolCode The school to get information for.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getSchoolTerms(schoolCode, callback) {
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'terms'), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'terms'), callback);
     }
 
     /**
      * Get's the calendar information for a school.
      * @param {number} schoolCode The school to get information for.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getSchoolCalendar(schoolCode, callback) {
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'calendar'), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'calendar'), callback);
     }
 
     /**
      * Get's the bell schedule for a school.
      * @param {number} schoolCode The school to get information for.
      * @param {number} [day] The specific day to get. (optional)
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getSchoolBellSchedule(schoolCode, day, callback) {
         if (typeof day === 'function') {
@@ -171,16 +886,15 @@ class aeriesjs {
             day = null;
         }
 
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'bellschedule', day), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'bellschedule', day), callback);
     }
 
     /**
      * Get's the bell schedule for a school.
      * @param {number} schoolCode The school to get information for.
      * @param {string} [code] The specific code to get. (optional)
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getSchoolAbsenceCodes(schoolCode, code, callback) {
         if (typeof code === 'function') {
@@ -188,104 +902,113 @@ class aeriesjs {
             code = null;
         }
 
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'absencecodes', code), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'absencecodes', code), callback);
     }
 
     /**
      * Gets the code values for a specific table and field.
      * @param {string} table The Aeries table to look up codes for.
      * @param {string} field The field in the table to lookup codes for.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getCodes(table, field, callback) {
-        this.makeApiCall(this.makeApiUrl('v3', 'codes', table, field), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'codes', table, field), callback);
     }
 
     /**
      * Get all of the students at a school.
      * @param {number} schoolCode The school code to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getStudents(schoolCode, callback) {
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'students'), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'students'), callback);
+    }
+
+    /**
+     * Stream all of the students at a school.
+     * @param {number} schoolCode The school code to use.
+     * @returns {Readable} An object mode stream of students.
+     */
+    streamStudents(schoolCode) {
+        return this.makeApiStream(this.makeApiUrl('v3', 'schools', schoolCode, 'students'));
     }
 
     /**
      * Get all of the students at a school in a specific grade.
      * @param {number} schoolCode The school code to use.
      * @param {number} grade The student grade to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getStudentsInGrade(schoolCode, grade, callback) {
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'students', 'grade', grade), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'students', 'grade', grade), callback);
     }
 
     /**
      * Get information about a specific student at a school.
      * @param {number} schoolCode The school code to use.
      * @param {number} studentNumber The student number to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getStudentByNumber(schoolCode, studentNumber, callback) {
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'students', 'sn', studentNumber), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'students', 'sn', studentNumber), callback);
     }
 
     /**
      * Get information about a specific student at a school.
      * @param {number} schoolCode The school code to use.
      * @param {number} studentId The student id to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getStudentById(schoolCode, studentId, callback) {
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'students', studentId), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'students', studentId), callback);
     }
 
     /**
      * Get extended information about a specific student at a school.
      * @param {number} schoolCode The school code to use.
      * @param {number} studentId The student id to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getStudentByIdExtended(schoolCode, studentId, callback) {
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'students', studentId, 'extended'), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'students', studentId, 'extended'), callback);
     }
 
     /**
      * Get extended information for all of the students at a school in a specific grade.
      * @param {number} schoolCode The school code to use.
      * @param {number} grade The grade to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getStudentsInGradeExtended(schoolCode, grade, callback) {
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'students', 'grade', grade, 'extended'), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'students', 'grade', grade, 'extended'), callback);
+    }
+
+    /**
+     * Stream extended information for all of the students at a school in a specific grade.
+     * @param {number} schoolCode The school code to use.
+     * @param {number} grade The grade to use.
+     * @returns {Readable} An object mode stream of students.
+     */
+    streamStudentsInGradeExtended(schoolCode, grade) {
+        return this.makeApiStream(this.makeApiUrl('v3', 'schools', schoolCode, 'students', 'grade', grade, 'extended'));
     }
 
     /**
      * Get information about a specific student at a school.
      * @param {number} schoolCode The school code to use.
      * @param {number} studentNumber The student number to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getStudentByNumberExtended(schoolCode, studentNumber, callback) {
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'students', 'sn', studentNumber, 'extended'), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'students', 'sn', studentNumber, 'extended'), callback);
     }
 
     /**
@@ -296,44 +1019,62 @@ class aeriesjs {
      * @param {number} day The month e.g. 24
      * @param {number} hour The month e.g. 18
      * @param {number} minute The month e.g. 35
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getStudentDataChanges(dataArea, year, month, day, hour, minute, callback) {
-        this.makeApiCall(this.makeApiUrl('v2', 'StudentDataChanges', dataArea, year, month, day, hour, minute), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v2', 'StudentDataChanges', dataArea, year, month, day, hour, minute), callback);
     }
 
     /**
      * Get all of the contacts for students.
      * @param {number} schoolCode The school code to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getContacts(schoolCode, callback) {
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'contacts'), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'contacts'), callback);
+    }
+
+    /**
+     * Stream all of the contacts for students.
+     * @param {number} schoolCode The school code to use.
+     * @returns {Readable} An object mode stream of contacts.
+     */
+    streamContacts(schoolCode) {
+        return this.makeApiStream(this.makeApiUrl('v3', 'schools', schoolCode, 'contacts'));
     }
 
     /**
      * Get the contacts for a student at a school.
      * @param {number} schoolCode The school code to use.
      * @param {number} studentId The student id to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getContactsById(schoolCode, studentId, callback) {
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'contacts', studentId), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'contacts', studentId), callback);
     }
 
+    /**
+     * Insert or update the contacts for a student at a school.
+     * @param {number} schoolCode The school code to use.
+     * @param {number} studentId The student id to use.
+     * @param {Object[]} contacts The contact records to write.
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
+     */
+    updateContacts(schoolCode, studentId, contacts, callback) {
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'contacts', studentId), { method: 'POST', body: contacts }, callback);
+    }
 
     /**
      * Get the programs for a student at a school.
      * @param {number} schoolCode The school code to use.
      * @param {number} studentId The student id to use. Use 0 for all students.
      * @param {number} [code] A program code to filter by. e.g. 144
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getProgramsById(schoolCode, studentId, code, callback) {
         if (typeof code === 'function') {
@@ -341,27 +1082,30 @@ class aeriesjs {
             code = null;
         }
 
-        var _url = this.makeApiUrl('v3', 'schools', schoolCode, 'students', studentId, 'programs');
-
-        if (code) {
-            _url.search = '?code=' + code.toString();
-        }
+        return this.school(schoolCode).students(studentId).programs().code(code || null).get(callback);
+    }
 
-        this.makeApiCall(_url, function (err, body, code) {
-            callback(err, body, code);
-        });
+    /**
+     * Insert or update the programs for a student at a school.
+     * @param {number} schoolCode The school code to use.
+     * @param {number} studentId The student id to use.
+     * @param {Object[]} programs The program records to write.
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
+     */
+    updateProgramsById(schoolCode, studentId, programs, callback) {
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'students', studentId, 'programs'), { method: 'POST', body: programs }, callback);
     }
 
     /**
      * Get the test results for a student.
      * This will return a full history of all State and locally administered Standardized Tests in Aeries. This does not include SAT I, SAT II, ACT, IB, or AP tests though. Examples include CST, CAHSEE, and CELDT.
      * @param {number} studentId The student id to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getTestsById(studentId, callback) {
-        this.makeApiCall(this.makeApiUrl('v2', 'students', studentId, 'tests'), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v2', 'students', studentId, 'tests'), callback);
     }
 
     /**
@@ -369,7 +1113,8 @@ class aeriesjs {
      * This will return a full history of all tests normally taken in preparation for college. These include: SAT I, SAT II, ACT, IB, and AP tests.
      * @param {number} schoolCode The school code to use.
      * @param {number} [studentId] The student id to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getCollegeTestsById(schoolCode, studentId, callback) {
         if (typeof studentId === 'function') {
@@ -377,9 +1122,7 @@ class aeriesjs {
             studentId = null;
         }
 
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'collegetestscores', studentId), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'collegetestscores', studentId), callback);
     }
 
     /**
@@ -387,7 +1130,8 @@ class aeriesjs {
      * This will return a full history of all "Assertive Discipline" records for all students in the selected school. This will include incidents from previous school years and those from different schools. An "Assertive Discipline" record normally represents a behavioral incident that resulted in punitive action.
      * @param {number} schoolCode The school code to use.
      * @param {number} [studentId] The student id to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getAssertiveDisciplineById(schoolCode, studentId, callback) {
         if (typeof studentId === 'function') {
@@ -395,9 +1139,7 @@ class aeriesjs {
             studentId = null;
         }
 
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'assertivediscipline', studentId), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'assertivediscipline', studentId), callback);
     }
 
     /**
@@ -405,17 +1147,16 @@ class aeriesjs {
      * This will return student information from the "DSD" table in Aeries. This is a table that can be customized by each district with a set of fields that are consistent for all instances of a student record throughout the district (when the student is enrolled in multiple schools during the year).
      * @param {number} schoolCode The school code to use.
      * @param {number} [studentId] The student id to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
-    getAssertiveDisciplineById(schoolCode, studentId, callback) {
+    getDistrictSupplementalById(schoolCode, studentId, callback) {
         if (typeof studentId === 'function') {
             callback = studentId;
             studentId = null;
         }
 
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'districtsupplemental', studentId), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'districtsupplemental', studentId), callback);
     }
 
     /**
@@ -423,7 +1164,8 @@ class aeriesjs {
      * This will return a full history of all fees and fines incurred by the student, including those that have already been paid.
      * @param {number} schoolCode The school code to use.
      * @param {number} [studentId] The student id to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getFeesAndFinesById(schoolCode, studentId, callback) {
         if (typeof studentId === 'function') {
@@ -431,9 +1173,7 @@ class aeriesjs {
             studentId = null;
         }
 
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'fees', studentId), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'fees', studentId), callback);
     }
 
     /**
@@ -441,7 +1181,8 @@ class aeriesjs {
      * This will return the most recent photo of the student stored in Aeries.
      * @param {number} schoolCode The school code to use.
      * @param {number} [studentId] The student id to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getStudentPictureById(schoolCode, studentId, callback) {
         if (typeof studentId === 'function') {
@@ -449,16 +1190,15 @@ class aeriesjs {
             studentId = null;
         }
 
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'studentpictures', studentId), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'studentpictures', studentId), callback);
     }
 
     /**
      * Get student groups.
      * Student Groups are lists of students that schools have grouped together for any purpose, such as athletic team membership, club participation, academic reasons, special programs, etc.
      * @param {number|string} schoolCode The school code to use or "all" for all schools.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getStudentGroups(schoolCode, callback) {
         if (typeof schoolCode === 'function') {
@@ -469,16 +1209,15 @@ class aeriesjs {
             schoolCode = 'all';
         }
 
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'StudentGroups'), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'StudentGroups'), callback);
     }
 
     /**
      * Get student enrollment.
      * will return the enrollment history for one or all students.
      * @param {number} studentId The student id or 0 for all.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getStudentEnrollment(studentId, callback) {
         if (typeof studentId === 'function') {
@@ -489,9 +1228,7 @@ class aeriesjs {
             studentId = 0;
         }
 
-        this.makeApiCall(this.makeApiUrl('v3', 'enrollment', studentId), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'enrollment', studentId), callback);
     }
 
     /**
@@ -499,7 +1236,8 @@ class aeriesjs {
      * will return the enrollment history for one or all students.
      * @param {number} schoolCode The school code to use.
      * @param {number} studentId The student id or 0 for all.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getStudentEnrollmentAtSchool(schoolCode, studentId, callback) {
         if (typeof studentId === 'function') {
@@ -510,9 +1248,7 @@ class aeriesjs {
             studentId = 0;
         }
 
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'enrollment', studentId), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'enrollment', studentId), callback);
     }
 
     /**
@@ -521,7 +1257,8 @@ class aeriesjs {
      * @param {number} schoolCode The school code to use.
      * @param {number} studentId The student id or 0 for all.
      * @param {number} year The academic year to limit to. e.g. 2017 for the 2017-2018 academic year
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getStudentEnrollmentByYear(schoolCode, studentId, year, callback) {
         if (studentId === null) {
@@ -529,12 +1266,14 @@ class aeriesjs {
         }
 
         if (year < 1900) {
-            callback(new Error('Please enter a valid School Year.'), null, 500);
+            var err = new AeriesValidationError('Please enter a valid School Year.');
+            if (typeof callback !== 'function') {
+                return Promise.reject(err);
+            }
+            callback(err, null, 500);
         }
         else {
-            this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'enrollment', studentId, 'year', year), function (err, body, code) {
-                callback(err, body, code);
-            });
+            return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'enrollment', studentId, 'year', year), callback);
         }
     }
 
@@ -543,7 +1282,8 @@ class aeriesjs {
      * This will return detailed student attendance data for the selected school.
      * @param {number} schoolCode The school code to use.
      * @param {number} [studentId] The student id to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getAttendance(schoolCode, studentId, callback) {
         if (typeof studentId === 'function') {
@@ -551,9 +1291,17 @@ class aeriesjs {
             studentId = null;
         }
 
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'attendance', studentId), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'attendance', studentId), callback);
+    }
+
+    /**
+     * Stream student attendance for the selected school.
+     * @param {number} schoolCode The school code to use.
+     * @param {number} [studentId] The student id to use.
+     * @returns {Readable} An object mode stream of attendance records.
+     */
+    streamAttendance(schoolCode, studentId) {
+        return this.makeApiStream(this.makeApiUrl('v3', 'schools', schoolCode, 'attendance', studentId));
     }
 
     /**
@@ -563,7 +1311,8 @@ class aeriesjs {
      * @param {string} startDate The start date of the range. YYYYMMDD
      * @param {string} endDate The end date of the range. YYYYMMDD
      * @param {number} [studentId] The student id to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getAttendanceByDateRange(schoolCode, startDate, endDate, studentId, callback) {
         if (typeof studentId === 'function') {
@@ -571,12 +1320,7 @@ class aeriesjs {
             studentId = null;
         }
 
-        var _url = this.makeApiUrl('v3', 'schools', schoolCode, 'attendance', studentId);
-        _url.search = '?startDate=' + startDate + '&endDate=' + endDate;
-
-        this.makeApiCall(_url, function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.school(schoolCode).attendance(studentId).between(startDate, endDate).get(callback);
     }
 
     /**
@@ -584,7 +1328,8 @@ class aeriesjs {
      * This will return a summary of Attendance History data and can be limited to a specific student.
      * @param {number} schoolCode The school code to use.
      * @param {number} [studentId] The student id to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getAttendanceHistory(schoolCode, studentId, callback) {
         if (typeof studentId === 'function') {
@@ -592,9 +1337,7 @@ class aeriesjs {
             studentId = null;
         }
 
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'attendancehistory', 'summary', studentId), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'attendancehistory', 'summary', studentId), callback);
     }
 
     /**
@@ -602,11 +1345,37 @@ class aeriesjs {
      * This will return a summary of Attendance History data for a school and academic year.
      * @param {number} schoolCode The school code to use.
      * @param {string} year The academic year in the format yyyy-yyyy e.g. "2017-2018"
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getAttendanceHistoryByYear(schoolCode, year, callback) {
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'attendancehistory', 'summary', 'year', year), function (err, body, code) {
-            callback(err, body, code);
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'attendancehistory', 'summary', 'year', year), callback);
+    }
+
+    /**
+     * Fetches the attendance, absence codes, calendar and students of a school, the records attendance summaries are calculated from.
+     * The records are not redacted, as the calculations need the student ids and dates; do not pass them on where a redaction profile applies.
+     * @param {number} schoolCode The school code to use.
+     * @param {attendanceOptions} [options] startDate and endDate limit the attendance fetched.
+     * @returns {Promise<attendanceData>}
+     */
+    fetchAttendanceData(schoolCode, options) {
+        return attendance.fetchAttendanceData(this, schoolCode, options);
+    }
+
+    /**
+     * Calculates the days enrolled, absent, excused, unexcused and tardy and the attendance rate of each student at a school,
+     * with totals by grade, and flags chronically absent students, e.g. aeries.getAttendanceSummary(994, { grade: 9, threshold: 0.1 })
+     * The records are fetched without redaction; the client's redaction profile is applied to the student lists of the summary.
+     * @param {number} schoolCode The school code to use.
+     * @param {attendanceOptions} [options]
+     * @param {attendanceData} [data] Previously fetched attendance data, to reuse instead of fetching it again.
+     * @returns {Promise<attendanceSummary>}
+     */
+    getAttendanceSummary(schoolCode, options, data) {
+        return Promise.resolve(data || this.fetchAttendanceData(schoolCode, options)).then((attendanceData) => {
+            var summary = attendance.summarizeAttendance(attendanceData, options);
+            return attendance.redactSummary(summary, this._redactionFor(this.callOptions || {}), this.makeApiUrl('v3', 'schools', schoolCode, 'attendance'));
         });
     }
 
@@ -614,7 +1383,8 @@ class aeriesjs {
      * Get student grades.
      * @param {number} schoolCode The school code to use.
      * @param {number} [studentId] The student id to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getStudentGrades(schoolCode, studentId, callback) {
         if (typeof studentId === 'function') {
@@ -622,16 +1392,15 @@ class aeriesjs {
             studentId = null;
         }
 
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'gpas', studentId), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'gpas', studentId), callback);
     }
 
     /**
      * Get student report cards.
      * @param {number} schoolCode The school code to use.
      * @param {number} [studentId] The student id to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getReportCards(schoolCode, studentId, callback) {
         if (typeof studentId === 'function') {
@@ -639,38 +1408,35 @@ class aeriesjs {
             studentId = null;
         }
 
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'reportcard', studentId), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'reportcard', studentId), callback);
     }
 
     /**
      * Get school report card marking periods.
      * @param {number} schoolCode The school code to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getReportCardMarkingPeriods(schoolCode, callback) {
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'reportcardmarkingperiods'), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'reportcardmarkingperiods'), callback);
     }
 
     /**
      * Get graduation requirements for a school.
      * @param {number} schoolCode The school code to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getGraduationRequirements(schoolCode, callback) {
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'graduationrequirements'), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'graduationrequirements'), callback);
     }
 
     /**
      * Get graduation status summary for a student or all students.
      * @param {number} schoolCode The school code to use.
      * @param {number} [studentId] The student id to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getGraduationSummary(schoolCode, studentId, callback) {
         if (typeof studentId === 'function') {
@@ -678,28 +1444,26 @@ class aeriesjs {
             studentId = null;
         }
 
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'graduationstatussummary', studentId), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'graduationstatussummary', studentId), callback);
     }
 
     /**
      * Get graduation status summary for all students at a school in the specified grade.
      * @param {number} schoolCode The school code to use.
      * @param {number} grade The grade to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getGraduationSummaryByGrade(schoolCode, grade, callback) {
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'graduationstatussummary', 'grade', grade), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'graduationstatussummary', 'grade', grade), callback);
     }
 
     /**
      * Get transcript information for a student or all students at a school.
      * @param {number} schoolCode The school code to use.
      * @param {number} [studentId] The student id to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getTranscript(schoolCode, studentId, callback) {
         if (typeof studentId === 'function') {
@@ -707,16 +1471,25 @@ class aeriesjs {
             studentId = null;
         }
 
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'transcript', studentId), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'transcript', studentId), callback);
+    }
+
+    /**
+     * Stream transcript information for a student or all students at a school.
+     * @param {number} schoolCode The school code to use.
+     * @param {number} [studentId] The student id to use.
+     * @returns {Readable} An object mode stream of transcript records.
+     */
+    streamTranscript(schoolCode, studentId) {
+        return this.makeApiStream(this.makeApiUrl('v3', 'schools', schoolCode, 'transcript', studentId));
     }
 
     /**
      * Get class schedule for one student or all students at a school.
      * @param {number} schoolCode The school code to use.
      * @param {number} [studentId] The student id to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getClassSchedule(schoolCode, studentId, callback) {
         if (typeof studentId === 'function') {
@@ -724,15 +1497,14 @@ class aeriesjs {
             studentId = null;
         }
 
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'classes', studentId), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'classes', studentId), callback);
     }
 
     /**
      * Get course details for one or all courses.
      * @param {string} [courseId] The ID of the course to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getCourseDetails(courseId, callback) {
         if (typeof courseId === 'function') {
@@ -740,9 +1512,7 @@ class aeriesjs {
             courseId = null;
         }
 
-        this.makeApiCall(this.makeApiUrl('courses', courseId), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('courses', courseId), callback);
     }
 
     /**
@@ -753,18 +1523,18 @@ class aeriesjs {
      * @param {number} day The month e.g. 24
      * @param {number} hour The month e.g. 18
      * @param {number} minute The month e.g. 35
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getCourseDataChanges(year, month, day, hour, minute, callback) {
-        this.makeApiCall(this.makeApiUrl('v2', 'CourseDataChanges', year, month, day, hour, minute), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v2', 'CourseDataChanges', year, month, day, hour, minute), callback);
     }
 
     /**
      * Get staff information.
      * @param {number} [staffId] The ID of the staff member.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getStaffDetails(staffId, callback) {
         if (typeof staffId === 'function') {
@@ -772,9 +1542,7 @@ class aeriesjs {
             staffId = null;
         }
 
-        this.makeApiCall(this.makeApiUrl('v3', 'staff', staffId), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'staff', staffId), callback);
     }
 
     /**
@@ -785,19 +1553,19 @@ class aeriesjs {
      * @param {number} day The month e.g. 24
      * @param {number} hour The month e.g. 18
      * @param {number} minute The month e.g. 35
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getStaffDataChanges(year, month, day, hour, minute, callback) {
-        this.makeApiCall(this.makeApiUrl('v2', 'StaffDataChanges', year, month, day, hour, minute), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v2', 'StaffDataChanges', year, month, day, hour, minute), callback);
     }
 
     /**
      * Get teacher information for one or all teachers at a school.
      * @param {number} schoolCode The school code to use.
      * @param {number} [teacherId] The teacher id to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getTeachers(schoolCode, teacherId, callback) {
         if (typeof teacherId === 'function') {
@@ -805,20 +1573,17 @@ class aeriesjs {
             teacherId = null;
         }
 
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'teachers', teacherId), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'teachers', teacherId), callback);
     }
 
    /**
     * Returns a list of teacher records associated with the given Staff ID.
     * @param {number} staffId The staff id to use.
-    * @param {apiCallback} callback
+    * @param {apiCallback} [callback]
+    * @returns {Promise<apiResult>|undefined}
     */
     getStaffTeachers(schoolCode, staffId, callback) {
-        this.makeApiCall(this.makeApiUrl('v2', 'staff', staffId), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v2', 'staff', staffId), callback);
     }
 
     /**
@@ -826,7 +1591,8 @@ class aeriesjs {
      * If Section Number is not passed, all section records in the master schedule of the given school will be returned.
      * @param {number} schoolCode The school code to use.
      * @param {number} [sectionNumber] The section number to get.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getSection(schoolCode, sectionNumber, callback) {
         if (typeof sectionNumber === 'function') {
@@ -834,9 +1600,7 @@ class aeriesjs {
             sectionNumber = null;
         }
 
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'sections', sectionNumber), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'sections', sectionNumber), callback);
     }
 
     /**
@@ -847,24 +1611,22 @@ class aeriesjs {
      * @param {number} day The month e.g. 24
      * @param {number} hour The month e.g. 18
      * @param {number} minute The month e.g. 35
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getSectionDataChanges(year, month, day, hour, minute, callback) {
-        this.makeApiCall(this.makeApiUrl('v2', 'sectiondatachanges', year, month, day, hour, minute), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v2', 'sectiondatachanges', year, month, day, hour, minute), callback);
     }
 
     /**
      * Get section class roster.
      * @param {number} schoolCode The school code to use.
      * @param {number} sectionNumber The section number to get.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getClassRoster(schoolCode, sectionNumber, callback) {
-        this.makeApiCall(this.makeApiUrl('v1', 'schools', schoolCode, 'sections', sectionNumber, 'students'), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v1', 'schools', schoolCode, 'sections', sectionNumber, 'students'), callback);
     }
 
     /**
@@ -875,53 +1637,50 @@ class aeriesjs {
      * @param {number} day The month e.g. 24
      * @param {number} hour The month e.g. 18
      * @param {number} minute The month e.g. 35
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getClassRosterChanges(year, month, day, hour, minute, callback) {
-        this.makeApiCall(this.makeApiUrl('v2', 'sectionrosterdatachanges', year, month, day, hour, minute), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v2', 'sectionrosterdatachanges', year, month, day, hour, minute), callback);
     }
 
     /**
      * Get gradebooks for a staff id.
      * @param {number} staffId The staff id to use.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getGradebookByStaffId(staffId, callback) {
-        this.makeApiCall(this.makeApiUrl('v3', 'staff', staffid, 'gradebooks'), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'staff', staffId, 'gradebooks'), callback);
     }
 
     /**
      * Get all gradebooks for students in a school and section.
      * @param {number} schoolCode The school code to use.
      * @param {number} sectionNumber The section number to get.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getGradebookBySection(schoolCode, sectionNumber, callback) {
-        this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'sections', sectionNumber, 'gradebooks'), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'schools', schoolCode, 'sections', sectionNumber, 'gradebooks'), callback);
     }
 
     /**
      * Get a gradebook by gradebook id.
      * @param {number} gradebookId The id of the gradebook to get.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getGradebookById(gradebookId, callback) {
-        this.makeApiCall(this.makeApiUrl('v3', 'gradebooks', gradebookId), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'gradebooks', gradebookId), callback);
     }
 
     /**
      * Get one or all assignments in a gradebook.
      * @param {number} gradebookId
      * @param {number} [assignmentId]
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getGradebookAssignments(gradebookId, assignmentId, callback) {
         if (typeof assignmentId === 'function') {
@@ -929,31 +1688,61 @@ class aeriesjs {
             assignmentId = null;
         }
 
-        this.makeApiCall(this.makeApiUrl('v3', 'gradebooks', gradebookId, 'assignments', assignmentId), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'gradebooks', gradebookId, 'assignments', assignmentId), callback);
+    }
+
+    /**
+     * Create an assignment in a gradebook.
+     * @param {number} gradebookId
+     * @param {Object} assignment The assignment to create.
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
+     */
+    createGradebookAssignment(gradebookId, assignment, callback) {
+        return this.makeApiCall(this.makeApiUrl('v3', 'gradebooks', gradebookId, 'assignments'), { method: 'POST', body: assignment }, callback);
+    }
+
+    /**
+     * Update an assignment in a gradebook.
+     * @param {number} gradebookId
+     * @param {number} assignmentId
+     * @param {Object} assignment The updated assignment.
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
+     */
+    updateGradebookAssignment(gradebookId, assignmentId, assignment, callback) {
+        return this.makeApiCall(this.makeApiUrl('v3', 'gradebooks', gradebookId, 'assignments', assignmentId), { method: 'PUT', body: assignment }, callback);
+    }
+
+    /**
+     * Delete an assignment from a gradebook.
+     * @param {number} gradebookId
+     * @param {number} assignmentId
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
+     */
+    deleteGradebookAssignment(gradebookId, assignmentId, callback) {
+        return this.makeApiCall(this.makeApiUrl('v3', 'gradebooks', gradebookId, 'assignments', assignmentId), { method: 'DELETE' }, callback);
     }
 
     /**
      * Get a gradebook assignment by unique gradebook id.
      * @param {number} uniqueId The unique id of the gradebook to get.
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getGradebookAssugnmentByUniqueId(uniqueId, callback) {
-        this.makeApiCall(this.makeApiUrl('v3', 'gradebooks', 'assignments', uniqueId), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'gradebooks', 'assignments', uniqueId), callback);
     }
 
     /**
      * Get the final marks for a gradebook.
      * @param {number} gradebookId
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getGradebookFinalMarks(gradebookId, callback) {
-        this.makeApiCall(this.makeApiUrl('v3', 'gradebooks', gradebookId, 'finalmarks'), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'gradebooks', gradebookId, 'finalmarks'), callback);
     }
 
     /**
@@ -961,7 +1750,8 @@ class aeriesjs {
      * @param {number} gradebookId
      * @param {string} gradebookTerm
      * @param {number} [studentId]
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getGradebookStudentInfo(gradebookId, gradebookTerm, studentId, callback) {
         if (typeof studentId === 'function') {
@@ -969,9 +1759,7 @@ class aeriesjs {
             studentId = null;
         }
 
-        this.makeApiCall(this.makeApiUrl('v3', 'gradebooks', gradebookId, gradebookTerm, 'students', studentId), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'gradebooks', gradebookId, gradebookTerm, 'students', studentId), callback);
     }
 
     /**
@@ -979,7 +1767,8 @@ class aeriesjs {
      * @param {number} gradebookId
      * @param {number} assignmentId
      * @param {number} [studentId]
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getGradebookAssignmentScores(gradebookId, assignmentId, studentId, callback) {
         if (typeof studentId === 'function') {
@@ -987,16 +1776,27 @@ class aeriesjs {
             studentId = null;
         }
 
-        this.makeApiCall(this.makeApiUrl('v3', 'gradebooks', gradebookId, 'assignments', assignmentId,  'scores', studentId), function (err, body, code) {
-            callback(err, body, code);
-        });
+        return this.makeApiCall(this.makeApiUrl('v3', 'gradebooks', gradebookId, 'assignments', assignmentId,  'scores', studentId), callback);
+    }
+
+    /**
+     * Update the scores for an assignment.
+     * @param {number} gradebookId
+     * @param {number} assignmentId
+     * @param {Object[]} scores The score records to write, e.g. [{ PermanentID: 99400001, NumberCorrect: 9 }]
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
+     */
+    updateGradebookAssignmentScores(gradebookId, assignmentId, scores, callback) {
+        return this.makeApiCall(this.makeApiUrl('v3', 'gradebooks', gradebookId, 'UpdateScores', assignmentId), { method: 'POST', body: scores }, callback);
     }
 
     /**
      * Get the scores for an assignment with the optional limit to a specific student.
      * @param {number} uniqueId
      * @param {number} [studentId]
-     * @param {apiCallback} callback
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
      */
     getGradebookAssignmentScoresByUniqueId(uniqueId, studentId, callback) {
         if (typeof studentId === 'function') {
@@ -1004,10 +1804,170 @@ class aeriesjs {
             studentId = null;
         }
 
-        this.makeApiCall(this.makeApiUrl('v3', 'gradebooks', 'assignments', uniqueId, 'scores', studentId), function (err, body, code) {
-            callback(err, body, code);
+        return this.makeApiCall(this.makeApiUrl('v3', 'gradebooks', 'assignments', uniqueId, 'scores', studentId), callback);
+    }
+
+    /**
+     * Update the scores for an assignment by the assignment unique id.
+     * @param {number} uniqueId
+     * @param {Object[]} scores The score records to write.
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
+     */
+    updateGradebookAssignmentScoresByUniqueId(uniqueId, scores, callback) {
+        return this.makeApiCall(this.makeApiUrl('v3', 'gradebooks', 'UpdateScores', uniqueId), { method: 'POST', body: scores }, callback);
+    }
+
+    /**
+     * Calls a function for each school in the district with bounded concurrency and merges the records.
+     * Each record is tagged with its school code, and schools that fail are reported in the result instead of failing the call.
+     * @param {function(number): Promise<apiResult>} fn Called with each school code, e.g. (code) => aeries.getStudents(code)
+     * @param {districtOptions} [options]
+     * @returns {Promise<districtResult>}
+     */
+    forEachSchool(fn, options) {
+        return district.forEachSchool(this, fn, options);
+    }
+
+    /**
+     * Get all of the students in the district.
+     * @param {districtOptions} [options]
+     * @returns {Promise<districtResult>}
+     */
+    getDistrictStudents(options) {
+        return this.forEachSchool((schoolCode) => this.getStudents(schoolCode), options);
+    }
+
+    /**
+     * Get all of the student contacts in the district.
+     * @param {districtOptions} [options]
+     * @returns {Promise<districtResult>}
+     */
+    getDistrictContacts(options) {
+        return this.forEachSchool((schoolCode) => this.getContacts(schoolCode), options);
+    }
+
+    /**
+     * Get student attendance for all schools in the district.
+     * @param {districtOptions} [options]
+     * @returns {Promise<districtResult>}
+     */
+    getDistrictAttendance(options) {
+        return this.forEachSchool((schoolCode) => this.getAttendance(schoolCode), options);
+    }
+
+    /**
+     * Get all of the teachers in the district.
+     * @param {districtOptions} [options]
+     * @returns {Promise<districtResult>}
+     */
+    getDistrictTeachers(options) {
+        return this.forEachSchool((schoolCode) => this.getTeachers(schoolCode), options);
+    }
+
+    /**
+     * Get all of the master schedule sections in the district.
+     * @param {districtOptions} [options]
+     * @returns {Promise<districtResult>}
+     */
+    getDistrictSections(options) {
+        return this.forEachSchool((schoolCode) => this.getSection(schoolCode), options);
+    }
+
+    /**
+     * Exports records to a file or stream as csv, tsv or ndjson, e.g. aeries.exportRecords(aeries.getClassRoster(994, 1001), 'roster.csv')
+     * @param {Readable|Promise<apiResult>|Object[]|districtResult} source The records: a stream from a stream method, a Promise from a getter, a district wide call result or an array.
+     * @param {string|Writable} destination A file path, or a stream to write to.
+     * @param {exportOptions} [options]
+     * @returns {Promise<{count: number}>}
+     */
+    exportRecords(source, destination, options) {
+        return exporter.exportRecords(source, destination, options);
+    }
+
+    /**
+     * Fetches the schools, terms, courses, sections, rosters, teachers and students the roster exports are built from.
+     * @param {rosterOptions} [options]
+     * @returns {Promise<rosterData>}
+     */
+    fetchRosterData(options) {
+        return roster.fetchRosterData(this, options);
+    }
+
+    /**
+     * Builds a OneRoster 1.1 bundle of orgs, academicSessions, courses, classes, users, enrollments and demographics.
+     * Write it with writeOneRosterCsv or writeOneRosterJson.
+     * @param {rosterOptions|oneRosterOptions} [options]
+     * @param {rosterData} [data] Previously fetched roster data, to reuse instead of fetching it again.
+     * @returns {Promise<oneRosterBundle>}
+     */
+    getOneRoster(options, data) {
+        return Promise.resolve(data || this.fetchRosterData(options)).then(function (rosterData) {
+            return oneroster.buildOneRoster(rosterData, options);
+        });
+    }
+
+    /**
+     * Writes the roster files of an export profile, e.g. aeries.exportProfile('clever', 'clever/')
+     * @param {string|exportProfile} profile A registered profile name, e.g. clever or oneroster, or a profile.
+     * @param {string} directory The directory to write to. It is created if it does not exist.
+     * @param {rosterOptions|Object} [options] The roster options, also passed to the profile.
+     * @param {rosterData} [data] Previously fetched roster data, to reuse instead of fetching it again.
+     * @returns {Promise<string[]>} The files written.
+     */
+    exportProfile(profile, directory, options, data) {
+        try {
+            profile = profiles.getProfile(profile);
+        }
+        catch (e) {
+            return Promise.reject(e);
+        }
+        return Promise.resolve(data || this.fetchRosterData(options)).then(function (rosterData) {
+            return profiles.runProfile(profile, rosterData, directory, options);
         });
     }
 }
 
-module.exports = aeriesjs;
\ No newline at end of file
+module.exports = aeriesjs;
+Object.assign(module.exports, {
+    ChangeSync: ChangeSync,
+    MemoryCheckpointStore: checkpoints.MemoryCheckpointStore,
+    FileCheckpointStore: checkpoints.FileCheckpointStore,
+    MemoryCacheStore: cache.MemoryCacheStore,
+    FileCacheStore: cache.FileCacheStore,
+    AeriesQuery: AeriesQuery,
+    HttpTransport: HttpTransport,
+    MetricsCollector: MetricsCollector,
+    LogAdapter: LogAdapter,
+    redactPii: redactPii,
+    ClientRegistry: ClientRegistry,
+    EnvCredentials: credentials.EnvCredentials,
+    FileCredentials: credentials.FileCredentials,
+    FunctionCredentials: credentials.FunctionCredentials,
+    ExportStream: exporter.ExportStream,
+    exportRecords: exporter.exportRecords,
+    flatten: exporter.flatten,
+    summarizeAttendance: attendance.summarizeAttendance,
+    buildOneRoster: oneroster.buildOneRoster,
+    toOneRosterJson: oneroster.toOneRosterJson,
+    writeOneRosterCsv: oneroster.writeOneRosterCsv,
+    writeOneRosterJson: oneroster.writeOneRosterJson,
+    registerProfile: profiles.registerProfile,
+    getProfile: profiles.getProfile,
+    runProfile: profiles.runProfile,
+    registerRedactionProfile: redaction.registerRedactionProfile,
+    getRedactionProfile: redaction.getRedactionProfile,
+    loadRedactionProfiles: redaction.loadRedactionProfiles,
+    applyRedactionProfile: redaction.applyRedactionProfile,
+    AeriesError: errors.AeriesError,
+    AeriesNetworkError: errors.AeriesNetworkError,
+    AeriesTimeoutError: errors.AeriesTimeoutError,
+    AeriesAbortError: errors.AeriesAbortError,
+    AeriesCredentialError: errors.AeriesCredentialError,
+    AeriesParseError: errors.AeriesParseError,
+    AeriesResponseError: errors.AeriesResponseError,
+    AeriesAuthenticationError: errors.AeriesAuthenticationError,
+    AeriesNotFoundError: errors.AeriesNotFoundError,
+    AeriesValidationError: errors.AeriesValidationError,
+    AeriesServerError: errors.AeriesServerError
+});
\ No newline at end of file
@@ -0,0 +1,332 @@
+'use strict';
+
+let { applyRedactionProfile } = require('./redaction');
+
+const DEFAULT_TARDY_CODES = ['T'];
+
+/**
+ * @typedef attendanceOptions
+ * @type {Object}
+ * @property {Date|string} startDate Only count days from this date, as a Date, YYYYMMDD or YYYY-MM-DD. Defaults to the first day of the calendar.
+ * @property {Date|string} endDate Only count days up to this date. Defaults to today, so days still to come are not counted as enrolled.
+ * @property {number|number[]} grade Only include students in this grade, or these grades.
+ * @property {number} threshold The share of enrolled days absent at which a student is chronically absent. Defaults to 0.1, i.e. 10%.
+ * @property {number} minDaysEnrolled Students enrolled for fewer days are never flagged, e.g. 31 for the California definition. Defaults to 1.
+ * @property {string[]} tardyCodes Codes that mark a tardy rather than an absence. Codes with tardy in their title are included. Defaults to ["T"].
+ * @property {string[]} presentCodes Codes that count as present, e.g. an independent study code.
+ */
+
+/**
+ * The records attendance is calculated from, fetched once so it can be summarized with different options.
+ * @typedef attendanceData
+ * @type {Object}
+ * @property {number} schoolCode
+ * @property {Object[]} attendance The attendance records of the school, from getAttendance or getAttendanceByDateRange.
+ * @property {Object[]} absenceCodes The absence code table, from getSchoolAbsenceCodes.
+ * @property {Object[]} calendar The school calendar, from getSchoolCalendar.
+ * @property {Object[]} students The students of the school, from getStudents, for their grades, students with perfect attendance and enrollment dates.
+ */
+
+/**
+ * Attendance totals for a student, or summed for a grade or school.
+ * @typedef attendanceTotals
+ * @type {Object}
+ * @property {number} daysEnrolled Instructional days the student was enrolled, from the calendar.
+ * @property {number} daysPresent
+ * @property {number} daysAbsent Days with an all day absence code.
+ * @property {number} daysExcused
+ * @property {number} daysUnexcused
+ * @property {number} daysTardy Days with a tardy code, all day or in any period.
+ * @property {number|null} attendanceRate The share of enrolled days present, or null if there are no enrolled days.
+ */
+
+/**
+ * @typedef attendanceSummary
+ * @type {Object}
+ * @property {number} schoolCode
+ * @property {number} schoolDays The instructional days counted.
+ * @property {number} threshold The chronic absenteeism threshold used.
+ * @property {Object[]} students The attendanceTotals of each student, with their schoolCode, permanentId and grade, absenceRate and chronicallyAbsent flag.
+ * @property {Array<{schoolCode: number, permanentId: number}>} skippedStudents Students with attendance records but no student record, whose enrolled days are unknown.
+ * @property {Object.<number, Object>} grades The attendanceTotals of each grade, with the number of students and how many are chronicallyAbsent.
+ * @property {Object} total The attendanceTotals of the school, with the number of students, how many are chronicallyAbsent and the chronicAbsenteeismRate.
+ */
+
+/**
+ * Gets a date as YYYY-MM-DD, so dates from Aeries, e.g. 2018-09-04T00:00:00, and from options compare as strings.
+ * @param {Date|string} value
+ * @returns {string|null}
+ */
+function dayKey(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    if (value instanceof Date) {
+        return value.getFullYear() + '-' + ('0' + (value.getMonth() + 1)).slice(-2) + '-' + ('0' + value.getDate()).slice(-2);
+    }
+    var match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(String(value).trim());
+    return match ? match[1] + '-' + match[2] + '-' + match[3] : null;
+}
+
+/**
+ * Checks if a Y/N style code table flag is set.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isSet(value) {
+    return value === true || /^(y|yes|e|true|1)$/i.test(String(value === null || value === undefined ? '' : value).trim());
+}
+
+/**
+ * Gets the body of a result as an array.
+ * @param {apiResult} result
+ * @returns {Object[]}
+ */
+function toList(result) {
+    var body = result.body;
+    if (body === null || body === undefined) {
+        return [];
+    }
+    return Array.isArray(body) ? body : [body];
+}
+
+/**
+ * Creates a function that sorts attendance codes into tardy, excused or unexcused, using the absence code table.
+ * A blank code, or one of the present codes, is null. Codes missing from the table are unexcused.
+ * @param {Object[]} absenceCodes
+ * @param {attendanceOptions} options
+ * @returns {function(string): string|null}
+ */
+function createClassifier(absenceCodes, options) {
+    var codes = {};
+    absenceCodes.forEach(function (record) {
+        codes[String(record.Code).trim().toUpperCase()] = record;
+    });
+    var tardy = options.tardyCodes.map(function (code) { return String(code).toUpperCase(); });
+    var present = options.presentCodes.map(function (code) { return String(code).toUpperCase(); });
+
+    return function (value) {
+        var code = String(value === null || value === undefined ? '' : value).trim().toUpperCase();
+        if (!code || present.indexOf(code) !== -1) {
+            return null;
+        }
+        var record = codes[code];
+        if (tardy.indexOf(code) !== -1 || (record && /tard/i.test(record.Title || ''))) {
+            return 'tardy';
+        }
+        return record && isSet(record.ExcusedCode) && !isSet(record.TruancyCode) ? 'excused' : 'unexcused';
+    };
+}
+
+/**
+ * Adds up attendance totals and calculates the attendance rate.
+ * @param {attendanceTotals[]} records
+ * @returns {attendanceTotals}
+ */
+function addTotals(records) {
+    var totals = { daysEnrolled: 0, daysPresent: 0, daysAbsent: 0, daysExcused: 0, daysUnexcused: 0, daysTardy: 0 };
+    records.forEach(function (record) {
+        Object.keys(totals).forEach(function (key) {
+            totals[key] += record[key];
+        });
+    });
+    totals.attendanceRate = totals.daysEnrolled > 0 ? totals.daysPresent / totals.daysEnrolled : null;
+    return totals;
+}
+
+/**
+ * Summarizes the students of a grade or school, including the share of them that are chronically absent.
+ * @param {Object[]} students The student summaries.
+ * @param {number} minDaysEnrolled
+ * @returns {Object}
+ */
+function summarizeGroup(students, minDaysEnrolled) {
+    var eligible = students.filter(function (s) { return s.daysEnrolled >= minDaysEnrolled; });
+    var chronic = students.filter(function (s) { return s.chronicallyAbsent; }).length;
+    return Object.assign({ students: students.length }, addTotals(students), {
+        chronicallyAbsent: chronic,
+        chronicAbsenteeismRate: eligible.length > 0 ? chronic / eligible.length : null
+    });
+}
+
+/**
+ * Fetches the attendance, absence codes, calendar and students of a school at once.
+ * Records are read by their Aeries field names and without redaction, whatever the client settings are, as the calculations need the ids and dates.
+ * Redact the summary instead, with redactSummary.
+ * @param {aeriesjs} client
+ * @param {number} schoolCode
+ * @param {attendanceOptions} [options] startDate and endDate limit the attendance fetched.
+ * @returns {Promise<attendanceData>}
+ */
+function fetchAttendanceData(client, schoolCode, options) {
+    options = options || {};
+    var raw = client.withOptions({ normalize: false, redaction: false });
+    var ranged = options.startDate || options.endDate;
+
+    return Promise.all([
+        ranged ? raw.getAttendanceByDateRange(schoolCode, options.startDate || null, options.endDate || null) : raw.getAttendance(schoolCode),
+        raw.getSchoolAbsenceCodes(schoolCode),
+        raw.getSchoolCalendar(schoolCode),
+        raw.getStudents(schoolCode)
+    ]).then(function (results) {
+        return {
+            schoolCode: schoolCode,
+            attendance: toList(results[0]),
+            absenceCodes: toList(results[1]),
+            calendar: toList(results[2]),
+            students: toList(results[3])
+        };
+    });
+}
+
+/**
+ * Calculates the days enrolled, absent, excused, unexcused and tardy, and the attendance rate, of each student, grade and the school,
+ * and flags chronic absenteeism.
+ * Enrolled days are the instructional days of the calendar, those without a HolidayCode, between the student's enter and leave dates.
+ * Days are read from the CalendarDays of each attendance record. A day is absent if its AllDayAttendanceCode is an absence; the AbsenceCode of its Periods only count towards tardies.
+ * Attendance on days that are not enrolled days is ignored, as is the attendance of students with no student record, who are listed in skippedStudents.
+ * @param {attendanceData} data
+ * @param {attendanceOptions} [options]
+ * @returns {attendanceSummary}
+ */
+function summarizeAttendance(data, options) {
+    options = Object.assign({
+        startDate: null,
+        endDate: new Date(),
+        grade: null,
+        threshold: 0.1,
+        minDaysEnrolled: 1,
+        tardyCodes: DEFAULT_TARDY_CODES,
+        presentCodes: []
+    }, options);
+    if (typeof options.threshold !== 'number' || !(options.threshold > 0 && options.threshold <= 1)) {
+        throw new TypeError('The chronic absenteeism threshold must be a number greater than 0 and at most 1, e.g. 0.1 for 10%.');
+    }
+
+    var start = dayKey(options.startDate);
+    var end = dayKey(options.endDate);
+    var grades = options.grade === null || options.grade === undefined ? null : [].concat(options.grade).map(Number);
+    var classify = createClassifier(data.absenceCodes || [], options);
+
+    var schoolDays = (data.calendar || []).filter(function (day) {
+        var key = dayKey(day.CalendarDate);
+        return key && !String(day.HolidayCode || '').trim() && (!start || key >= start) && (!end || key <= end);
+    }).map(function (day) {
+        return dayKey(day.CalendarDate);
+    }).filter(function (key, i, keys) {
+        return keys.indexOf(key) === i;
+    }).sort();
+
+    // Students by id, in the order of the student list, then any only found in the attendance.
+    var byId = new Map();
+    (data.students || []).forEach(function (student) {
+        byId.set(String(student.PermanentID), { student: student, days: {} });
+    });
+    (data.attendance || []).forEach(function (record) {
+        var id = String(record.PermanentID !== undefined ? record.PermanentID : record.StudentID);
+        if (!byId.has(id)) {
+            byId.set(id, { student: null, record: record, days: {} });
+        }
+        var entry = byId.get(id);
+        (record.CalendarDays || []).forEach(function (day) {
+            var key = dayKey(day.Date);
+            if (key) {
+                entry.days[key] = day;
+            }
+        });
+    });
+
+    var students = [];
+    var skipped = [];
+    byId.forEach(function (entry, id) {
+        if (!entry.student) {
+            // Without a student record there are no enrollment dates, so the student's enrolled days are unknown.
+            skipped.push({ schoolCode: entry.record.SchoolCode !== undefined ? entry.record.SchoolCode : data.schoolCode, permanentId: Number(id) });
+            return;
+        }
+        var student = entry.student;
+        var grade = student.Grade !== undefined && student.Grade !== null ? student.Grade : null;
+        if (grades && (grade === null || grades.indexOf(Number(grade)) === -1)) {
+            return;
+        }
+
+        var enter = dayKey(student.SchoolEnterDate);
+        var leave = dayKey(student.SchoolLeaveDate);
+        var summary = { daysEnrolled: 0, daysPresent: 0, daysAbsent: 0, daysExcused: 0, daysUnexcused: 0, daysTardy: 0 };
+        schoolDays.forEach(function (key) {
+            if ((enter && key < enter) || (leave && key > leave)) {
+                return;
+            }
+            summary.daysEnrolled++;
+
+            var day = entry.days[key];
+            var allDay = day ? classify(day.AllDayAttendanceCode) : null;
+            if (allDay === 'excused' || allDay === 'unexcused') {
+                summary.daysAbsent++;
+                summary[allDay === 'excused' ? 'daysExcused' : 'daysUnexcused']++;
+            }
+            else {
+                summary.daysPresent++;
+            }
+            if (allDay === 'tardy' || (day && (day.Periods || []).some(function (p) { return classify(p.AbsenceCode) === 'tardy'; }))) {
+                summary.daysTardy++;
+            }
+        });
+
+        var absenceRate = summary.daysEnrolled > 0 ? summary.daysAbsent / summary.daysEnrolled : null;
+        students.push(Object.assign({
+            schoolCode: student.SchoolCode !== undefined ? student.SchoolCode : data.schoolCode,
+            permanentId: Number(id),
+            grade: grade
+        }, summary, {
+            attendanceRate: absenceRate === null ? null : summary.daysPresent / summary.daysEnrolled,
+            absenceRate: absenceRate,
+            chronicallyAbsent: summary.daysEnrolled >= options.minDaysEnrolled && absenceRate !== null && absenceRate >= options.threshold
+        }));
+    });
+
+    var byGrade = {};
+    students.forEach(function (s) {
+        if (s.grade !== null) {
+            (byGrade[s.grade] = byGrade[s.grade] || []).push(s);
+        }
+    });
+    var gradeTotals = {};
+    Object.keys(byGrade).forEach(function (grade) {
+        gradeTotals[grade] = summarizeGroup(byGrade[grade], options.minDaysEnrolled);
+    });
+
+    return {
+        schoolCode: data.schoolCode,
+        schoolDays: schoolDays.length,
+        threshold: options.threshold,
+        students: students,
+        skippedStudents: skipped,
+        grades: gradeTotals,
+        total: summarizeGroup(students, options.minDaysEnrolled)
+    };
+}
+
+/**
+ * Applies a redaction profile to the student lists of a summary, as if they were the response of the attendance endpoint.
+ * A profile that withholds attendance, e.g. directory, leaves only the grade and school totals.
+ * @param {attendanceSummary} summary
+ * @param {Object|null} profile The compiled profile, or null to leave the summary as it is.
+ * @param {URL|string} url The url of the school's attendance endpoint.
+ * @returns {attendanceSummary}
+ */
+function redactSummary(summary, profile, url) {
+    if (!profile) {
+        return summary;
+    }
+    return Object.assign({}, summary, {
+        students: applyRedactionProfile(summary.students, profile, url),
+        skippedStudents: applyRedactionProfile(summary.skippedStudents, profile, url)
+    });
+}
+
+module.exports = {
+    fetchAttendanceData: fetchAttendanceData,
+    redactSummary: redactSummary,
+    summarizeAttendance: summarizeAttendance
+};
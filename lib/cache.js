@@ -0,0 +1,373 @@
+'use strict';
+
+let fs = require('fs');
+let path = require('path');
+let crypto = require('crypto');
+let { getEndpointTemplate, matchesTemplate } = require('./endpoints');
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * The default time to live for slowly changing reference data, by endpoint template.
+ */
+const DEFAULT_TTL = {
+    'schools': ONE_DAY,
+    'schools/:school': ONE_DAY,
+    'schools/:school/terms': ONE_DAY,
+    'schools/:school/calendar': ONE_DAY,
+    'schools/:school/bellschedule': ONE_DAY,
+    'schools/:school/bellschedule/:id': ONE_DAY,
+    'schools/:school/absencecodes': ONE_DAY,
+    'schools/:school/absencecodes/*': ONE_DAY,
+    'schools/:school/reportcardmarkingperiods': ONE_DAY,
+    'codes/*/*': ONE_DAY
+};
+
+/**
+ * @typedef cacheOptions
+ * @type {Object}
+ * @property {cacheStore} store Where responses are kept. Defaults to a MemoryCacheStore.
+ * @property {Object.<string, number>} ttl The time to live in milliseconds by endpoint template, e.g. { 'schools/:school/terms': 3600000 }. Merged with the defaults; use 0 to disable caching for an endpoint.
+ */
+
+/**
+ * A cached response.
+ * @typedef cacheEntry
+ * @type {Object}
+ * @property {string} body The raw response body.
+ * @property {number} statusCode The response status code.
+ * @property {string} etag The ETag response header, if any.
+ * @property {string} lastModified The Last-Modified response header, if any.
+ * @property {Object} headers The response headers, except cookies.
+ * @property {string} template The endpoint template of the request.
+ * @property {number} expires When the entry must be revalidated, in milliseconds since the epoch.
+ */
+
+/**
+ * A cache store keeps responses by key. All methods return Promises.
+ * Stores should keep expired entries as long as they can, so they can be revalidated with the server.
+ * @typedef cacheStore
+ * @type {Object}
+ * @property {function(string): Promise<cacheEntry|null>} get
+ * @property {function(string, cacheEntry): Promise} set
+ * @property {function(string): Promise} delete
+ * @property {function(): Promise<string[]>} keys
+ * @property {function(): Promise} clear
+ */
+
+/**
+ * Keeps the most recently used responses in memory.
+ */
+class MemoryCacheStore {
+
+    /**
+     * MemoryCacheStore
+     * @param {Object} [options]
+     * @param {number} [options.maxEntries] The maximum number of responses to keep. Defaults to 500.
+     */
+    constructor(options) {
+        this.options = Object.assign({ maxEntries: 500 }, options);
+        this.entries = new Map();
+    }
+
+    get(key) {
+        if (!this.entries.has(key)) {
+            return Promise.resolve(null);
+        }
+        var entry = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return Promise.resolve(entry);
+    }
+
+    set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        while (this.entries.size > this.options.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return Promise.resolve();
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+        return Promise.resolve();
+    }
+
+    keys() {
+        return Promise.resolve(Array.from(this.entries.keys()));
+    }
+
+    clear() {
+        this.entries.clear();
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Keeps responses as files in a directory, so they are shared between processes and survive restarts.
+ */
+class FileCacheStore {
+
+    /**
+     * FileCacheStore
+     * @param {string} directory The directory to keep the responses in. It is created if it does not exist.
+     */
+    constructor(directory) {
+        this.directory = path.resolve(directory);
+    }
+
+    /**
+     * Gets the file a key is kept in.
+     * @param {string} key
+     * @returns {string}
+     */
+    _file(key) {
+        return path.join(this.directory, crypto.createHash('sha1').update(key).digest('hex') + '.json');
+    }
+
+    /**
+     * Reads a cache file.
+     * @param {string} file
+     * @returns {Promise<{key: string, entry: cacheEntry}|null>}
+     */
+    _read(file) {
+        return new Promise(function (resolve, reject) {
+            fs.readFile(file, 'utf8', function (err, data) {
+                if (err) {
+                    if (err.code === 'ENOENT') {
+                        resolve(null);
+                    }
+                    else {
+                        reject(err);
+                    }
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(data));
+                }
+                catch (e) {
+                    // A partially written or corrupt file is treated as a miss.
+                    resolve(null);
+                }
+            });
+        });
+    }
+
+    get(key) {
+        return this._read(this._file(key)).then(function (data) {
+            return data && data.key === key ? data.entry : null;
+        });
+    }
+
+    set(key, entry) {
+        var file = this._file(key);
+        var tmp = file + '.' + process.pid + '.tmp';
+        return new Promise((resolve, reject) => {
+            fs.mkdir(this.directory, function (err) {
+                if (err && err.code !== 'EEXIST') {
+                    reject(err);
+                    return;
+                }
+                fs.writeFile(tmp, JSON.stringify({ key: key, entry: entry }), 'utf8', function (err) {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+                    fs.rename(tmp, file, function (err) {
+                        if (err) {
+                            reject(err);
+                        }
+                        else {
+                            resolve();
+                        }
+                    });
+                });
+            });
+        });
+    }
+
+    delete(key) {
+        return new Promise((resolve, reject) => {
+            fs.unlink(this._file(key), function (err) {
+                if (err && err.code !== 'ENOENT') {
+                    reject(err);
+                }
+                else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Lists the cache files in the directory.
+     * @returns {Promise<string[]>}
+     */
+    _files() {
+        return new Promise((resolve, reject) => {
+            fs.readdir(this.directory, (err, names) => {
+                if (err) {
+                    if (err.code === 'ENOENT') {
+                        resolve([]);
+                    }
+                    else {
+                        reject(err);
+                    }
+                    return;
+                }
+                resolve(names.filter(function (name) { return /^[0-9a-f]{40}\.json$/.test(name); })
+                    .map((name) => path.join(this.directory, name)));
+            });
+        });
+    }
+
+    keys() {
+        return this._files().then((files) => {
+            return Promise.all(files.map((file) => this._read(file)));
+        }).then(function (items) {
+            return items.filter(function (item) { return item && item.key; }).map(function (item) { return item.key; });
+        });
+    }
+
+    clear() {
+        return this._files().then(function (files) {
+            return Promise.all(files.map(function (file) {
+                return new Promise(function (resolve) {
+                    fs.unlink(file, function () { resolve(); });
+                });
+            }));
+        });
+    }
+}
+
+/**
+ * Caches API responses by url, with a time to live for each endpoint template.
+ */
+class ResponseCache {
+
+    /**
+     * ResponseCache
+     * @param {cacheOptions} [options]
+     */
+    constructor(options) {
+        options = options || {};
+        this.store = options.store || new MemoryCacheStore();
+        this.ttl = Object.assign({}, DEFAULT_TTL, options.ttl);
+    }
+
+    /**
+     * Gets the time to live for the response to a url.
+     * @param {URL|string} url
+     * @returns {number} The time to live in milliseconds, 0 if the response should not be cached.
+     */
+    getTtl(url) {
+        var template = getEndpointTemplate(url);
+        var ttl = 0;
+        Object.keys(this.ttl).forEach((pattern) => {
+            if (matchesTemplate(pattern, template)) {
+                ttl = this.ttl[pattern] || 0;
+            }
+        });
+        return ttl;
+    }
+
+    /**
+     * Gets the cached response for a url.
+     * @param {string} url
+     * @returns {Promise<cacheEntry|null>}
+     */
+    get(url) {
+        return this.store.get(url);
+    }
+
+    /**
+     * Caches a response.
+     * @param {string} url The requested url.
+     * @param {Object} response The response, with the raw body, statusCode and headers.
+     * @param {number} ttl The time to live in milliseconds.
+     * @returns {Promise}
+     */
+    set(url, response, ttl) {
+        return this.store.set(url, {
+            body: response.body,
+            statusCode: response.statusCode,
+            etag: response.headers.etag || null,
+            lastModified: response.headers['last-modified'] || null,
+            headers: withoutCookies(response.headers),
+            template: getEndpointTemplate(url),
+            expires: Date.now() + ttl
+        });
+    }
+
+    /**
+     * Extends a cached response after the server confirmed it has not changed.
+     * @param {string} url The requested url.
+     * @param {cacheEntry} entry The cached response.
+     * @param {Object} response The 304 response.
+     * @param {number} ttl The time to live in milliseconds.
+     * @returns {Promise}
+     */
+    refresh(url, entry, response, ttl) {
+        return this.store.set(url, Object.assign({}, entry, {
+            etag: response.headers.etag || entry.etag,
+            lastModified: response.headers['last-modified'] || entry.lastModified,
+            expires: Date.now() + ttl
+        }));
+    }
+
+    /**
+     * Removes cached responses.
+     * @param {URL|string} [target] A url, or an endpoint template pattern, e.g. schools/:school/terms. Everything is removed if not set.
+     * @returns {Promise}
+     */
+    invalidate(target) {
+        if (!target) {
+            return this.store.clear();
+        }
+
+        target = target.toString();
+        if (/^https?:\/\//i.test(target)) {
+            return this.store.delete(target);
+        }
+
+        return this.store.keys().then((keys) => {
+            return Promise.all(keys.filter(function (key) {
+                return matchesTemplate(target, getEndpointTemplate(key));
+            }).map((key) => this.store.delete(key)));
+        });
+    }
+}
+
+/**
+ * Copies response headers without the cookies, which should not be kept in a shared cache.
+ * @param {Object} headers
+ * @returns {Object}
+ */
+function withoutCookies(headers) {
+    var result = Object.assign({}, headers);
+    delete result['set-cookie'];
+    return result;
+}
+
+/**
+ * Adds the conditional request headers to revalidate a cached response.
+ * @param {Object} headers The request headers.
+ * @param {cacheEntry} entry The cached response.
+ */
+function addValidators(headers, entry) {
+    if (entry.etag) {
+        headers['If-None-Match'] = entry.etag;
+    }
+    if (entry.lastModified) {
+        headers['If-Modified-Since'] = entry.lastModified;
+    }
+}
+
+module.exports = {
+    DEFAULT_TTL: DEFAULT_TTL,
+    MemoryCacheStore: MemoryCacheStore,
+    FileCacheStore: FileCacheStore,
+    ResponseCache: ResponseCache,
+    addValidators: addValidators
+};
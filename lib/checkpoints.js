@@ -0,0 +1,129 @@
+'use strict';
+
+let fs = require('fs');
+let path = require('path');
+
+/**
+ * A checkpoint store keeps the time of the last successful sync, so the next sync can resume from it.
+ * Stores implement get(key) and set(key, value), both returning Promises.
+ * @typedef checkpointStore
+ * @type {Object}
+ * @property {function(string): Promise<string|null>} get Gets the checkpoint for a key, or null if there is none.
+ * @property {function(string, string): Promise} set Saves the checkpoint for a key.
+ */
+
+/**
+ * Keeps checkpoints in memory, for the lifetime of the process.
+ */
+class MemoryCheckpointStore {
+
+    constructor() {
+        this.values = {};
+    }
+
+    /**
+     * Gets the checkpoint for a key.
+     * @param {string} key
+     * @returns {Promise<string|null>}
+     */
+    get(key) {
+        return Promise.resolve(this.values.hasOwnProperty(key) ? this.values[key] : null);
+    }
+
+    /**
+     * Saves the checkpoint for a key.
+     * @param {string} key
+     * @param {string} value
+     * @returns {Promise}
+     */
+    set(key, value) {
+        this.values[key] = value;
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Keeps checkpoints in a JSON file, so they survive restarts.
+ */
+class FileCheckpointStore {
+
+    /**
+     * FileCheckpointStore
+     * @param {string} file The path of the JSON file to use. It is created on the first save.
+     */
+    constructor(file) {
+        this.file = path.resolve(file);
+    }
+
+    /**
+     * Reads all of the checkpoints in the file.
+     * @returns {Promise<Object>}
+     */
+    _read() {
+        return new Promise((resolve, reject) => {
+            fs.readFile(this.file, 'utf8', function (err, data) {
+                if (err) {
+                    if (err.code === 'ENOENT') {
+                        resolve({});
+                    }
+                    else {
+                        reject(err);
+                    }
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(data) || {});
+                }
+                catch (e) {
+                    reject(e);
+                }
+            });
+        });
+    }
+
+    /**
+     * Gets the checkpoint for a key.
+     * @param {string} key
+     * @returns {Promise<string|null>}
+     */
+    get(key) {
+        return this._read().then(function (values) {
+            return values.hasOwnProperty(key) ? values[key] : null;
+        });
+    }
+
+    /**
+     * Saves the checkpoint for a key.
+     * The file is replaced atomically, so a crash never leaves a partially written file.
+     * @param {string} key
+     * @param {string} value
+     * @returns {Promise}
+     */
+    set(key, value) {
+        return this._read().then((values) => {
+            values[key] = value;
+            var tmp = this.file + '.' + process.pid + '.tmp';
+            return new Promise((resolve, reject) => {
+                fs.writeFile(tmp, JSON.stringify(values, null, 2), 'utf8', (err) => {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+                    fs.rename(tmp, this.file, function (err) {
+                        if (err) {
+                            reject(err);
+                        }
+                        else {
+                            resolve();
+                        }
+                    });
+                });
+            });
+        });
+    }
+}
+
+module.exports = {
+    MemoryCheckpointStore: MemoryCheckpointStore,
+    FileCheckpointStore: FileCheckpointStore
+};
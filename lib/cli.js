@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+'use strict';
+
+let fs = require('fs');
+let os = require('os');
+let path = require('path');
+let aeriesjs = require('../aeriesjs');
+let { flatten, formatRecords } = require('./export');
+
+const USAGE = [
+    'Usage: aeries <command> [arguments] [options]',
+    '',
+    'Commands:',
+    '  schools                                  List the schools in the district',
+    '  student <school> <id> [--extended]       Show a student',
+    '  contacts <school> [id]                   List student contacts',
+    '  attendance <school> [id] [--start YYYYMMDD --end YYYYMMDD]',
+    '                                           List attendance, optionally for a date range',
+    '  classes <school> [id]                    Show class schedules',
+    '  gradebook <id> [assignments [assignment] | scores <assignment> [student]]',
+    '                                           Show a gradebook, its assignments or assignment scores',
+    '  transcript <school> [id]                 Show transcripts',
+    '',
+    'Options:',
+    '  --url <url>             The Aeries API url (or AERIES_URL)',
+    '  --cert <certificate>    The Aeries API certificate (or AERIES_CERT)',
+    '  --config <file>         A JSON config file with url and certificate',
+    '                          (defaults to ./.aeriesrc.json, then ~/.aeriesrc.json)',
+    '  --format <format>       table, json, csv, tsv or ndjson (default: table)',
+    '  --columns <columns>     The columns to output, comma separated, e.g. PermanentID,Contacts.0.FirstName',
+    '  --insecure              Do not verify the server certificate',
+    '  --help                  Show this help'
+].join('\n');
+
+/**
+ * Parses command line arguments into positional arguments and flags.
+ * @param {string[]} argv The arguments, without the node and script paths.
+ * @returns {{args: string[], flags: Object}}
+ */
+function parseArgs(argv) {
+    var result = { args: [], flags: {} };
+    for (var i = 0; i < argv.length; i++) {
+        var arg = argv[i];
+        var match = /^--([^=]+)(=(.*))?$/.exec(arg);
+        if (!match) {
+            result.args.push(arg);
+        }
+        else if (match[2] !== undefined) {
+            result.flags[match[1]] = match[3];
+        }
+        else if (i + 1 < argv.length && !/^--/.test(argv[i + 1]) && ['url', 'cert', 'config', 'format', 'columns', 'start', 'end'].indexOf(match[1]) !== -1) {
+            result.flags[match[1]] = argv[++i];
+        }
+        else {
+            result.flags[match[1]] = true;
+        }
+    }
+    return result;
+}
+
+/**
+ * Loads the config file, if there is one.
+ * @param {string} [file] The config file from the command line.
+ * @returns {Object}
+ */
+function loadConfig(file) {
+    var candidates = file ? [file] : [path.resolve('.aeriesrc.json'), path.join(os.homedir(), '.aeriesrc.json')];
+    for (var i = 0; i < candidates.length; i++) {
+        if (file || fs.existsSync(candidates[i])) {
+            return JSON.parse(fs.readFileSync(candidates[i], 'utf8'));
+        }
+    }
+    return {};
+}
+
+/**
+ * Resolves the client options from flags, environment variables and the config file, in that order.
+ * @param {Object} flags
+ * @param {Object} env
+ * @returns {initOptions}
+ */
+function resolveOptions(flags, env) {
+    var config = loadConfig(flags.config);
+    return {
+        url: flags.url || env.AERIES_URL || config.url,
+        certificate: flags.cert || env.AERIES_CERT || config.certificate,
+        verifyCerts: flags.insecure ? false : config.verifyCerts !== false
+    };
+}
+
+/**
+ * Formats a value for a table cell.
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+/**
+ * Gets the columns for a list of records, in the order they first appear.
+ * @param {Object[]} records
+ * @returns {string[]}
+ */
+function getColumns(records) {
+    var columns = [];
+    records.forEach(function (record) {
+        Object.keys(record).forEach(function (key) {
+            if (columns.indexOf(key) === -1) {
+                columns.push(key);
+            }
+        });
+    });
+    return columns;
+}
+
+/**
+ * Formats records as an aligned text table.
+ * @param {Object[]} records
+ * @returns {string}
+ */
+function formatTable(records) {
+    var columns = getColumns(records);
+    var rows = records.map(function (record) {
+        return columns.map(function (column) { return formatValue(record[column]); });
+    });
+    var widths = columns.map(function (column, i) {
+        return rows.reduce(function (width, row) { return Math.max(width, row[i].length); }, column.length);
+    });
+
+    function line(cells) {
+        return cells.map(function (cell, i) {
+            return cell + ' '.repeat(widths[i] - cell.length);
+        }).join('  ').replace(/\s+$/, '');
+    }
+
+    return [line(columns), line(widths.map(function (w) { return '-'.repeat(w); }))]
+        .concat(rows.map(line))
+        .join('\n');
+}
+
+/**
+ * Formats a response body for output.
+ * @param {*} body
+ * @param {string} format table, json, csv, tsv or ndjson
+ * @param {string[]} [columns] The columns to output.
+ * @returns {string}
+ */
+function format(body, format, columns) {
+    if (format === 'json' && !columns) {
+        return JSON.stringify(body, null, 2);
+    }
+
+    var records = (Array.isArray(body) ? body : [body]).filter(function (r) { return r !== null && r !== undefined; })
+        .map(function (r) { return typeof r === 'object' ? r : { value: r }; });
+
+    if (format === 'csv' || format === 'tsv' || format === 'ndjson') {
+        return formatRecords(records, { format: format, columns: columns }).replace(/\r?\n$/, '');
+    }
+
+    if (columns) {
+        records = records.map(function (record) {
+            var flat = flatten(record);
+            var picked = {};
+            columns.forEach(function (column) { picked[column] = flat[column]; });
+            return picked;
+        });
+    }
+
+    if (format === 'json') {
+        return JSON.stringify(records, null, 2);
+    }
+    return records.length > 0 ? formatTable(records) : '(no results)';
+}
+
+/**
+ * Makes the API call for a command.
+ * @param {aeriesjs} aeries
+ * @param {string} command
+ * @param {string[]} args
+ * @param {Object} flags
+ * @returns {Promise<apiResult>|null} null if the command or arguments are invalid.
+ */
+function runCommand(aeries, command, args, flags) {
+    var school = args[0];
+    var id = args[1] || null;
+
+    switch (command) {
+        case 'schools':
+            return aeries.getSchools();
+        case 'student':
+            if (!school || !id) {
+                return null;
+            }
+            return flags.extended ? aeries.getStudentByIdExtended(school, id) : aeries.getStudentById(school, id);
+        case 'contacts':
+            if (!school) {
+                return null;
+            }
+            return id ? aeries.getContactsById(school, id) : aeries.getContacts(school);
+        case 'attendance':
+            if (!school) {
+                return null;
+            }
+            if (flags.start || flags.end) {
+                if (!flags.start || !flags.end) {
+                    return null;
+                }
+                return aeries.getAttendanceByDateRange(school, flags.start, flags.end, id);
+            }
+            return aeries.getAttendance(school, id);
+        case 'classes':
+            if (!school) {
+                return null;
+            }
+            return aeries.getClassSchedule(school, id);
+        case 'gradebook':
+            if (!args[0]) {
+                return null;
+            }
+            if (args[1] === 'assignments') {
+                return aeries.getGradebookAssignments(args[0], args[2] || null);
+            }
+            if (args[1] === 'scores') {
+                return args[2] ? aeries.getGradebookAssignmentScores(args[0], args[2], args[3] || null) : null;
+            }
+            return args[1] ? null : aeries.getGradebookById(args[0]);
+        case 'transcript':
+            if (!school) {
+                return null;
+            }
+            return aeries.getTranscript(school, id);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Runs the command line interface.
+ * @param {string[]} argv The arguments, without the node and script paths.
+ * @param {Object} [env] The environment variables.
+ * @param {{stdout: Writable, stderr: Writable}} [io] Where to write output.
+ * @returns {Promise<number>} The exit code.
+ */
+function main(argv, env, io) {
+    env = env || process.env;
+    io = io || { stdout: process.stdout, stderr: process.stderr };
+
+    var parsed = parseArgs(argv);
+    var command = parsed.args.shift();
+
+    if (!command || parsed.flags.help) {
+        io.stdout.write(USAGE + '\n');
+        return Promise.resolve(command || parsed.flags.help ? 0 : 2);
+    }
+
+    var outputFormat = parsed.flags.format || 'table';
+    if (['table', 'json', 'csv', 'tsv', 'ndjson'].indexOf(outputFormat) === -1) {
+        io.stderr.write('Unknown format "' + outputFormat + '".\n');
+        return Promise.resolve(2);
+    }
+
+    var options;
+    try {
+        options = resolveOptions(parsed.flags, env);
+    }
+    catch (e) {
+        io.stderr.write('Unable to read the config file: ' + e.message + '\n');
+        return Promise.resolve(2);
+    }
+
+    if (!options.url || !options.certificate) {
+        io.stderr.write('The Aeries url and certificate are required. Use --url and --cert, AERIES_URL and AERIES_CERT, or a config file.\n');
+        return Promise.resolve(2);
+    }
+
+    var pending = runCommand(new aeriesjs(options), command, parsed.args, parsed.flags);
+    if (!pending) {
+        io.stderr.write(USAGE + '\n');
+        return Promise.resolve(2);
+    }
+
+    return pending.then(function (result) {
+        var columns = typeof parsed.flags.columns === 'string' ? parsed.flags.columns.split(',').map(function (c) { return c.trim(); }) : null;
+        io.stdout.write(format(result.body, outputFormat, columns) + '\n');
+        return 0;
+    }, function (err) {
+        io.stderr.write(err.name + ': ' + err.message + '\n');
+        return 1;
+    });
+}
+
+module.exports = {
+    main: main,
+    parseArgs: parseArgs,
+    format: format
+};
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(function (code) {
+        process.exitCode = code;
+    });
+}
@@ -0,0 +1,221 @@
+'use strict';
+
+let fs = require('fs');
+let path = require('path');
+let util = require('util');
+let { AeriesCredentialError } = require('./errors');
+
+/**
+ * Supplies the AERIES-CERT for each request.
+ * @typedef credentialProvider
+ * @type {Object}
+ * @property {function(boolean): Promise<string>} getCertificate Called with true after a 401, to fetch the certificate again instead of using a kept one.
+ */
+
+const REDACTED = '[redacted]';
+
+/**
+ * A certificate that does not change, e.g. one passed in code.
+ */
+class StaticCredentials {
+
+    /**
+     * StaticCredentials
+     * @param {string} certificate
+     */
+    constructor(certificate) {
+        Object.defineProperty(this, 'certificate', { value: certificate || null });
+    }
+
+    /**
+     * Gets the certificate.
+     * @returns {Promise<string>}
+     */
+    getCertificate() {
+        return Promise.resolve(this.certificate);
+    }
+
+    [util.inspect.custom]() {
+        return 'StaticCredentials { ' + REDACTED + ' }';
+    }
+}
+
+/**
+ * Reads the certificate from an environment variable on each request.
+ */
+class EnvCredentials {
+
+    /**
+     * EnvCredentials
+     * @param {string} [name] The environment variable. Defaults to AERIES_CERT.
+     * @param {Object} [env] Defaults to process.env.
+     */
+    constructor(name, env) {
+        this.name = name || 'AERIES_CERT';
+        this.env = env || process.env;
+    }
+
+    /**
+     * Gets the certificate.
+     * @returns {Promise<string>}
+     */
+    getCertificate() {
+        var certificate = this.env[this.name];
+        if (!certificate) {
+            return Promise.reject(new AeriesCredentialError('The ' + this.name + ' environment variable is not set.'));
+        }
+        return Promise.resolve(certificate.trim());
+    }
+
+    [util.inspect.custom]() {
+        return 'EnvCredentials { name: ' + util.inspect(this.name) + ' }';
+    }
+}
+
+/**
+ * Reads the certificate from a file, e.g. a mounted secret. The file is read again after a 401, so a rotated certificate is picked up without a restart.
+ */
+class FileCredentials {
+
+    /**
+     * FileCredentials
+     * @param {string} file
+     */
+    constructor(file) {
+        this.file = path.resolve(file);
+        Object.defineProperty(this, 'pending', { value: null, writable: true });
+    }
+
+    /**
+     * Gets the certificate.
+     * @param {boolean} [refresh] Read the file again.
+     * @returns {Promise<string>}
+     */
+    getCertificate(refresh) {
+        if (!this.pending || refresh) {
+            this.pending = new Promise((resolve, reject) => {
+                fs.readFile(this.file, 'utf8', function (err, data) {
+                    if (err) reject(err);
+                    else resolve(data.trim());
+                });
+            }).catch((err) => {
+                this.pending = null;
+                throw new AeriesCredentialError('Unable to read the certificate file ' + this.file + ': ' + err.code, { cause: err });
+            });
+        }
+        return this.pending;
+    }
+
+    [util.inspect.custom]() {
+        return 'FileCredentials { file: ' + util.inspect(this.file) + ' }';
+    }
+}
+
+/**
+ * Gets the certificate from a function, e.g. a call to a secrets manager. The result is kept until a 401, or until maxAge passes.
+ */
+class FunctionCredentials {
+
+    /**
+     * FunctionCredentials
+     * @param {function(): string|Promise<string>} fn
+     * @param {Object} [options]
+     * @param {number} [options.maxAge] How long to keep the certificate, in milliseconds. Kept until a 401 by default.
+     */
+    constructor(fn, options) {
+        this.fn = fn;
+        this.maxAge = options && options.maxAge ? options.maxAge : null;
+        Object.defineProperty(this, 'pending', { value: null, writable: true });
+        Object.defineProperty(this, 'fetched', { value: 0, writable: true });
+    }
+
+    /**
+     * Gets the certificate. Calls made while the function is running share its result.
+     * @param {boolean} [refresh] Call the function again.
+     * @returns {Promise<string>}
+     */
+    getCertificate(refresh) {
+        var expired = this.maxAge && Date.now() - this.fetched > this.maxAge;
+        if (!this.pending || refresh || expired) {
+            this.fetched = Date.now();
+            this.pending = Promise.resolve().then(() => this.fn()).then(function (certificate) {
+                if (!certificate) {
+                    throw new AeriesCredentialError('The credential provider did not return a certificate.');
+                }
+                return String(certificate).trim();
+            }).catch((err) => {
+                this.pending = null;
+                throw err instanceof AeriesCredentialError ? err : new AeriesCredentialError('The credential provider failed: ' + (err && err.message ? err.message : String(err)), { cause: err });
+            });
+        }
+        return this.pending;
+    }
+
+    [util.inspect.custom]() {
+        return 'FunctionCredentials { maxAge: ' + this.maxAge + ' }';
+    }
+}
+
+/**
+ * Creates a credential provider from the certificate option.
+ * @param {string|function(): string|Promise<string>|credentialProvider|{env: string}|{file: string}} certificate A certificate, a function, a provider, or { env: 'NAME' } or { file: 'path' }.
+ * @returns {credentialProvider}
+ */
+function createCredentialProvider(certificate) {
+    if (certificate && typeof certificate.getCertificate === 'function') {
+        return certificate;
+    }
+    if (typeof certificate === 'function') {
+        return new FunctionCredentials(certificate);
+    }
+    if (certificate && typeof certificate === 'object') {
+        if (certificate.env) {
+            return new EnvCredentials(certificate.env);
+        }
+        if (certificate.file) {
+            return new FileCredentials(certificate.file);
+        }
+        throw new TypeError('A certificate object needs an env or file property.');
+    }
+    return new StaticCredentials(certificate);
+}
+
+/**
+ * Removes a certificate from text, e.g. an error page that echoes the request headers.
+ * @param {string} text
+ * @param {string} certificate
+ * @returns {string}
+ */
+function redact(text, certificate) {
+    if (typeof text !== 'string' || !certificate || text.indexOf(certificate) === -1) {
+        return text;
+    }
+    return text.split(certificate).join(REDACTED);
+}
+
+/**
+ * Removes a certificate from the message, stack and body of an error.
+ * @param {Error} err
+ * @param {string} certificate
+ * @returns {Error} The same error.
+ */
+function redactError(err, certificate) {
+    if (err && certificate) {
+        err.message = redact(err.message, certificate);
+        err.stack = redact(err.stack, certificate);
+        if (err.body !== undefined) {
+            err.body = redact(err.body, certificate);
+        }
+    }
+    return err;
+}
+
+module.exports = {
+    StaticCredentials: StaticCredentials,
+    EnvCredentials: EnvCredentials,
+    FileCredentials: FileCredentials,
+    FunctionCredentials: FunctionCredentials,
+    createCredentialProvider: createCredentialProvider,
+    redact: redact,
+    redactError: redactError
+};
@@ -0,0 +1,112 @@
+'use strict';
+
+let { mapLimit } = require('./util');
+
+/**
+ * @typedef districtOptions
+ * @type {Object}
+ * @property {number[]} schools The school codes to use. Defaults to every school returned by getSchools.
+ * @property {number[]} skipSchools School codes to skip, e.g. [0, 100, 999] for the district office, code table and inactive student schools.
+ * @property {boolean} skipInactive Skip schools with an InactiveStatusCode. Defaults to false.
+ * @property {number} concurrency The number of schools to call at once. Defaults to 4.
+ * @property {boolean} failFast Reject on the first school that fails, instead of collecting the errors. Defaults to false.
+ * @property {string} tagField The field each record is tagged with its school code in, if not already set. Defaults to "SchoolCode".
+ */
+
+/**
+ * The merged results of a district wide call.
+ * @typedef districtResult
+ * @type {Object}
+ * @property {Object[]} records The records from every school.
+ * @property {number[]} schools The school codes that were called.
+ * @property {Array<{schoolCode: number, error: AeriesError}>} errors The schools that failed.
+ */
+
+/**
+ * Removes the skipped and, if set, inactive schools from a list of schools.
+ * @param {Object[]} schools Records with a SchoolCode.
+ * @param {districtOptions} options
+ * @returns {Object[]}
+ */
+function filterSchools(schools, options) {
+    var skip = (options.skipSchools || []).map(Number);
+    return schools.filter(function (school) {
+        if (skip.indexOf(Number(school.SchoolCode)) !== -1) {
+            return false;
+        }
+        return !(options.skipInactive && school.InactiveStatusCode && String(school.InactiveStatusCode).trim());
+    });
+}
+
+/**
+ * Gets the school codes to call for a district wide call.
+ * @param {aeriesjs} client
+ * @param {districtOptions} options
+ * @returns {Promise<number[]>}
+ */
+function getSchoolCodes(client, options) {
+    var pending = options.schools
+        ? Promise.resolve(options.schools.map(function (code) { return { SchoolCode: code }; }))
+        : client.getSchools().then(function (result) { return result.body || []; });
+
+    return pending.then(function (schools) {
+        return filterSchools(schools, options).map(function (school) {
+            return school.SchoolCode;
+        });
+    });
+}
+
+/**
+ * Calls fn for each school in the district with bounded concurrency and merges the records.
+ * @param {aeriesjs} client
+ * @param {function(number): Promise<apiResult>} fn Called with each school code.
+ * @param {districtOptions} [options]
+ * @returns {Promise<districtResult>}
+ */
+function forEachSchool(client, fn, options) {
+    options = Object.assign({
+        schools: null,
+        skipSchools: [],
+        skipInactive: false,
+        concurrency: 4,
+        failFast: false,
+        tagField: 'SchoolCode'
+    }, options);
+
+    return getSchoolCodes(client, options).then(function (schoolCodes) {
+        var result = { records: [], schools: schoolCodes, errors: [] };
+
+        return mapLimit(schoolCodes, options.concurrency, function (schoolCode) {
+            return Promise.resolve(fn(schoolCode)).then(function (response) {
+                var body = response && response.body !== undefined ? response.body : response;
+                if (body === null || body === undefined) {
+                    return [];
+                }
+                return (Array.isArray(body) ? body : [body]).map(function (record) {
+                    if (record && typeof record === 'object' && record[options.tagField] === undefined) {
+                        record[options.tagField] = schoolCode;
+                    }
+                    return record;
+                });
+            }, function (error) {
+                if (options.failFast) {
+                    throw error;
+                }
+                result.errors.push({ schoolCode: schoolCode, error: error });
+                return [];
+            });
+        }).then(function (perSchool) {
+            // Merged in school order, regardless of which school finished first.
+            perSchool.forEach(function (records) {
+                Array.prototype.push.apply(result.records, records);
+            });
+            return result;
+        });
+    });
+}
+
+module.exports = {
+    filterSchools: filterSchools,
+    forEachSchool: forEachSchool,
+    getSchoolCodes: getSchoolCodes
+};
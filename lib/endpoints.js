@@ -0,0 +1,191 @@
+'use strict';
+
+let { URL } = require('url');
+
+// The routes the client calls, by the path after the API version. Placeholders match any one segment, whatever its format,
+// e.g. course ids like 0105A, absence codes and gradebook assignment GUIDs.
+const ROUTES = [
+    'schools',
+    'schools/:school',
+    'schools/:school/terms',
+    'schools/:school/calendar',
+    'schools/:school/bellschedule',
+    'schools/:school/bellschedule/:day',
+    'schools/:school/absencecodes',
+    'schools/:school/absencecodes/:code',
+    'schools/:school/reportcardmarkingperiods',
+    'schools/:school/graduationrequirements',
+    'schools/:school/StudentGroups',
+    'schools/:school/students',
+    'schools/:school/students/:id',
+    'schools/:school/students/:id/extended',
+    'schools/:school/students/:id/programs',
+    'schools/:school/students/:id/programs/:code',
+    'schools/:school/students/grade/:grade',
+    'schools/:school/students/grade/:grade/extended',
+    'schools/:school/students/sn/:number',
+    'schools/:school/students/sn/:number/extended',
+    'schools/:school/contacts',
+    'schools/:school/contacts/:id',
+    'schools/:school/attendance',
+    'schools/:school/attendance/:id',
+    'schools/:school/attendancehistory/summary',
+    'schools/:school/attendancehistory/summary/:id',
+    'schools/:school/attendancehistory/summary/year/:year',
+    'schools/:school/enrollment/:id',
+    'schools/:school/enrollment/:id/year/:year',
+    'schools/:school/assertivediscipline',
+    'schools/:school/assertivediscipline/:id',
+    'schools/:school/districtsupplemental',
+    'schools/:school/districtsupplemental/:id',
+    'schools/:school/fees',
+    'schools/:school/fees/:id',
+    'schools/:school/collegetestscores',
+    'schools/:school/collegetestscores/:id',
+    'schools/:school/studentpictures',
+    'schools/:school/studentpictures/:id',
+    'schools/:school/gpas',
+    'schools/:school/gpas/:id',
+    'schools/:school/reportcard',
+    'schools/:school/reportcard/:id',
+    'schools/:school/graduationstatussummary',
+    'schools/:school/graduationstatussummary/:id',
+    'schools/:school/graduationstatussummary/grade/:grade',
+    'schools/:school/transcript',
+    'schools/:school/transcript/:id',
+    'schools/:school/classes',
+    'schools/:school/classes/:id',
+    'schools/:school/teachers',
+    'schools/:school/teachers/:id',
+    'schools/:school/sections',
+    'schools/:school/sections/:section',
+    'schools/:school/sections/:section/students',
+    'schools/:school/sections/:section/gradebooks',
+    'students/:id/tests',
+    'enrollment/:id',
+    'codes/:table/:field',
+    'courses',
+    'courses/:course',
+    'staff',
+    'staff/:staff',
+    'staff/:staff/gradebooks',
+    'gradebooks/:gradebook',
+    'gradebooks/:gradebook/finalmarks',
+    'gradebooks/:gradebook/assignments',
+    'gradebooks/:gradebook/assignments/:assignment',
+    'gradebooks/:gradebook/assignments/:assignment/scores',
+    'gradebooks/:gradebook/assignments/:assignment/scores/:id',
+    'gradebooks/:gradebook/UpdateScores/:assignment',
+    'gradebooks/:gradebook/:term/students/:id',
+    'gradebooks/assignments/:unique',
+    'gradebooks/assignments/:unique/scores',
+    'gradebooks/assignments/:unique/scores/:id',
+    'gradebooks/UpdateScores/:unique',
+    'StudentDataChanges/:area/:year/:month/:day/:hour/:minute',
+    'CourseDataChanges/:year/:month/:day/:hour/:minute',
+    'StaffDataChanges/:year/:month/:day/:hour/:minute',
+    'sectiondatachanges/:year/:month/:day/:hour/:minute',
+    'sectionrosterdatachanges/:year/:month/:day/:hour/:minute'
+].map(function (route) {
+    return route.toLowerCase().split('/');
+});
+
+// Every fixed segment of the routes, to tell fixed segments from ids in paths that are not routes.
+const WORDS = new Set([].concat.apply([], ROUTES).filter(function (segment) { return segment[0] !== ':'; }));
+
+/**
+ * Gets the segments of the path of an API url after api/ and the API version, if any, e.g. courses/0105 for api/courses/0105
+ * @param {URL|string} url
+ * @returns {string[]}
+ */
+function getPathSegments(url) {
+    var pathname = (typeof url === 'string' ? new URL(url) : url).pathname;
+    var segments = pathname.split('/').filter(function (s) { return s.length > 0; });
+    var index = segments.map(function (s) { return s.toLowerCase(); }).indexOf('api');
+    if (index !== -1) {
+        segments = segments.slice(index + 1);
+        if (segments.length > 0 && /^v\d+$/i.test(segments[0])) {
+            segments = segments.slice(1);
+        }
+    }
+    return segments;
+}
+
+/**
+ * Finds the route of a path: the route of the same length whose fixed segments match, preferring the most fixed segments,
+ * e.g. students/grade/:grade over students/:id/extended.
+ * @param {string[]} segments
+ * @returns {string[]|null}
+ */
+function findRoute(segments) {
+    var lower = segments.map(function (s) { return s.toLowerCase(); });
+    var best = null;
+    var bestFixed = -1;
+    ROUTES.forEach(function (route) {
+        if (route.length !== lower.length) {
+            return;
+        }
+        var fixed = 0;
+        for (var i = 0; i < route.length; i++) {
+            if (route[i][0] === ':') {
+                continue;
+            }
+            if (route[i] !== lower[i]) {
+                return;
+            }
+            fixed++;
+        }
+        if (fixed > bestFixed) {
+            best = route;
+            bestFixed = fixed;
+        }
+    });
+    return best;
+}
+
+/**
+ * Gets the endpoint template of an API url, with the ids replaced by placeholders: :school for school codes, and :id for any other id.
+ * e.g. https://demo.aeries.net/aeries/api/v3/schools/994/students/99400001/ becomes schools/:school/students/:id
+ * Paths are matched to the routes the client calls, so ids of any format are replaced. In other paths, every segment that is not
+ * a fixed segment of a route is replaced, so templates never hold ids, e.g. in metric labels.
+ * @param {URL|string} url The API url.
+ * @returns {string}
+ */
+function getEndpointTemplate(url) {
+    var segments = getPathSegments(url);
+    var route = findRoute(segments);
+
+    return segments.map(function (segment, index) {
+        var placeholder = route ? route[index][0] === ':' : !WORDS.has(segment.toLowerCase());
+        if (!placeholder) {
+            return segment;
+        }
+        return index > 0 && segments[index - 1].toLowerCase() === 'schools' ? ':school' : ':id';
+    }).join('/');
+}
+
+/**
+ * Checks if an endpoint template matches a pattern. A * in the pattern matches any one segment.
+ * Matching is case insensitive, as Aeries routes are.
+ * @param {string} pattern The pattern, e.g. schools/:school/absencecodes/*
+ * @param {string} template The endpoint template, e.g. schools/:school/absencecodes/:id
+ * @returns {boolean}
+ */
+function matchesTemplate(pattern, template) {
+    var p = pattern.toLowerCase().split('/');
+    var t = template.toLowerCase().split('/');
+    if (p.length !== t.length) {
+        return false;
+    }
+    for (var i = 0; i < p.length; i++) {
+        if (p[i] !== '*' && p[i] !== t[i]) {
+            return false;
+        }
+    }
+    return true;
+}
+
+module.exports = {
+    getEndpointTemplate: getEndpointTemplate,
+    matchesTemplate: matchesTemplate
+};
@@ -0,0 +1,180 @@
+'use strict';
+
+/**
+ * The base error for all errors reported by aeriesjs.
+ */
+class AeriesError extends Error {
+
+    /**
+     * AeriesError
+     * @param {string} message The error message.
+     * @param {Object} [details] Additional information about the failed call.
+     * @param {number} [details.statusCode] The HTTP status code of the response, if any.
+     * @param {string} [details.url] The url that was requested.
+     * @param {string} [details.body] The raw response body, if any.
+     * @param {Object} [details.headers] The response headers, if any.
+     * @param {Error} [details.cause] The underlying error, if any.
+     */
+    constructor(message, details) {
+        super(message);
+        details = details || {};
+
+        this.name = this.constructor.name;
+        this.statusCode = details.statusCode || null;
+        this.url = details.url || null;
+        this.body = details.body === undefined ? null : details.body;
+        this.headers = details.headers || null;
+        this.cause = details.cause || null;
+
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, this.constructor);
+        }
+    }
+}
+
+/**
+ * Reported when the request could not be completed, e.g. a DNS failure or a socket reset.
+ */
+class AeriesNetworkError extends AeriesError { }
+
+/**
+ * Reported when a request does not complete within the configured timeout.
+ */
+class AeriesTimeoutError extends AeriesNetworkError {
+
+    /**
+     * AeriesTimeoutError
+     * @param {string} message The error message.
+     * @param {Object} [details] Additional information about the failed call.
+     */
+    constructor(message, details) {
+        super(message, details);
+        this.code = 'ETIMEDOUT';
+    }
+}
+
+/**
+ * Reported when a request is cancelled through its AbortSignal.
+ */
+class AeriesAbortError extends AeriesError { }
+
+/**
+ * Reported when the certificate could not be read from the credential provider.
+ */
+class AeriesCredentialError extends AeriesError { }
+
+/**
+ * Reported when the response body could not be parsed as JSON.
+ */
+class AeriesParseError extends AeriesError { }
+
+/**
+ * The base error for non-success HTTP responses from the Aeries API.
+ */
+class AeriesResponseError extends AeriesError { }
+
+/**
+ * Reported for 401 and 403 responses, usually a missing or invalid AERIES-CERT.
+ */
+class AeriesAuthenticationError extends AeriesResponseError { }
+
+/**
+ * Reported for 404 responses, e.g. an unknown school or student.
+ */
+class AeriesNotFoundError extends AeriesResponseError { }
+
+/**
+ * Reported for 400 and 422 responses, or when arguments are rejected before a request is made.
+ */
+class AeriesValidationError extends AeriesResponseError { }
+
+/**
+ * Reported for 5xx responses.
+ */
+class AeriesServerError extends AeriesResponseError { }
+
+/**
+ * Gets the message Aeries returned in an error response body, if any.
+ * @param {string} body The raw response body.
+ * @returns {string|null}
+ */
+function getResponseMessage(body) {
+    if (!body) {
+        return null;
+    }
+    try {
+        var jBody = JSON.parse(body);
+        if (jBody && typeof jBody === 'object') {
+            return jBody.Message || jBody.message || jBody.error || null;
+        }
+    }
+    catch (e) {
+        // Not JSON, e.g. an IIS error page.
+    }
+    return null;
+}
+
+/**
+ * Creates the error for an HTTP response, or null if the response was successful.
+ * @param {number} statusCode The HTTP status code of the response.
+ * @param {string} url The url that was requested.
+ * @param {string} body The raw response body.
+ * @param {Object} [headers] The response headers.
+ * @returns {AeriesResponseError|null}
+ */
+function errorFromResponse(statusCode, url, body, headers) {
+    if (statusCode < 400) {
+        return null;
+    }
+
+    var ErrorType = AeriesResponseError;
+    if (statusCode === 401 || statusCode === 403) {
+        ErrorType = AeriesAuthenticationError;
+    }
+    else if (statusCode === 404) {
+        ErrorType = AeriesNotFoundError;
+    }
+    else if (statusCode === 400 || statusCode === 422) {
+        ErrorType = AeriesValidationError;
+    }
+    else if (statusCode >= 500) {
+        ErrorType = AeriesServerError;
+    }
+
+    var message = 'Aeries API responded with HTTP ' + statusCode;
+    var responseMessage = getResponseMessage(body);
+    if (responseMessage) {
+        message += ': ' + responseMessage;
+    }
+
+    return new ErrorType(message, { statusCode: statusCode, url: url, body: body, headers: headers });
+}
+
+/**
+ * Wraps an error in an AeriesError, if it is not one already.
+ * @param {Error} err The error to wrap.
+ * @param {Object} [details] Additional information about the failed call.
+ * @returns {AeriesError}
+ */
+function wrapError(err, details) {
+    if (err instanceof AeriesError) {
+        return err;
+    }
+    return new AeriesError(err && err.message ? err.message : String(err), Object.assign({ cause: err }, details));
+}
+
+module.exports = {
+    AeriesError: AeriesError,
+    AeriesNetworkError: AeriesNetworkError,
+    AeriesTimeoutError: AeriesTimeoutError,
+    AeriesAbortError: AeriesAbortError,
+    AeriesCredentialError: AeriesCredentialError,
+    AeriesParseError: AeriesParseError,
+    AeriesResponseError: AeriesResponseError,
+    AeriesAuthenticationError: AeriesAuthenticationError,
+    AeriesNotFoundError: AeriesNotFoundError,
+    AeriesValidationError: AeriesValidationError,
+    AeriesServerError: AeriesServerError,
+    errorFromResponse: errorFromResponse,
+    wrapError: wrapError
+};
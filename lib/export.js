@@ -0,0 +1,428 @@
+'use strict';
+
+let fs = require('fs');
+let { Readable, Transform } = require('stream');
+
+/**
+ * @typedef exportColumn
+ * @type {Object}
+ * @property {string} field The flattened field to write, e.g. "LastName" or "Contacts.0.FirstName".
+ * @property {string} header The column header. Defaults to the field.
+ * @property {function(Object, Object): *} value Computes the value from the flattened and original record, instead of reading a field.
+ */
+
+/**
+ * @typedef exportOptions
+ * @type {Object}
+ * @property {string} format csv, tsv or ndjson. Defaults to csv.
+ * @property {Array<string|exportColumn>} columns The columns to write, in order. Defaults to every field of every record, in the order they first appear; the records are then buffered until the end so the header is complete.
+ * @property {boolean} flatten Flatten nested objects and arrays into dotted fields, e.g. Contacts.0.FirstName. Defaults to true for csv and tsv and false for ndjson. Columns are always picked from the flattened record.
+ * @property {string} separator The separator for flattened field names. Defaults to ".".
+ * @property {boolean} header Write a header row for csv and tsv. Defaults to true.
+ * @property {string} newline The line ending. Defaults to "\r\n" for csv and "\n" otherwise.
+ */
+
+const FORMATS = ['csv', 'tsv', 'ndjson'];
+
+// Numbers the temporary files of exports to files.
+let tempFiles = 0;
+
+/**
+ * Flattens nested objects and arrays into one level of dotted fields, e.g. { Contacts: [{ FirstName: 'Maria' }] } becomes { 'Contacts.0.FirstName': 'Maria' }.
+ * Dates are kept as Dates; empty objects and arrays are dropped.
+ * @param {Object} record
+ * @param {string} [separator] Defaults to ".".
+ * @returns {Object}
+ */
+function flatten(record, separator) {
+    separator = separator || '.';
+    var result = {};
+
+    function walk(value, prefix) {
+        if (value && typeof value === 'object' && !(value instanceof Date)) {
+            Object.keys(value).forEach(function (key) {
+                walk(value[key], prefix === null ? key : prefix + separator + key);
+            });
+        }
+        else {
+            result[prefix === null ? 'value' : prefix] = value;
+        }
+    }
+
+    walk(record, null);
+    return result;
+}
+
+/**
+ * Formats a value as text for a csv or tsv cell.
+ * @param {*} value
+ * @returns {string}
+ */
+function toText(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+/**
+ * Quotes a csv field if it needs it.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+    var text = toText(value);
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * Cleans a tsv field. Tabs and line breaks cannot be escaped in tsv, so they are replaced with spaces.
+ * @param {*} value
+ * @returns {string}
+ */
+function tsvField(value) {
+    return toText(value).replace(/[\t\r\n]+/g, ' ');
+}
+
+/**
+ * Turns column options into column objects.
+ * @param {Array<string|exportColumn>} columns
+ * @returns {exportColumn[]}
+ */
+function normalizeColumns(columns) {
+    return columns.map(function (column) {
+        if (typeof column === 'string') {
+            return { field: column, header: column, value: null };
+        }
+        return {
+            field: column.field || null,
+            header: column.header || column.field,
+            value: column.value || null
+        };
+    });
+}
+
+/**
+ * Gets the columns for a list of flattened records, in the order the fields first appear.
+ * @param {Object[]} records
+ * @returns {exportColumn[]}
+ */
+function getColumns(records) {
+    var seen = {};
+    var fields = [];
+    records.forEach(function (record) {
+        Object.keys(record).forEach(function (key) {
+            if (!seen[key]) {
+                seen[key] = true;
+                fields.push(key);
+            }
+        });
+    });
+    return normalizeColumns(fields);
+}
+
+/**
+ * Merges export options with the defaults.
+ * @param {exportOptions} [options]
+ * @returns {exportOptions}
+ */
+function exportOptions(options) {
+    options = Object.assign({ format: 'csv', columns: null, separator: '.', header: true }, options);
+    if (FORMATS.indexOf(options.format) === -1) {
+        throw new TypeError('Unknown export format "' + options.format + '". Use one of ' + FORMATS.join(', ') + '.');
+    }
+    if (options.flatten === undefined) {
+        options.flatten = options.format !== 'ndjson';
+    }
+    if (options.newline === undefined) {
+        options.newline = options.format === 'csv' ? '\r\n' : '\n';
+    }
+    return options;
+}
+
+/**
+ * Formats records as csv, tsv or ndjson text, one record at a time.
+ */
+class RecordFormatter {
+
+    /**
+     * RecordFormatter
+     * @param {exportOptions} [options]
+     */
+    constructor(options) {
+        this.options = exportOptions(options);
+        this.columns = this.options.columns ? normalizeColumns(this.options.columns) : null;
+        this.buffered = this.columns || this.options.format === 'ndjson' ? null : [];
+        this.count = 0;
+        this.wroteHeader = false;
+    }
+
+    /**
+     * Formats a record.
+     * @param {Object} record
+     * @returns {string} The text to write, which is empty while records are buffered.
+     */
+    write(record) {
+        if (record === null || record === undefined) {
+            return '';
+        }
+
+        // Picked columns are always read from the flattened record, so nested fields can be picked.
+        var flat = (this.options.flatten || this.columns) && typeof record === 'object' ? flatten(record, this.options.separator) : record;
+        if (this.buffered) {
+            this.buffered.push({ flat: flat, record: record });
+            return '';
+        }
+        return this._formatRecord(flat, record);
+    }
+
+    /**
+     * Formats the buffered records, or the header if there were no records.
+     * @returns {string} The text to write.
+     */
+    end() {
+        var text = '';
+        if (this.buffered) {
+            this.columns = getColumns(this.buffered.map(function (item) { return item.flat; }));
+            text = this.buffered.map((item) => this._formatRecord(item.flat, item.record)).join('');
+            this.buffered = null;
+        }
+        if (this.columns && this.columns.length > 0 && !this.wroteHeader && this.options.format !== 'ndjson') {
+            text += this._formatHeader();
+        }
+        return text;
+    }
+
+    /**
+     * Formats the header row, for csv and tsv.
+     * @returns {string}
+     */
+    _formatHeader() {
+        this.wroteHeader = true;
+        if (!this.options.header) {
+            return '';
+        }
+        return this._formatRow(this.columns.map(function (column) { return column.header; }));
+    }
+
+    /**
+     * Formats a row of values.
+     * @param {Array} values
+     * @returns {string}
+     */
+    _formatRow(values) {
+        var field = this.options.format === 'tsv' ? tsvField : csvField;
+        return values.map(field).join(this.options.format === 'tsv' ? '\t' : ',') + this.options.newline;
+    }
+
+    /**
+     * Formats one record.
+     * @param {Object} flat The flattened record.
+     * @param {Object} record The original record.
+     * @returns {string}
+     */
+    _formatRecord(flat, record) {
+        this.count++;
+
+        if (this.options.format === 'ndjson') {
+            var value = flat;
+            if (this.columns) {
+                value = {};
+                this.columns.forEach(function (column) {
+                    value[column.header] = column.value ? column.value(flat, record) : flat[column.field];
+                });
+            }
+            return JSON.stringify(value) + this.options.newline;
+        }
+
+        var header = this.wroteHeader ? '' : this._formatHeader();
+        return header + this._formatRow(this.columns.map(function (column) {
+            return column.value ? column.value(flat, record) : flat[column.field];
+        }));
+    }
+}
+
+/**
+ * A transform that takes records and writes them as csv, tsv or ndjson text.
+ */
+class ExportStream extends Transform {
+
+    /**
+     * ExportStream
+     * @param {exportOptions} [options]
+     */
+    constructor(options) {
+        super({ writableObjectMode: true });
+        this.formatter = new RecordFormatter(options);
+    }
+
+    /**
+     * Gets the number of records written.
+     * @returns {number}
+     */
+    get count() {
+        return this.formatter.count;
+    }
+
+    _transform(record, encoding, callback) {
+        var text;
+        try {
+            text = this.formatter.write(record);
+        }
+        catch (e) {
+            return callback(e);
+        }
+        if (text) {
+            this.push(text);
+        }
+        callback();
+    }
+
+    _flush(callback) {
+        var text;
+        try {
+            text = this.formatter.end();
+        }
+        catch (e) {
+            return callback(e);
+        }
+        if (text) {
+            this.push(text);
+        }
+        callback();
+    }
+}
+
+/**
+ * Formats a list of records as csv, tsv or ndjson text.
+ * @param {Object[]} records
+ * @param {exportOptions} [options]
+ * @returns {string}
+ */
+function formatRecords(records, options) {
+    var formatter = new RecordFormatter(options);
+    return records.map(function (record) { return formatter.write(record); }).join('') + formatter.end();
+}
+
+/**
+ * Turns an export source into a stream of records.
+ * @param {Readable|Promise<apiResult>|Object[]|districtResult} source
+ * @returns {Readable}
+ */
+function toRecordStream(source) {
+    if (source && typeof source.pipe === 'function') {
+        return source;
+    }
+
+    var readable = new Readable({ objectMode: true, read: function () { } });
+    Promise.resolve(source).then(function (result) {
+        var records = result;
+        if (result && !Array.isArray(result)) {
+            // An apiResult, or the result of a district wide call.
+            records = result.records !== undefined ? result.records : result.body;
+        }
+        (Array.isArray(records) ? records : [records]).forEach(function (record) {
+            if (record !== null && record !== undefined) {
+                readable.push(record);
+            }
+        });
+        readable.push(null);
+    }, function (err) {
+        readable.destroy(err);
+    });
+    return readable;
+}
+
+/**
+ * Exports records to a file or stream as csv, tsv or ndjson.
+ * Files are written to a temporary file in the same directory and renamed when the export finishes,
+ * so a failed export is removed and leaves an existing file in place.
+ * @param {Readable|Promise<apiResult>|Object[]|districtResult} source The records: a stream from a stream method, a Promise from a getter, a district wide call result or an array.
+ * @param {string|Writable} destination A file path, or a stream to write to. Streams are ended when the export finishes.
+ * @param {exportOptions} [options]
+ * @returns {Promise<{count: number}>} The number of records written.
+ */
+function exportRecords(source, destination, options) {
+    var exporter;
+    try {
+        exporter = new ExportStream(options);
+    }
+    catch (e) {
+        return Promise.reject(e);
+    }
+
+    var temp = typeof destination === 'string' ? destination + '.' + process.pid + '-' + (++tempFiles) + '.tmp' : null;
+    var output = temp ? fs.createWriteStream(temp) : destination;
+    var records = toRecordStream(source);
+
+    return new Promise(function (resolve, reject) {
+        var failed = false;
+        var opened = false;
+        function fail(err) {
+            if (!failed) {
+                failed = true;
+                records.unpipe(exporter);
+                exporter.unpipe(output);
+                if (!temp || (!opened && output.destroyed)) {
+                    // A stream destination, or a temporary file that could not be created.
+                    reject(err);
+                    return;
+                }
+                output.once('close', function () {
+                    fs.unlink(temp, function () {
+                        reject(err);
+                    });
+                });
+                output.destroy();
+            }
+        }
+
+        records.on('error', fail);
+        exporter.on('error', fail);
+        output.on('error', fail);
+        if (temp) {
+            output.on('open', function () {
+                opened = true;
+            });
+            // Renamed once closed rather than on finish, as an open file cannot be renamed on Windows.
+            output.on('close', function () {
+                if (!failed) {
+                    fs.rename(temp, destination, function (err) {
+                        if (err) {
+                            fs.unlink(temp, function () {
+                                reject(err);
+                            });
+                        }
+                        else {
+                            resolve({ count: exporter.count });
+                        }
+                    });
+                }
+            });
+        }
+        else {
+            output.on('finish', function () {
+                if (!failed) {
+                    resolve({ count: exporter.count });
+                }
+            });
+        }
+
+        records.pipe(exporter).pipe(output);
+    });
+}
+
+module.exports = {
+    RecordFormatter: RecordFormatter,
+    ExportStream: ExportStream,
+    exportRecords: exportRecords,
+    formatRecords: formatRecords,
+    flatten: flatten,
+    FORMATS: FORMATS
+};
@@ -0,0 +1,240 @@
+'use strict';
+
+/**
+ * The certificate the mock server accepts by default; the same one the Aeries demo site uses.
+ */
+const DEMO_CERTIFICATE = '477abe9e7d27439681d62f4e0de1f5e1';
+
+const SCHOOLS = [
+    { SchoolCode: 994, Name: 'Aeries High School', InactiveStatusCode: '', LowGradeLevel: 9, HighGradeLevel: 12, Address: '1 Aeries Way', AddressCity: 'Anaheim', AddressState: 'CA', AddressZipCode: '92801' },
+    { SchoolCode: 990, Name: 'Aeries Middle School', InactiveStatusCode: '', LowGradeLevel: 6, HighGradeLevel: 8, Address: '2 Aeries Way', AddressCity: 'Anaheim', AddressState: 'CA', AddressZipCode: '92801' },
+    { SchoolCode: 999, Name: 'Inactive Students', InactiveStatusCode: 'I', LowGradeLevel: 0, HighGradeLevel: 12, Address: '', AddressCity: '', AddressState: '', AddressZipCode: '' }
+];
+
+const STUDENTS = [
+    { SchoolCode: 994, PermanentID: 99400001, StudentNumber: 1, FirstName: 'Ava', LastName: 'Alvarez', Sex: 'F', Grade: 9, Birthdate: '2003-09-14T00:00:00', InactiveStatusCode: '', EthnicityCode: 'Y', RaceCode1: 700, StudentEmailAddress: 'ava.alvarez@example.org' },
+    { SchoolCode: 994, PermanentID: 99400002, StudentNumber: 2, FirstName: 'Ben', LastName: 'Baker', Sex: 'M', Grade: 10, Birthdate: '2002-04-02T00:00:00', InactiveStatusCode: '', EthnicityCode: 'N', RaceCode1: 600, StudentEmailAddress: 'ben.baker@example.org' },
+    { SchoolCode: 994, PermanentID: 99400003, StudentNumber: 3, FirstName: 'Cora', LastName: 'Chen', Sex: 'F', Grade: 12, Birthdate: '2000-11-21T00:00:00', InactiveStatusCode: '', EthnicityCode: 'N', RaceCode1: 201, StudentEmailAddress: '' },
+    { SchoolCode: 990, PermanentID: 99000001, StudentNumber: 1, FirstName: 'Dev', LastName: 'Diaz', Sex: 'M', Grade: 7, Birthdate: '2005-01-30T00:00:00', InactiveStatusCode: '', EthnicityCode: 'Y', RaceCode1: 100, StudentEmailAddress: '' },
+    { SchoolCode: 990, PermanentID: 99000002, StudentNumber: 2, FirstName: 'Eve', LastName: 'Evans', Sex: 'F', Grade: 8, Birthdate: '2004-06-08T00:00:00', InactiveStatusCode: '', EthnicityCode: 'N', RaceCode1: 700, StudentEmailAddress: '' }
+];
+
+const CONTACTS = [
+    { SchoolCode: 994, StudentID: 99400001, SequenceNumber: 1, FirstName: 'Maria', LastName: 'Alvarez', RelationshipToStudentCode: '10', HomePhone: '7145550101', EmailAddress: 'maria.alvarez@example.org', MailingAddress: '10 Elm St' },
+    { SchoolCode: 994, StudentID: 99400002, SequenceNumber: 1, FirstName: 'Tom', LastName: 'Baker', RelationshipToStudentCode: '11', HomePhone: '7145550102', EmailAddress: '', MailingAddress: '20 Oak St' },
+    { SchoolCode: 994, StudentID: 99400003, SequenceNumber: 1, FirstName: 'Lin', LastName: 'Chen', RelationshipToStudentCode: '10', HomePhone: '7145550103', EmailAddress: 'lin.chen@example.org', MailingAddress: '30 Pine St' },
+    { SchoolCode: 990, StudentID: 99000001, SequenceNumber: 1, FirstName: 'Rosa', LastName: 'Diaz', RelationshipToStudentCode: '10', HomePhone: '7145550104', EmailAddress: '', MailingAddress: '40 Birch St' }
+];
+
+const TERMS = [
+    { SchoolCode: 994, TermCode: 'F', TermDescription: 'Fall', StartDate: '2018-08-15T00:00:00', EndDate: '2018-12-21T00:00:00' },
+    { SchoolCode: 994, TermCode: 'S', TermDescription: 'Spring', StartDate: '2019-01-07T00:00:00', EndDate: '2019-06-07T00:00:00' }
+];
+
+const COURSES = [
+    { ID: '0105', Title: 'English 9', DepartmentCode: 'ENG', CSFCourseList: '', StateCourseCode: '2100', LowGrade: 9, HighGrade: 9, InactiveStatusCode: '' },
+    { ID: '0301', Title: 'Algebra 1', DepartmentCode: 'MTH', CSFCourseList: '', StateCourseCode: '2403', LowGrade: 9, HighGrade: 12, InactiveStatusCode: '' }
+];
+
+const STAFF = [
+    { ID: 1234, FirstName: 'Grace', LastName: 'Hopper', EmailAddress: 'ghopper@example.org', PrimaryAeriesSchool: 994 },
+    { ID: 1235, FirstName: 'Alan', LastName: 'Turing', EmailAddress: 'aturing@example.org', PrimaryAeriesSchool: 994 }
+];
+
+const TEACHERS = [
+    { SchoolCode: 994, TeacherNumber: 101, DisplayName: 'Hopper', FirstName: 'Grace', LastName: 'Hopper', StaffID1: 1234, EmailAddress: 'ghopper@example.org' },
+    { SchoolCode: 994, TeacherNumber: 102, DisplayName: 'Turing', FirstName: 'Alan', LastName: 'Turing', StaffID1: 1235, EmailAddress: 'aturing@example.org' }
+];
+
+const SECTIONS = [
+    { SchoolCode: 994, SectionNumber: 1001, CourseID: '0105', Period: 1, Room: 'A1', Semester: 'F', TeacherNumber1: 101, TeacherNumber2: null, LowGrade: 9, HighGrade: 10, InactiveStatusCode: '', StudentIDs: [99400001, 99400002] },
+    { SchoolCode: 994, SectionNumber: 1002, CourseID: '0301', Period: 2, Room: 'B2', Semester: '', TeacherNumber1: 102, TeacherNumber2: 101, LowGrade: 9, HighGrade: 12, InactiveStatusCode: '', StudentIDs: [99400001, 99400003] }
+];
+
+// One record per student, with the days that have an all day or period attendance code.
+const ATTENDANCE = [
+    { SchoolCode: 994, PermanentID: 99400001, StudentNumber: 1, SchoolYear: '2018-2019', CalendarDays: [
+        { Date: '2018-09-04T00:00:00', AllDayAttendanceCode: 'A', Periods: [{ Period: 1, AbsenceCode: 'A' }, { Period: 2, AbsenceCode: 'A' }] },
+        { Date: '2018-10-11T00:00:00', AllDayAttendanceCode: '', Periods: [{ Period: 1, AbsenceCode: 'T' }, { Period: 2, AbsenceCode: '' }] }
+    ] },
+    { SchoolCode: 994, PermanentID: 99400002, StudentNumber: 2, SchoolYear: '2018-2019', CalendarDays: [
+        { Date: '2018-09-05T00:00:00', AllDayAttendanceCode: 'U', Periods: [{ Period: 1, AbsenceCode: 'U' }, { Period: 2, AbsenceCode: 'U' }] }
+    ] },
+    { SchoolCode: 994, PermanentID: 99400003, StudentNumber: 3, SchoolYear: '2018-2019', CalendarDays: [] }
+];
+
+const ABSENCE_CODES = [
+    { SchoolCode: 994, Code: 'A', Title: 'Absent', Description: 'Absent, not yet cleared', ExcusedCode: 'N', TruancyCode: 'N' },
+    { SchoolCode: 994, Code: 'E', Title: 'Excused', Description: 'Excused absence', ExcusedCode: 'Y', TruancyCode: 'N' },
+    { SchoolCode: 994, Code: 'I', Title: 'Illness', Description: 'Excused for illness', ExcusedCode: 'Y', TruancyCode: 'N' },
+    { SchoolCode: 994, Code: 'U', Title: 'Unexcused', Description: 'Unexcused absence', ExcusedCode: 'N', TruancyCode: 'Y' },
+    { SchoolCode: 994, Code: 'T', Title: 'Tardy', Description: 'Tardy', ExcusedCode: 'N', TruancyCode: 'N' }
+];
+
+// Instructional days are the weekdays of September and early October 2018, with a holiday on October 8.
+const HOLIDAYS = { '2018-10-08': 'H' };
+
+const TRANSCRIPTS = [
+    { PermanentID: 99400003, SchoolCode: 994, SchoolYear: '2017-2018', Term: 'S', CourseID: '0105', CourseTitle: 'English 9', Mark: 'A', CreditAttempted: 5, CreditCompleted: 5 },
+    { PermanentID: 99400003, SchoolCode: 994, SchoolYear: '2017-2018', Term: 'S', CourseID: '0301', CourseTitle: 'Algebra 1', Mark: 'B+', CreditAttempted: 5, CreditCompleted: 5 }
+];
+
+const GRADEBOOKS = [
+    { GradebookNumber: 4432, Name: 'English 9 - P1', SchoolCode: 994, StaffID: 1234, Sections: [{ SchoolCode: 994, SectionNumber: 1001 }],
+        Terms: [{ Code: 'F', StartDate: '2018-08-15T00:00:00', EndDate: '2018-12-21T00:00:00' }] }
+];
+
+const ASSIGNMENTS = [
+    { GradebookNumber: 4432, AssignmentNumber: 1, RunningAssignmentNumber: 1, UniqueID: 'A4432-1', Description: 'Essay 1', Category: 'Writing', DateAssigned: '2018-09-01T00:00:00', DateDue: '2018-09-10T00:00:00', NumberCorrectPossible: 100 },
+    { GradebookNumber: 4432, AssignmentNumber: 2, RunningAssignmentNumber: 2, UniqueID: 'A4432-2', Description: 'Quiz 1', Category: 'Quizzes', DateAssigned: '2018-09-12T00:00:00', DateDue: '2018-09-12T00:00:00', NumberCorrectPossible: 20 }
+];
+
+const SCORES = [
+    { GradebookNumber: 4432, AssignmentNumber: 1, PermanentID: 99400001, NumberCorrect: 92, Mark: 'A-' },
+    { GradebookNumber: 4432, AssignmentNumber: 1, PermanentID: 99400002, NumberCorrect: 81, Mark: 'B-' },
+    { GradebookNumber: 4432, AssignmentNumber: 2, PermanentID: 99400001, NumberCorrect: 18, Mark: 'A-' }
+];
+
+const SECTION_FIELDS = ['SchoolCode', 'SectionNumber', 'CourseID', 'Period', 'Room', 'Semester', 'TeacherNumber1', 'TeacherNumber2', 'LowGrade', 'HighGrade', 'InactiveStatusCode'];
+
+/**
+ * Picks the fields of a record.
+ * @param {Object} record
+ * @param {string[]} fields
+ */
+function pick(record, fields) {
+    var result = {};
+    fields.forEach(function (field) {
+        result[field] = record[field];
+    });
+    return result;
+}
+
+/**
+ * Creates the calendar of a school, one record per weekday.
+ * @param {number} schoolCode
+ * @param {string} from The first day, YYYY-MM-DD.
+ * @param {string} to The last day, YYYY-MM-DD.
+ * @returns {Object[]}
+ */
+function calendar(schoolCode, from, to) {
+    var days = [];
+    var dayNumber = 0;
+    for (var day = new Date(from + 'T00:00:00Z'); day <= new Date(to + 'T00:00:00Z'); day.setUTCDate(day.getUTCDate() + 1)) {
+        if (day.getUTCDay() !== 0 && day.getUTCDay() !== 6) {
+            var date = day.toISOString().slice(0, 10);
+            var holiday = HOLIDAYS[date] || '';
+            days.push({ SchoolCode: schoolCode, CalendarDate: date + 'T00:00:00', DayNumber: holiday ? 0 : ++dayNumber, HolidayCode: holiday });
+        }
+    }
+    return days;
+}
+
+/**
+ * Creates the seeded fixtures, keyed by the path after api/, e.g. v3/schools/994/students/99400001.
+ * A * in a key matches any one path segment. Every call returns a fresh copy, so tests can change them freely.
+ * @returns {Object.<string, *>}
+ */
+function createFixtures() {
+    var fixtures = {
+        'v3/schools': SCHOOLS,
+        'v2/StudentDataChanges/*/*/*/*/*/*': [
+            { SchoolCode: 994, PermanentID: 99400001, ChangeDate: '2018-09-01T08:00:00' },
+            { SchoolCode: 994, PermanentID: 99400004, ChangeDate: '2018-09-01T08:05:00' }
+        ],
+        'v2/CourseDataChanges/*/*/*/*/*': [{ CourseID: '0105', ChangeDate: '2018-09-01T08:00:00' }],
+        'v2/StaffDataChanges/*/*/*/*/*': [{ StaffID: 1234, ChangeDate: '2018-09-01T08:00:00' }],
+        'v2/sectiondatachanges/*/*/*/*/*': [{ SchoolCode: 994, SectionNumber: 1001, ChangeDate: '2018-09-01T08:00:00' }],
+        'v2/sectionrosterdatachanges/*/*/*/*/*': [{ SchoolCode: 994, SectionNumber: 1002, ChangeDate: '2018-09-01T08:00:00' }]
+    };
+
+    SCHOOLS.forEach(function (school) {
+        var code = school.SchoolCode;
+        var base = 'v3/schools/' + code;
+        var students = STUDENTS.filter(function (s) { return s.SchoolCode === code; });
+        var contacts = CONTACTS.filter(function (c) { return c.SchoolCode === code; });
+        var attendance = ATTENDANCE.filter(function (a) { return a.SchoolCode === code; });
+        var transcripts = TRANSCRIPTS.filter(function (t) { return t.SchoolCode === code; });
+        var extended = students.map(function (student) {
+            return Object.assign({}, student, { Contacts: contacts.filter(function (c) { return c.StudentID === student.PermanentID; }) });
+        });
+
+        fixtures[base] = school;
+        fixtures[base + '/terms'] = TERMS.filter(function (t) { return t.SchoolCode === code; });
+        fixtures[base + '/calendar'] = code === 994 ? calendar(code, '2018-09-04', '2018-10-12') : [];
+        fixtures[base + '/absencecodes'] = ABSENCE_CODES.filter(function (a) { return a.SchoolCode === code; });
+        fixtures[base + '/students'] = students;
+        fixtures[base + '/contacts'] = contacts;
+        fixtures[base + '/attendance'] = attendance;
+        fixtures[base + '/transcript'] = transcripts;
+        fixtures[base + '/teachers'] = TEACHERS.filter(function (t) { return t.SchoolCode === code; });
+        fixtures[base + '/sections'] = SECTIONS.filter(function (s) { return s.SchoolCode === code; }).map(function (s) { return pick(s, SECTION_FIELDS); });
+
+        students.forEach(function (student, index) {
+            var id = student.PermanentID;
+            fixtures[base + '/students/' + id] = [student];
+            fixtures[base + '/students/' + id + '/extended'] = [extended[index]];
+            fixtures[base + '/students/sn/' + student.StudentNumber] = [student];
+            fixtures[base + '/contacts/' + id] = contacts.filter(function (c) { return c.StudentID === id; });
+            fixtures[base + '/attendance/' + id] = attendance.filter(function (a) { return a.PermanentID === id; });
+            fixtures[base + '/transcript/' + id] = transcripts.filter(function (t) { return t.PermanentID === id; });
+            fixtures[base + '/classes/' + id] = SECTIONS.filter(function (s) { return s.StudentIDs.indexOf(id) !== -1; }).map(function (s) {
+                return Object.assign(pick(s, SECTION_FIELDS), { StudentID: id });
+            });
+        });
+
+        [9, 10, 11, 12, 6, 7, 8].forEach(function (grade) {
+            var inGrade = students.filter(function (s) { return s.Grade === grade; });
+            if (inGrade.length > 0) {
+                fixtures[base + '/students/grade/' + grade] = inGrade;
+                fixtures[base + '/students/grade/' + grade + '/extended'] = extended.filter(function (s) { return s.Grade === grade; });
+            }
+        });
+    });
+
+    SECTIONS.forEach(function (section) {
+        var path = 'schools/' + section.SchoolCode + '/sections/' + section.SectionNumber;
+        fixtures['v3/' + path] = pick(section, SECTION_FIELDS);
+        fixtures['v1/' + path + '/students'] = section.StudentIDs.map(function (id) {
+            var student = STUDENTS.filter(function (s) { return s.PermanentID === id; })[0];
+            return { SchoolCode: section.SchoolCode, SectionNumber: section.SectionNumber, PermanentID: id, StudentNumber: student.StudentNumber };
+        });
+        fixtures['v3/' + path + '/gradebooks'] = GRADEBOOKS.filter(function (g) {
+            return g.Sections.some(function (s) { return s.SectionNumber === section.SectionNumber; });
+        });
+    });
+
+    fixtures['courses'] = COURSES;
+    COURSES.forEach(function (course) {
+        fixtures['courses/' + course.ID] = [course];
+    });
+
+    STAFF.forEach(function (staff) {
+        fixtures['v3/staff/' + staff.ID] = [staff];
+        fixtures['v3/staff/' + staff.ID + '/gradebooks'] = GRADEBOOKS.filter(function (g) { return g.StaffID === staff.ID; });
+    });
+
+    GRADEBOOKS.forEach(function (gradebook) {
+        var base = 'v3/gradebooks/' + gradebook.GradebookNumber;
+        var assignments = ASSIGNMENTS.filter(function (a) { return a.GradebookNumber === gradebook.GradebookNumber; });
+
+        fixtures[base] = gradebook;
+        fixtures[base + '/assignments'] = assignments;
+        assignments.forEach(function (assignment) {
+            var scores = SCORES.filter(function (s) {
+                return s.GradebookNumber === assignment.GradebookNumber && s.AssignmentNumber === assignment.AssignmentNumber;
+            });
+            fixtures[base + '/assignments/' + assignment.AssignmentNumber] = assignment;
+            fixtures[base + '/assignments/' + assignment.AssignmentNumber + '/scores'] = scores;
+            fixtures['v3/gradebooks/assignments/' + assignment.UniqueID] = assignment;
+            fixtures['v3/gradebooks/assignments/' + assignment.UniqueID + '/scores'] = scores;
+        });
+    });
+
+    return JSON.parse(JSON.stringify(fixtures));
+}
+
+module.exports = {
+    DEMO_CERTIFICATE: DEMO_CERTIFICATE,
+    createFixtures: createFixtures
+};
@@ -0,0 +1,179 @@
+'use strict';
+
+let { Transform } = require('stream');
+let { StringDecoder } = require('string_decoder');
+let { AeriesParseError } = require('./errors');
+
+/**
+ * Parses a JSON array incrementally and emits each element as it is read, so only one element is held in memory at a time.
+ * A top level object is emitted as a single element, as Aeries returns single records that way. Null elements are skipped.
+ */
+class JsonArrayParser extends Transform {
+
+    /**
+     * JsonArrayParser
+     * @param {Object} [options]
+     * @param {function(*): *} [options.map] Called with each parsed element; the result is emitted instead, unless it is null.
+     * @param {string} [options.url] The url of the response, for errors.
+     */
+    constructor(options) {
+        super({ readableObjectMode: true });
+        options = options || {};
+
+        this.map = options.map || null;
+        this.url = options.url || null;
+        this.decoder = new StringDecoder('utf8');
+        this.state = 'start'; // start, array, object, end
+        this.depth = 0;
+        this.inString = false;
+        this.escaped = false;
+        this.pending = '';
+        this.inElement = false;
+    }
+
+    _transform(chunk, encoding, callback) {
+        try {
+            this._parse(typeof chunk === 'string' ? chunk : this.decoder.write(chunk));
+            callback();
+        }
+        catch (e) {
+            callback(this._parseError(e));
+        }
+    }
+
+    _flush(callback) {
+        try {
+            this._parse(this.decoder.end());
+            if (this.state === 'object') {
+                this._emitElement(this.pending);
+                this.state = 'end';
+            }
+            if (this.state === 'array') {
+                throw new SyntaxError('Unexpected end of JSON input');
+            }
+            callback();
+        }
+        catch (e) {
+            callback(this._parseError(e));
+        }
+    }
+
+    /**
+     * Parses the next piece of text.
+     * @param {string} text
+     */
+    _parse(text) {
+        var start = this.inElement ? 0 : -1;
+
+        for (var i = 0; i < text.length; i++) {
+            var c = text.charAt(i);
+
+            if (this.state === 'start') {
+                if (c === '[') {
+                    this.state = 'array';
+                    this.depth = 1;
+                }
+                else if (c === '{') {
+                    // A single record; it is buffered and parsed at the end.
+                    this.state = 'object';
+                    this.pending = text.slice(i);
+                    return;
+                }
+                else if (!/\s/.test(c)) {
+                    throw new SyntaxError('Unexpected token ' + c + ' in JSON at position ' + i);
+                }
+                continue;
+            }
+
+            if (this.state === 'object') {
+                this.pending += text;
+                return;
+            }
+
+            if (this.state === 'end') {
+                if (!/\s/.test(c)) {
+                    throw new SyntaxError('Unexpected token ' + c + ' after the end of the JSON array');
+                }
+                continue;
+            }
+
+            if (this.inString) {
+                if (this.escaped) {
+                    this.escaped = false;
+                }
+                else if (c === '\\') {
+                    this.escaped = true;
+                }
+                else if (c === '"') {
+                    this.inString = false;
+                }
+                continue;
+            }
+
+            if (this.depth === 1 && (c === ',' || c === ']')) {
+                if (this.inElement) {
+                    this._emitElement(this.pending + text.slice(start, i));
+                    this.pending = '';
+                    this.inElement = false;
+                }
+                if (c === ']') {
+                    this.state = 'end';
+                    this.depth = 0;
+                }
+                continue;
+            }
+
+            if (!this.inElement) {
+                if (/\s/.test(c)) {
+                    continue;
+                }
+                this.inElement = true;
+                start = i;
+            }
+
+            if (c === '"') {
+                this.inString = true;
+            }
+            else if (c === '{' || c === '[') {
+                this.depth++;
+            }
+            else if (c === '}' || c === ']') {
+                this.depth--;
+            }
+        }
+
+        if (this.inElement) {
+            this.pending += text.slice(start);
+        }
+    }
+
+    /**
+     * Wraps a parse error in an AeriesParseError.
+     * @param {Error} err
+     * @returns {AeriesParseError}
+     */
+    _parseError(err) {
+        if (err instanceof AeriesParseError) {
+            return err;
+        }
+        return new AeriesParseError('Unable to parse the API response: ' + err.message, { url: this.url, cause: err });
+    }
+
+    /**
+     * Parses and emits one element.
+     * @param {string} json
+     */
+    _emitElement(json) {
+        var element = JSON.parse(json);
+        if (element === null) {
+            // Object mode streams end on null, and Aeries never returns null records on purpose.
+            return;
+        }
+        var mapped = this.map ? this.map(element) : element;
+        if (mapped !== null && mapped !== undefined) {
+            this.push(mapped);
+        }
+    }
+}
+
+module.exports = JsonArrayParser;
@@ -0,0 +1,236 @@
+'use strict';
+
+const REDACTED = '[redacted]';
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Student ids and numbers, under the names Aeries and camelCase normalization give them.
+const ID_KEYS = /^(id|permanentid|studentid|studentnumber|statestudentid|studentstateid|sn|pid|usersid|studentids?)$/i;
+// The names of students and their contacts. Other names, e.g. of schools, courses and teachers, are kept.
+const NAME_KEYS = /^(firstname|lastname|middlename|nickname|firstnamealias|lastnamealias|middlenamealias|parentguardianname|studentname|contactname|mailingname)$/i;
+const CERT_KEYS = /^(aeries-cert|certificate)$/i;
+
+/**
+ * @typedef logOptions
+ * @type {Object}
+ * @property {string} level The lowest level to log: debug, info, warn or error. Defaults to info.
+ * @property {string[]} certificates Certificates to remove from logged text, in addition to those of the attached clients.
+ */
+
+/**
+ * Checks if a field holds personal information or a certificate.
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isSensitiveKey(key) {
+    return ID_KEYS.test(key) || CERT_KEYS.test(key) || NAME_KEYS.test(key);
+}
+
+/**
+ * Removes student ids and certificates from text, e.g. an error message that includes the requested url.
+ * School codes are kept, as they are not personal.
+ * @param {string} text
+ * @param {string[]} [certificates]
+ * @returns {string}
+ */
+function redactText(text, certificates) {
+    (certificates || []).forEach(function (certificate) {
+        if (certificate) {
+            text = text.split(certificate).join(REDACTED);
+        }
+    });
+    return text
+        .replace(/(^|\/)([^\/\s'"?]*)\/(\d+)(?=[\/?'"\s]|$)/g, function (match, lead, segment, id) {
+            return lead + segment + '/' + (segment.toLowerCase() === 'schools' ? id : REDACTED);
+        })
+        .replace(/\b\d{5,}\b/g, REDACTED);
+}
+
+/**
+ * Copies a value with personal information removed: student ids, names and certificates, in fields and in text.
+ * Errors are reduced to their type, message and status code.
+ * @param {*} value
+ * @param {string[]} [certificates] Certificates to remove from text.
+ * @returns {*}
+ */
+function redactPii(value, certificates) {
+    if (typeof value === 'string') {
+        return redactText(value, certificates);
+    }
+    if (value instanceof Error) {
+        return {
+            type: value.name,
+            message: redactText(value.message, certificates),
+            statusCode: value.statusCode || null
+        };
+    }
+    if (Array.isArray(value)) {
+        return value.map(function (item) { return redactPii(item, certificates); });
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        var result = {};
+        Object.keys(value).forEach(function (key) {
+            result[key] = isSensitiveKey(key) && value[key] !== null && value[key] !== undefined ? REDACTED : redactPii(value[key], certificates);
+        });
+        return result;
+    }
+    return value;
+}
+
+/**
+ * Sends the events of clients to a structured logger, e.g. pino or bunyan, with personal information always removed.
+ * The logger is called as logger.info(fields, message); a function is called as fn(level, fields, message).
+ */
+class LogAdapter {
+
+    /**
+     * LogAdapter
+     * @param {Object|function(string, Object, string)} logger
+     * @param {logOptions} [options]
+     */
+    constructor(logger, options) {
+        if (!logger || (typeof logger !== 'function' && typeof logger !== 'object')) {
+            throw new TypeError('A logger is required.');
+        }
+        this.logger = logger;
+        this.options = Object.assign({ level: 'info', certificates: [] }, options);
+        this.clients = new Map();
+    }
+
+    /**
+     * Gets the certificates to remove from logged text.
+     * @returns {string[]}
+     */
+    _certificates() {
+        var certificates = this.options.certificates.slice();
+        this.clients.forEach(function (listeners, client) {
+            if (typeof client.certificate === 'string') {
+                certificates.push(client.certificate);
+            }
+        });
+        return certificates;
+    }
+
+    /**
+     * Logs a message, with personal information removed from the fields and the message.
+     * @param {string} level debug, info, warn or error.
+     * @param {Object} fields
+     * @param {string} message
+     */
+    log(level, fields, message) {
+        if (LEVELS.indexOf(level) < LEVELS.indexOf(this.options.level)) {
+            return;
+        }
+
+        var certificates = this._certificates();
+        var safeFields = redactPii(fields || {}, certificates);
+        var safeMessage = message ? redactText(String(message), certificates) : '';
+        if (typeof this.logger === 'function') {
+            this.logger(level, safeFields, safeMessage);
+        }
+        else if (typeof this.logger[level] === 'function') {
+            this.logger[level](safeFields, safeMessage);
+        }
+        else if (typeof this.logger.log === 'function') {
+            this.logger.log(level, safeFields, safeMessage);
+        }
+    }
+
+    /**
+     * Logs at debug level.
+     * @param {Object} fields
+     * @param {string} message
+     */
+    debug(fields, message) {
+        this.log('debug', fields, message);
+    }
+
+    /**
+     * Logs at info level.
+     * @param {Object} fields
+     * @param {string} message
+     */
+    info(fields, message) {
+        this.log('info', fields, message);
+    }
+
+    /**
+     * Logs at warn level.
+     * @param {Object} fields
+     * @param {string} message
+     */
+    warn(fields, message) {
+        this.log('warn', fields, message);
+    }
+
+    /**
+     * Logs at error level.
+     * @param {Object} fields
+     * @param {string} message
+     */
+    error(fields, message) {
+        this.log('error', fields, message);
+    }
+
+    /**
+     * Starts logging the events of a client. Requests are logged at debug level, responses at info, or warn for error responses,
+     * retries at warn and failed calls at error.
+     * Urls are logged as endpoint templates, e.g. schools/:school/students/:id
+     * @param {aeriesjs} client
+     * @returns {LogAdapter}
+     */
+    attach(client) {
+        if (this.clients.has(client)) {
+            return this;
+        }
+
+        function fields(e, extra) {
+            return Object.assign({ method: e.method, endpoint: e.endpoint, attempt: e.attempt }, extra, { event: 'aeries.' + extra.event });
+        }
+
+        var listeners = {
+            request: (e) => {
+                this.debug(fields(e, { event: 'request' }), e.method + ' ' + e.endpoint);
+            },
+            response: (e) => {
+                this.log(e.statusCode >= 400 ? 'warn' : 'info', fields(e, {
+                    event: 'response',
+                    statusCode: e.statusCode,
+                    duration: e.duration,
+                    bytesSent: e.bytesSent,
+                    bytesReceived: e.bytesReceived,
+                    cached: e.cached
+                }), e.method + ' ' + e.endpoint + ' ' + e.statusCode + (e.cached ? ' (cached)' : ' in ' + e.duration + 'ms'));
+            },
+            retry: (e) => {
+                this.warn(fields(e, { event: 'retry', delay: e.delay, error: e.error }), 'Retrying ' + e.method + ' ' + e.endpoint + ' in ' + e.delay + 'ms');
+            },
+            error: (e) => {
+                this.error(fields(e, { event: 'error', statusCode: e.statusCode, duration: e.duration, error: e.error }), e.method + ' ' + e.endpoint + ' failed: ' + (e.error ? e.error.message : 'unknown error'));
+            }
+        };
+        Object.keys(listeners).forEach(function (event) {
+            client.on(event, listeners[event]);
+        });
+        this.clients.set(client, listeners);
+        return this;
+    }
+
+    /**
+     * Stops logging the events of a client.
+     * @param {aeriesjs} client
+     */
+    detach(client) {
+        var listeners = this.clients.get(client);
+        if (listeners) {
+            Object.keys(listeners).forEach(function (event) {
+                client.removeListener(event, listeners[event]);
+            });
+            this.clients.delete(client);
+        }
+    }
+}
+
+module.exports = {
+    LogAdapter: LogAdapter,
+    redactPii: redactPii
+};
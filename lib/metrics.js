@@ -0,0 +1,286 @@
+'use strict';
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * @typedef metricsOptions
+ * @type {Object}
+ * @property {string} prefix The prefix of the metric names. Defaults to "aeries_".
+ * @property {number[]} buckets The upper bounds of the request duration histogram, in seconds.
+ * @property {Object} labels Labels added to every metric, e.g. { district: 'north-usd' }.
+ */
+
+/**
+ * Escapes a label value for the Prometheus text format.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Formats labels for the Prometheus text format, e.g. {endpoint="schools/:school"}
+ * @param {Object} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    var names = Object.keys(labels);
+    if (names.length === 0) {
+        return '';
+    }
+    return '{' + names.map(function (name) { return name + '="' + escapeLabel(labels[name]) + '"'; }).join(',') + '}';
+}
+
+/**
+ * A metric with a value for each set of labels.
+ */
+class Metric {
+
+    /**
+     * Metric
+     * @param {string} name
+     * @param {string} help
+     * @param {string} type counter or histogram.
+     */
+    constructor(name, help, type) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        this.series = new Map();
+    }
+
+    /**
+     * Gets the series of a set of labels, creating it if needed.
+     * @param {Object} labels
+     * @param {function(): Object} create
+     * @returns {Object}
+     */
+    _series(labels, create) {
+        var key = JSON.stringify(labels);
+        var series = this.series.get(key);
+        if (!series) {
+            series = Object.assign({ labels: labels }, create());
+            this.series.set(key, series);
+        }
+        return series;
+    }
+
+    /**
+     * Formats the metric in the Prometheus text format.
+     * @returns {string[]}
+     */
+    lines() {
+        return ['# HELP ' + this.name + ' ' + this.help, '# TYPE ' + this.name + ' ' + this.type];
+    }
+}
+
+/**
+ * A value that only goes up, e.g. the number of requests.
+ */
+class Counter extends Metric {
+
+    /**
+     * Counter
+     * @param {string} name
+     * @param {string} help
+     */
+    constructor(name, help) {
+        super(name, help, 'counter');
+    }
+
+    /**
+     * Adds to the counter.
+     * @param {Object} labels
+     * @param {number} [value] Defaults to 1.
+     */
+    inc(labels, value) {
+        this._series(labels, function () { return { value: 0 }; }).value += value === undefined ? 1 : value;
+    }
+
+    /**
+     * Gets the value of the counter for a set of labels.
+     * @param {Object} labels
+     * @returns {number}
+     */
+    get(labels) {
+        var series = this.series.get(JSON.stringify(labels));
+        return series ? series.value : 0;
+    }
+
+    lines() {
+        var lines = super.lines();
+        this.series.forEach((series) => {
+            lines.push(this.name + formatLabels(series.labels) + ' ' + series.value);
+        });
+        return lines;
+    }
+}
+
+/**
+ * Counts observations in buckets, e.g. request durations.
+ */
+class Histogram extends Metric {
+
+    /**
+     * Histogram
+     * @param {string} name
+     * @param {string} help
+     * @param {number[]} buckets The upper bounds of the buckets, in ascending order.
+     */
+    constructor(name, help, buckets) {
+        super(name, help, 'histogram');
+        this.buckets = buckets.slice().sort(function (a, b) { return a - b; });
+    }
+
+    /**
+     * Records an observation.
+     * @param {Object} labels
+     * @param {number} value
+     */
+    observe(labels, value) {
+        var series = this._series(labels, () => {
+            return { counts: this.buckets.map(function () { return 0; }), sum: 0, count: 0 };
+        });
+        this.buckets.forEach(function (bound, i) {
+            if (value <= bound) {
+                series.counts[i]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Gets the count and sum of the observations for a set of labels.
+     * @param {Object} labels
+     * @returns {{count: number, sum: number}}
+     */
+    get(labels) {
+        var series = this.series.get(JSON.stringify(labels));
+        return series ? { count: series.count, sum: series.sum } : { count: 0, sum: 0 };
+    }
+
+    lines() {
+        var lines = super.lines();
+        this.series.forEach((series) => {
+            this.buckets.forEach((bound, i) => {
+                lines.push(this.name + '_bucket' + formatLabels(Object.assign({}, series.labels, { le: bound })) + ' ' + series.counts[i]);
+            });
+            lines.push(this.name + '_bucket' + formatLabels(Object.assign({}, series.labels, { le: '+Inf' })) + ' ' + series.count);
+            lines.push(this.name + '_sum' + formatLabels(series.labels) + ' ' + series.sum);
+            lines.push(this.name + '_count' + formatLabels(series.labels) + ' ' + series.count);
+        });
+        return lines;
+    }
+}
+
+/**
+ * Collects Prometheus style metrics from the events of one or more clients, labelled by endpoint template rather than raw url,
+ * so student ids never become labels, e.g. schools/:school/students/:id
+ */
+class MetricsCollector {
+
+    /**
+     * MetricsCollector
+     * @param {metricsOptions} [options]
+     */
+    constructor(options) {
+        this.options = Object.assign({
+            prefix: 'aeries_',
+            buckets: DEFAULT_BUCKETS,
+            labels: null
+        }, options);
+
+        var p = this.options.prefix;
+        this.requests = new Counter(p + 'requests_total', 'Responses from the Aeries API, by endpoint, method and status code.');
+        this.duration = new Histogram(p + 'request_duration_seconds', 'The time from sending a request to reading its response.', this.options.buckets);
+        this.bytes = new Counter(p + 'response_bytes_total', 'Bytes read from Aeries API response bodies.');
+        this.cacheHits = new Counter(p + 'cache_hits_total', 'Calls answered from the response cache.');
+        this.retries = new Counter(p + 'retries_total', 'Failed requests that were retried.');
+        this.errors = new Counter(p + 'errors_total', 'Calls that failed, by error type.');
+        this.listeners = new Map();
+    }
+
+    /**
+     * Adds the constant labels to a set of labels.
+     * @param {Object} labels
+     * @returns {Object}
+     */
+    _labels(labels) {
+        return Object.assign({}, this.options.labels, labels);
+    }
+
+    /**
+     * Starts collecting the events of a client.
+     * @param {aeriesjs} client
+     * @returns {MetricsCollector}
+     */
+    attach(client) {
+        if (this.listeners.has(client)) {
+            return this;
+        }
+
+        var listeners = {
+            response: (e) => {
+                if (e.cached) {
+                    this.cacheHits.inc(this._labels({ endpoint: e.endpoint }));
+                    return;
+                }
+                this.requests.inc(this._labels({ endpoint: e.endpoint, method: e.method, status: e.statusCode }));
+                this.duration.observe(this._labels({ endpoint: e.endpoint, method: e.method }), e.duration / 1000);
+                this.bytes.inc(this._labels({ endpoint: e.endpoint }), e.bytesReceived || 0);
+            },
+            retry: (e) => {
+                this.retries.inc(this._labels({ endpoint: e.endpoint }));
+            },
+            error: (e) => {
+                this.errors.inc(this._labels({ endpoint: e.endpoint, error: e.error && e.error.name ? e.error.name : 'Error' }));
+            }
+        };
+        Object.keys(listeners).forEach(function (event) {
+            client.on(event, listeners[event]);
+        });
+        this.listeners.set(client, listeners);
+        return this;
+    }
+
+    /**
+     * Stops collecting the events of a client.
+     * @param {aeriesjs} client
+     */
+    detach(client) {
+        var listeners = this.listeners.get(client);
+        if (listeners) {
+            Object.keys(listeners).forEach(function (event) {
+                client.removeListener(event, listeners[event]);
+            });
+            this.listeners.delete(client);
+        }
+    }
+
+    /**
+     * Clears the collected values.
+     */
+    reset() {
+        [this.requests, this.duration, this.bytes, this.cacheHits, this.retries, this.errors].forEach(function (metric) {
+            metric.series.clear();
+        });
+    }
+
+    /**
+     * Formats the metrics in the Prometheus text exposition format, e.g. for a /metrics endpoint.
+     * @returns {string}
+     */
+    toPrometheus() {
+        return [this.requests, this.duration, this.bytes, this.cacheHits, this.retries, this.errors].map(function (metric) {
+            return metric.lines().join('\n');
+        }).join('\n') + '\n';
+    }
+}
+
+module.exports = {
+    MetricsCollector: MetricsCollector,
+    Counter: Counter,
+    Histogram: Histogram
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+let { AeriesParseError } = require('./errors');
+
+/**
+ * A step in a client's request pipeline. Middleware can change the request in place before calling next, change the response it resolves to,
+ * or answer the request itself without calling next.
+ * @callback middleware
+ * @param {pipelineRequest} request The request to Aeries.
+ * @param {function(): Promise<pipelineResponse>} next Sends the request on through the rest of the pipeline.
+ * @returns {Promise<pipelineResponse>|pipelineResponse}
+ */
+
+/**
+ * @typedef pipelineRequest
+ * @type {Object}
+ * @property {string} url The url to request. Can be rewritten, e.g. for a reverse proxy.
+ * @property {string} method
+ * @property {Object} headers The request headers. AERIES-CERT is set by the built in authorization step.
+ * @property {string} body The JSON request body, if any.
+ * @property {boolean} stream True for streamed calls, whose response body is not read.
+ */
+
+/**
+ * @typedef pipelineResponse
+ * @type {Object}
+ * @property {number} statusCode
+ * @property {Object} headers The response headers, with lower case names.
+ * @property {*} body The parsed body, or the response stream for streamed calls.
+ * @property {string} text The raw body, if it was read.
+ */
+
+/**
+ * Chains middleware in order, ending with the function that sends the request.
+ * @param {middleware[]} stack
+ * @param {function(pipelineRequest): Promise<pipelineResponse>} send
+ * @returns {function(pipelineRequest): Promise<pipelineResponse>}
+ */
+function compose(stack, send) {
+    return function (request) {
+        function dispatch(index) {
+            if (index === stack.length) {
+                return Promise.resolve().then(function () { return send(request); });
+            }
+
+            return Promise.resolve().then(function () {
+                // next can be called again, e.g. to send the request once more with a fresh certificate.
+                return stack[index](request, function () { return dispatch(index + 1); });
+            }).then(function (response) {
+                if (!response || typeof response.statusCode !== 'number') {
+                    throw new TypeError('Middleware must resolve to a response with a statusCode.');
+                }
+                return response;
+            });
+        }
+        return dispatch(0);
+    };
+}
+
+/**
+ * The built in step that sets the AERIES-CERT header from the client's credential provider.
+ * When the API responds with 401 and the certificate can change, it is read again and the request is sent once more.
+ * @param {aeriesjs} client
+ * @returns {middleware}
+ */
+function authorize(client) {
+    return function (request, next) {
+        return client._authorize(request, false).then(next).then(function (response) {
+            if (response.statusCode !== 401 || !client._canRefresh()) {
+                return response;
+            }
+            if (response.body && typeof response.body.resume === 'function') {
+                response.body.resume();
+            }
+            // The certificate may have been rotated, so get it again once before failing.
+            return client._authorize(request, true).then(next);
+        });
+    };
+}
+
+/**
+ * The built in step that parses JSON response bodies. Error responses that are not JSON, e.g. an IIS error page, keep their raw body.
+ * @returns {middleware}
+ */
+function parseJson() {
+    return function (request, next) {
+        return next().then(function (response) {
+            if (request.stream || typeof response.text !== 'string') {
+                return response;
+            }
+
+            var body = null;
+            if (response.text) {
+                try {
+                    body = JSON.parse(response.text);
+                }
+                catch (e) {
+                    if (response.statusCode < 400) {
+                        throw new AeriesParseError('Unable to parse the API response: ' + e.message, { statusCode: response.statusCode, url: request.url, body: response.text, headers: response.headers, cause: e });
+                    }
+                    body = response.text;
+                }
+            }
+            return Object.assign({}, response, { body: body });
+        });
+    };
+}
+
+module.exports = {
+    compose: compose,
+    authorize: authorize,
+    parseJson: parseJson
+};
@@ -0,0 +1,325 @@
+'use strict';
+
+let fs = require('fs');
+let http = require('http');
+let path = require('path');
+let { URL } = require('url');
+let { DEMO_CERTIFICATE, createFixtures } = require('./fixtures');
+
+/**
+ * A fixture with its own status code and headers, for responses other than a plain 200.
+ */
+class MockResponse {
+
+    /**
+     * MockResponse
+     * @param {number} statusCode
+     * @param {*} body The response body; serialized as JSON unless it is a string or Buffer.
+     * @param {Object} [headers]
+     */
+    constructor(statusCode, body, headers) {
+        this.statusCode = statusCode;
+        this.body = body;
+        this.headers = headers || {};
+    }
+}
+
+/**
+ * Creates a fixture with its own status code and headers.
+ * @param {number} statusCode
+ * @param {*} body
+ * @param {Object} [headers]
+ * @returns {MockResponse}
+ */
+function respond(statusCode, body, headers) {
+    return new MockResponse(statusCode, body, headers);
+}
+
+/**
+ * Gets the fixture key for a request path, e.g. /aeries/api/v3/schools/994/ becomes v3/schools/994.
+ * @param {string} pathname
+ * @returns {string}
+ */
+function getFixtureKey(pathname) {
+    var segments = pathname.split('/').filter(function (s) { return s.length > 0; });
+    var index = segments.map(function (s) { return s.toLowerCase(); }).indexOf('api');
+    return decodeURIComponent(segments.slice(index + 1).join('/')).toLowerCase();
+}
+
+/**
+ * A local HTTP server that answers the Aeries API routes from fixtures, for offline testing.
+ * Fixtures are keyed by the path after api/, optionally prefixed with the method for writes, e.g. "POST v3/schools/994/contacts/99400001".
+ * A key with a query string, e.g. "v3/schools/994/attendance?startdate=20180801&enddate=20180901", only matches that query.
+ * A fixture is the JSON body to return, a {@link MockResponse}, or a function called with the request that returns either.
+ */
+class MockAeriesServer {
+
+    /**
+     * MockAeriesServer
+     * @param {Object} [options]
+     * @param {string} [options.certificate] The AERIES-CERT value to accept. Defaults to the demo certificate.
+     * @param {Object} [options.fixtures] The fixtures to serve. Defaults to the seeded fixtures.
+     * @param {aeriesjs} [options.record] A client for a real Aeries server. Requests with no fixture are forwarded to it and the responses are recorded as fixtures.
+     */
+    constructor(options) {
+        options = Object.assign({
+            certificate: DEMO_CERTIFICATE,
+            fixtures: null,
+            record: null
+        }, options);
+
+        this.certificate = options.certificate;
+        this.recordClient = options.record;
+        this.fixtures = {};
+        this.requests = [];
+        this.server = http.createServer(this._handle.bind(this));
+
+        var fixtures = options.fixtures || createFixtures();
+        Object.keys(fixtures).forEach((key) => this.setFixture(key, fixtures[key]));
+    }
+
+    /**
+     * Gets the url to configure clients with, once the server is listening.
+     * @returns {string}
+     */
+    get url() {
+        var address = this.server.address();
+        return address ? 'http://127.0.0.1:' + address.port + '/aeries/' : null;
+    }
+
+    /**
+     * Starts listening.
+     * @param {number} [port] Defaults to a free port.
+     * @returns {Promise<string>} The url to configure clients with.
+     */
+    listen(port) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port || 0, '127.0.0.1', () => {
+                this.server.removeListener('error', reject);
+                resolve(this.url);
+            });
+        });
+    }
+
+    /**
+     * Stops listening.
+     * @returns {Promise}
+     */
+    close() {
+        return new Promise((resolve) => {
+            this.server.close(function () { resolve(); });
+        });
+    }
+
+    /**
+     * Sets a fixture.
+     * @param {string} key e.g. v3/schools/994/students, or PUT v3/gradebooks/4432/assignments/1
+     * @param {*|MockResponse|function(Object): *} fixture
+     */
+    setFixture(key, fixture) {
+        this.fixtures[this._normalizeKey(key)] = fixture;
+    }
+
+    /**
+     * Removes a fixture.
+     * @param {string} key
+     */
+    removeFixture(key) {
+        delete this.fixtures[this._normalizeKey(key)];
+    }
+
+    /**
+     * Saves the fixtures as JSON, e.g. after recording. Function fixtures are skipped.
+     * @param {string} file
+     * @returns {Promise}
+     */
+    saveFixtures(file) {
+        var data = {};
+        Object.keys(this.fixtures).sort().forEach((key) => {
+            var fixture = this.fixtures[key];
+            if (typeof fixture === 'function') {
+                return;
+            }
+            data[key] = fixture instanceof MockResponse
+                ? { $statusCode: fixture.statusCode, $headers: fixture.headers, $body: fixture.body }
+                : fixture;
+        });
+
+        return new Promise(function (resolve, reject) {
+            fs.writeFile(path.resolve(file), JSON.stringify(data, null, 2), function (err) {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+
+    /**
+     * Lower cases the path of a fixture key, as Aeries routes are case insensitive, and removes its slashes.
+     * @param {string} key
+     * @returns {string}
+     */
+    _normalizeKey(key) {
+        var match = /^([A-Z]+)\s+(.*)$/.exec(key);
+        var method = match && match[1] !== 'GET' ? match[1] + ' ' : '';
+        return method + (match ? match[2] : key).replace(/(^\/+|\/+$)/g, '').replace(/\/+(\?|$)/, '$1').toLowerCase();
+    }
+
+    /**
+     * Finds the fixture for a request.
+     * @param {string} method
+     * @param {string} key The fixture key of the path.
+     * @param {string} search The query string, including the ?.
+     */
+    _findFixture(method, key, search) {
+        var prefix = method === 'GET' ? '' : method + ' ';
+        var candidates = search ? [prefix + key + search.toLowerCase(), prefix + key] : [prefix + key];
+
+        for (var i = 0; i < candidates.length; i++) {
+            if (this.fixtures.hasOwnProperty(candidates[i])) {
+                return this.fixtures[candidates[i]];
+            }
+        }
+
+        var segments = key.split('/');
+        var patterns = Object.keys(this.fixtures).filter(function (k) {
+            return k.indexOf('*') !== -1 && k.indexOf('?') === -1 && k.indexOf(prefix) === 0 && (prefix || !/^[A-Z]+ /.test(k));
+        });
+
+        for (var j = 0; j < patterns.length; j++) {
+            var parts = patterns[j].slice(prefix.length).split('/');
+            if (parts.length === segments.length && parts.every(function (p, n) { return p === '*' || p === segments[n]; })) {
+                return this.fixtures[patterns[j]];
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Forwards a request to the recording client and saves the response as a fixture.
+     * @param {string} key
+     * @param {string} search
+     * @returns {Promise<*|MockResponse>}
+     */
+    _record(key, search) {
+        var client = this.recordClient.withOptions({ normalize: false, cache: false, redaction: false });
+        var url = new URL('api/' + key + '/' + search, client.url);
+
+        return client.makeApiCall(url).then(function (result) {
+            return result.body;
+        }, function (err) {
+            if (!err.statusCode) {
+                throw err;
+            }
+            var body = err.body;
+            try {
+                body = JSON.parse(err.body);
+            }
+            catch (e) {
+                // Keep the raw body.
+            }
+            return respond(err.statusCode, body);
+        }).then((fixture) => {
+            this.setFixture(key + search, fixture);
+            return fixture;
+        });
+    }
+
+    /**
+     * Handles a request.
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     */
+    _handle(req, res) {
+        var chunks = [];
+        req.on('data', function (chunk) { chunks.push(chunk); });
+        req.on('end', () => {
+            var url = new URL(req.url, 'http://localhost');
+            var raw = Buffer.concat(chunks).toString('utf8');
+            var request = {
+                method: req.method,
+                path: url.pathname,
+                key: getFixtureKey(url.pathname),
+                query: url.searchParams,
+                headers: req.headers,
+                body: raw ? parseBody(raw) : null
+            };
+            this.requests.push(request);
+
+            if (req.headers['aeries-cert'] !== this.certificate) {
+                return send(res, respond(401, { Message: 'Authorization has been denied for this request.' }));
+            }
+
+            var fixture = this._findFixture(req.method, request.key, url.search);
+            var pending;
+            if (fixture !== undefined) {
+                pending = Promise.resolve(typeof fixture === 'function' ? fixture(request) : fixture);
+            }
+            else if (this.recordClient && req.method === 'GET') {
+                pending = this._record(request.key, url.search);
+            }
+            else {
+                pending = Promise.resolve(respond(404, { Message: 'No HTTP resource was found that matches the request URI \'' + url.href + '\'.' }));
+            }
+
+            pending.then(function (result) {
+                send(res, result);
+            }, function (err) {
+                send(res, respond(502, { Message: err.message }));
+            });
+        });
+    }
+}
+
+/**
+ * Parses a request body, keeping it as text if it is not JSON.
+ * @param {string} raw
+ */
+function parseBody(raw) {
+    try {
+        return JSON.parse(raw);
+    }
+    catch (e) {
+        return raw;
+    }
+}
+
+/**
+ * Sends a fixture.
+ * @param {http.ServerResponse} res
+ * @param {*|MockResponse} fixture
+ */
+function send(res, fixture) {
+    if (fixture && fixture.$statusCode !== undefined) {
+        // A saved MockResponse.
+        fixture = respond(fixture.$statusCode, fixture.$body, fixture.$headers);
+    }
+    if (!(fixture instanceof MockResponse)) {
+        fixture = respond(200, fixture);
+    }
+
+    var body = typeof fixture.body === 'string' || Buffer.isBuffer(fixture.body) ? fixture.body : JSON.stringify(fixture.body === undefined ? null : fixture.body);
+    res.writeHead(fixture.statusCode, Object.assign({
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body)
+    }, fixture.headers));
+    res.end(fixture.statusCode === 304 ? undefined : body);
+}
+
+/**
+ * Loads fixtures saved with saveFixtures.
+ * @param {string} file
+ * @returns {Object}
+ */
+function loadFixtures(file) {
+    return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+}
+
+module.exports = {
+    MockAeriesServer: MockAeriesServer,
+    MockResponse: MockResponse,
+    respond: respond,
+    loadFixtures: loadFixtures,
+    createFixtures: createFixtures,
+    DEMO_CERTIFICATE: DEMO_CERTIFICATE
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * @typedef normalizeOptions
+ * @type {Object}
+ * @property {boolean} dates Convert Aeries date strings, e.g. "2018-03-24T00:00:00", to Date objects. Defaults to true.
+ * @property {boolean} blanksToNull Convert empty and whitespace only strings to null. Defaults to true.
+ * @property {boolean} numbers Convert numeric strings in code fields, e.g. StateCourseCode "2498", to numbers. Values with leading zeros are kept as strings. Defaults to true.
+ * @property {string[]} numericFields Additional fields to convert to numbers.
+ * @property {boolean} camelCase Convert PascalCase keys to camelCase, e.g. SchoolCode to schoolCode. Defaults to false.
+ */
+
+const DEFAULT_OPTIONS = {
+    dates: true,
+    blanksToNull: true,
+    numbers: true,
+    numericFields: [],
+    camelCase: false
+};
+
+// Aeries dates have no time zone; they are local to the district.
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?$/;
+const NUMBER_PATTERN = /^-?(0|[1-9]\d*)(\.\d+)?$/;
+const CODE_FIELD_PATTERN = /Code$/;
+
+/**
+ * Merges normalize options with the defaults.
+ * @param {normalizeOptions|boolean} options The options, or true for the defaults.
+ * @returns {normalizeOptions|null} The options, or null if normalization is disabled.
+ */
+function normalizeOptions(options) {
+    if (!options) {
+        return null;
+    }
+    return Object.assign({}, DEFAULT_OPTIONS, options === true ? null : options);
+}
+
+/**
+ * Converts a PascalCase key to camelCase. Leading acronyms are lower cased as a whole, e.g. ID to id and CSFCourseList to csfCourseList.
+ * @param {string} key
+ * @returns {string}
+ */
+function toCamelCase(key) {
+    var match = /^[A-Z]+/.exec(key);
+    if (!match) {
+        return key;
+    }
+    var upper = match[0];
+    if (upper.length > 1 && upper.length < key.length && /[a-z]/.test(key.charAt(upper.length))) {
+        // The last capital starts the next word, e.g. the C in CSFCourseList.
+        upper = upper.slice(0, -1);
+    }
+    return upper.toLowerCase() + key.slice(upper.length);
+}
+
+/**
+ * Normalizes a single value.
+ * @param {string} key The field the value is in.
+ * @param {*} value
+ * @param {normalizeOptions} options
+ */
+function normalizeValue(key, value, options) {
+    if (typeof value === 'string') {
+        if (options.blanksToNull && value.trim() === '') {
+            return null;
+        }
+        if (options.dates && DATE_PATTERN.test(value)) {
+            var date = new Date(value);
+            return isNaN(date.getTime()) ? value : date;
+        }
+        if (options.numbers && key !== null && NUMBER_PATTERN.test(value) &&
+            (CODE_FIELD_PATTERN.test(key) || options.numericFields.indexOf(key) !== -1)) {
+            return Number(value);
+        }
+        return value;
+    }
+    return normalize(value, options, key);
+}
+
+/**
+ * Normalizes an API response body.
+ * @param {*} body The parsed response body.
+ * @param {normalizeOptions} options
+ * @param {string} [key] The field the body is in, when called for nested values.
+ * @returns {*} The normalized body.
+ */
+function normalize(body, options, key) {
+    if (Array.isArray(body)) {
+        return body.map(function (item) {
+            return normalizeValue(key === undefined ? null : key, item, options);
+        });
+    }
+
+    if (body && typeof body === 'object' && !(body instanceof Date)) {
+        var result = {};
+        Object.keys(body).forEach(function (k) {
+            result[options.camelCase ? toCamelCase(k) : k] = normalizeValue(k, body[k], options);
+        });
+        return result;
+    }
+
+    if (typeof body === 'string') {
+        return normalizeValue(key === undefined ? null : key, body, options);
+    }
+    return body;
+}
+
+module.exports = {
+    DEFAULT_OPTIONS: DEFAULT_OPTIONS,
+    normalize: normalize,
+    normalizeOptions: normalizeOptions,
+    toCamelCase: toCamelCase
+};
@@ -0,0 +1,561 @@
+'use strict';
+
+let fs = require('fs');
+let path = require('path');
+let { formatRecords } = require('./export');
+let { sectionKey } = require('./roster');
+
+/**
+ * @typedef oneRosterOptions
+ * @type {Object}
+ * @property {string} districtId The sourcedId of the district org. Defaults to "district".
+ * @property {string} districtName The name of the district org. Defaults to "District".
+ * @property {number} schoolYear The school year, as the year it ends in, e.g. 2019 for 2018-2019. Defaults to the year the last term of each school ends in.
+ * @property {Date} dateLastModified Defaults to now.
+ */
+
+/**
+ * A OneRoster 1.1 bundle. Records use the CSV field names, with arrays for the multi-valued fields.
+ * @typedef oneRosterBundle
+ * @type {Object}
+ * @property {Object[]} orgs
+ * @property {Object[]} academicSessions
+ * @property {Object[]} courses
+ * @property {Object[]} classes
+ * @property {Object[]} users
+ * @property {Object[]} enrollments
+ * @property {Object[]} demographics
+ */
+
+/**
+ * The columns of each OneRoster 1.1 CSV file, in order.
+ */
+const CSV_COLUMNS = {
+    orgs: ['sourcedId', 'status', 'dateLastModified', 'name', 'type', 'identifier', 'parentSourcedId'],
+    academicSessions: ['sourcedId', 'status', 'dateLastModified', 'title', 'type', 'startDate', 'endDate', 'parentSourcedId', 'schoolYear'],
+    courses: ['sourcedId', 'status', 'dateLastModified', 'schoolYearSourcedId', 'title', 'courseCode', 'grades', 'orgSourcedId', 'subjects', 'subjectCodes'],
+    classes: ['sourcedId', 'status', 'dateLastModified', 'title', 'grades', 'courseSourcedId', 'classCode', 'classType', 'location', 'schoolSourcedId', 'termSourcedIds', 'subjects', 'subjectCodes', 'periods'],
+    users: ['sourcedId', 'status', 'dateLastModified', 'enabledUser', 'orgSourcedIds', 'role', 'username', 'userIds', 'givenName', 'familyName', 'middleName', 'identifier', 'email', 'sms', 'phone', 'agentSourcedIds', 'grades', 'password'],
+    enrollments: ['sourcedId', 'status', 'dateLastModified', 'classSourcedId', 'schoolSourcedId', 'userSourcedId', 'role', 'primary', 'beginDate', 'endDate'],
+    demographics: ['sourcedId', 'status', 'dateLastModified', 'birthDate', 'sex', 'americanIndianOrAlaskaNative', 'asian', 'blackOrAfricanAmerican', 'nativeHawaiianOrOtherPacificIslander', 'white', 'demographicRaceTwoOrMoreRaces', 'hispanicOrLatinoEthnicity', 'countryOfBirthCode', 'stateOfBirthAbbreviation', 'cityOfBirth', 'publicSchoolResidenceStatus']
+};
+
+/**
+ * The OneRoster types of the references in each record, by reference name.
+ */
+const REFERENCE_TYPES = {
+    parent: null, // The type of the record itself.
+    schoolYear: 'academicSession',
+    terms: 'academicSession',
+    course: 'course',
+    class: 'class',
+    school: 'org',
+    org: 'org',
+    orgs: 'org',
+    user: 'user',
+    agents: 'user'
+};
+
+const COLLECTIONS = {
+    org: 'orgs',
+    academicSession: 'academicSessions',
+    course: 'courses',
+    class: 'classes',
+    user: 'users'
+};
+
+/**
+ * Formats an Aeries date as a OneRoster date, e.g. 2018-08-15.
+ * @param {string|Date} value
+ * @returns {string|null}
+ */
+function formatDate(value) {
+    if (!value) {
+        return null;
+    }
+    if (value instanceof Date) {
+        var month = value.getMonth() + 1;
+        var day = value.getDate();
+        return value.getFullYear() + '-' + (month < 10 ? '0' : '') + month + '-' + (day < 10 ? '0' : '') + day;
+    }
+    return String(value).slice(0, 10);
+}
+
+/**
+ * Converts an Aeries grade level to a CEDS grade code, e.g. 0 to KG and 9 to 09.
+ * @param {number} grade
+ * @returns {string|null}
+ */
+function gradeCode(grade) {
+    if (grade === null || grade === undefined || grade === '') {
+        return null;
+    }
+    var n = Number(grade);
+    if (n === -2) return 'PK';
+    if (n === -1) return 'TK';
+    if (n === 0) return 'KG';
+    if (n >= 1 && n <= 13) return (n < 10 ? '0' : '') + n;
+    return String(grade);
+}
+
+/**
+ * Converts an Aeries sex code to a OneRoster 1.1 sex, which is only male or female.
+ * M is male and F is female; X (non-binary) and any other code are left blank, as OneRoster 1.1 has no value for them.
+ * @param {string} sex
+ * @returns {string|null}
+ */
+function sexCode(sex) {
+    var code = String(sex || '').trim().toUpperCase();
+    return code === 'M' ? 'male' : code === 'F' ? 'female' : null;
+}
+
+/**
+ * Gets the grade codes from a low to a high grade level.
+ * @param {number} low
+ * @param {number} high
+ * @returns {string[]}
+ */
+function gradeRange(low, high) {
+    if (low === null || low === undefined || high === null || high === undefined) {
+        return [];
+    }
+    var grades = [];
+    for (var grade = Number(low); grade <= Number(high); grade++) {
+        grades.push(gradeCode(grade));
+    }
+    return grades;
+}
+
+/**
+ * Checks if an Aeries record is inactive.
+ * @param {Object} record
+ * @returns {boolean}
+ */
+function isInactive(record) {
+    return !!(record.InactiveStatusCode && String(record.InactiveStatusCode).trim());
+}
+
+/**
+ * Gets the federal race categories of a student from the CALPADS race codes in RaceCode1 to RaceCode5.
+ * @param {Object} student
+ * @returns {Object} The OneRoster race fields.
+ */
+function getRaces(student) {
+    var races = {
+        americanIndianOrAlaskaNative: false,
+        asian: false,
+        blackOrAfricanAmerican: false,
+        nativeHawaiianOrOtherPacificIslander: false,
+        white: false
+    };
+
+    for (var i = 1; i <= 5; i++) {
+        var code = Number(student['RaceCode' + i]);
+        if (code === 100) races.americanIndianOrAlaskaNative = true;
+        else if ((code >= 200 && code < 300) || code === 400) races.asian = true;
+        else if (code >= 300 && code < 400) races.nativeHawaiianOrOtherPacificIslander = true;
+        else if (code === 600) races.blackOrAfricanAmerican = true;
+        else if (code === 700) races.white = true;
+    }
+
+    var count = Object.keys(races).filter(function (race) { return races[race]; }).length;
+    races.demographicRaceTwoOrMoreRaces = count > 1;
+    return races;
+}
+
+/**
+ * Builds a OneRoster 1.1 bundle from Aeries roster data.
+ * @param {rosterData} data From fetchRosterData.
+ * @param {oneRosterOptions} [options]
+ * @returns {oneRosterBundle}
+ */
+function buildOneRoster(data, options) {
+    options = Object.assign({
+        districtId: 'district',
+        districtName: 'District',
+        schoolYear: null,
+        dateLastModified: new Date()
+    }, options);
+
+    var modified = options.dateLastModified.toISOString();
+    var bundle = { orgs: [], academicSessions: [], courses: [], classes: [], users: [], enrollments: [], demographics: [] };
+
+    function add(collection, record) {
+        bundle[collection].push(Object.assign({ sourcedId: null, status: 'active', dateLastModified: modified }, record));
+    }
+
+    // Orgs
+    add('orgs', { sourcedId: options.districtId, name: options.districtName, type: 'district', identifier: null, parentSourcedId: null });
+    data.schools.forEach(function (school) {
+        add('orgs', { sourcedId: String(school.SchoolCode), name: school.Name, type: 'school', identifier: String(school.SchoolCode), parentSourcedId: options.districtId });
+    });
+
+    // Academic sessions
+    var termIds = {};
+    data.schools.forEach(function (school) {
+        var code = school.SchoolCode;
+        var terms = data.terms[code] || [];
+        var ends = terms.map(function (t) { return formatDate(t.EndDate); }).filter(Boolean).sort();
+        var starts = terms.map(function (t) { return formatDate(t.StartDate); }).filter(Boolean).sort();
+        var year = options.schoolYear || (ends.length > 0 ? Number(ends[ends.length - 1].slice(0, 4)) : new Date().getFullYear());
+        var yearId = code + '-' + year;
+
+        add('academicSessions', {
+            sourcedId: yearId,
+            title: (year - 1) + '-' + year,
+            type: 'schoolYear',
+            startDate: starts[0] || (year - 1) + '-07-01',
+            endDate: ends[ends.length - 1] || year + '-06-30',
+            parentSourcedId: null,
+            schoolYear: String(year)
+        });
+
+        termIds[code] = { year: yearId, terms: {} };
+        terms.forEach(function (term) {
+            var termId = yearId + '-' + term.TermCode;
+            termIds[code].terms[term.TermCode] = termId;
+            add('academicSessions', {
+                sourcedId: termId,
+                title: term.TermDescription || term.TermCode,
+                type: 'term',
+                startDate: formatDate(term.StartDate),
+                endDate: formatDate(term.EndDate),
+                parentSourcedId: yearId,
+                schoolYear: String(year)
+            });
+        });
+    });
+
+    // Courses
+    var sections = data.sections.filter(function (section) { return !isInactive(section); });
+    var usedCourses = {};
+    sections.forEach(function (section) { usedCourses[section.CourseID] = true; });
+
+    var courses = {};
+    data.courses.forEach(function (course) {
+        if (isInactive(course) && !usedCourses[course.ID]) {
+            return;
+        }
+        courses[course.ID] = course;
+        add('courses', {
+            sourcedId: String(course.ID),
+            schoolYearSourcedId: null,
+            title: course.Title,
+            courseCode: String(course.ID),
+            grades: gradeRange(course.LowGrade, course.HighGrade),
+            orgSourcedId: options.districtId,
+            subjects: course.DepartmentCode ? [String(course.DepartmentCode)] : [],
+            subjectCodes: []
+        });
+    });
+
+    // Users: teachers are merged by staff id, as a teacher can teach at more than one school.
+    var teacherIds = {};
+    var teacherUsers = {};
+    data.teachers.forEach(function (teacher) {
+        var id = teacher.StaffID1 ? 'staff-' + teacher.StaffID1 : 'teacher-' + teacher.SchoolCode + '-' + teacher.TeacherNumber;
+        teacherIds[teacher.SchoolCode + '-' + teacher.TeacherNumber] = id;
+
+        if (teacherUsers[id]) {
+            if (teacherUsers[id].orgSourcedIds.indexOf(String(teacher.SchoolCode)) === -1) {
+                teacherUsers[id].orgSourcedIds.push(String(teacher.SchoolCode));
+            }
+            teacherUsers[id].enabledUser = teacherUsers[id].enabledUser || !isInactive(teacher);
+            return;
+        }
+
+        teacherUsers[id] = {
+            sourcedId: id,
+            enabledUser: !isInactive(teacher),
+            orgSourcedIds: [String(teacher.SchoolCode)],
+            role: 'teacher',
+            username: teacher.EmailAddress || id,
+            userIds: [],
+            givenName: teacher.FirstName,
+            familyName: teacher.LastName,
+            middleName: null,
+            identifier: String(teacher.StaffID1 || teacher.TeacherNumber),
+            email: teacher.EmailAddress || null,
+            sms: null,
+            phone: null,
+            agentSourcedIds: [],
+            grades: [],
+            password: null
+        };
+    });
+
+    var studentUsers = {};
+    data.students.forEach(function (student) {
+        var id = 'student-' + student.PermanentID;
+        if (studentUsers[id]) {
+            if (studentUsers[id].user.orgSourcedIds.indexOf(String(student.SchoolCode)) === -1) {
+                studentUsers[id].user.orgSourcedIds.push(String(student.SchoolCode));
+            }
+            return;
+        }
+
+        studentUsers[id] = {
+            student: student,
+            user: {
+                sourcedId: id,
+                enabledUser: !isInactive(student),
+                orgSourcedIds: [String(student.SchoolCode)],
+                role: 'student',
+                username: student.StudentEmailAddress || String(student.PermanentID),
+                userIds: student.StateStudentID ? [{ type: 'StateStudentID', identifier: String(student.StateStudentID) }] : [],
+                givenName: student.FirstName,
+                familyName: student.LastName,
+                middleName: student.MiddleName || null,
+                identifier: String(student.PermanentID),
+                email: student.StudentEmailAddress || null,
+                sms: null,
+                phone: student.HomePhone || null,
+                agentSourcedIds: [],
+                grades: [gradeCode(student.Grade)].filter(Boolean),
+                password: null
+            }
+        };
+    });
+
+    Object.keys(teacherUsers).forEach(function (id) { add('users', teacherUsers[id]); });
+    Object.keys(studentUsers).forEach(function (id) { add('users', studentUsers[id].user); });
+
+    // Classes and enrollments
+    sections.forEach(function (section) {
+        var code = section.SchoolCode;
+        var classId = code + '-' + section.SectionNumber;
+        var course = courses[section.CourseID];
+        var sessions = termIds[code] || { year: null, terms: {} };
+        var semester = section.Semester ? String(section.Semester).trim() : '';
+        var terms = sessions.terms[semester] ? [sessions.terms[semester]] : Object.keys(sessions.terms).map(function (t) { return sessions.terms[t]; });
+
+        add('classes', {
+            sourcedId: classId,
+            title: (course ? course.Title : String(section.CourseID)) + (section.Period ? ' - Period ' + section.Period : ''),
+            grades: section.LowGrade !== undefined ? gradeRange(section.LowGrade, section.HighGrade) : (course ? gradeRange(course.LowGrade, course.HighGrade) : []),
+            courseSourcedId: String(section.CourseID),
+            classCode: String(section.SectionNumber),
+            classType: 'scheduled',
+            location: section.Room || null,
+            schoolSourcedId: String(code),
+            termSourcedIds: terms.length > 0 ? terms : (sessions.year ? [sessions.year] : []),
+            subjects: course && course.DepartmentCode ? [String(course.DepartmentCode)] : [],
+            subjectCodes: [],
+            periods: section.Period ? [String(section.Period)] : []
+        });
+
+        [1, 2, 3].forEach(function (n) {
+            var teacherId = teacherIds[code + '-' + section['TeacherNumber' + n]];
+            if (teacherId) {
+                add('enrollments', {
+                    sourcedId: classId + '-' + teacherId,
+                    classSourcedId: classId,
+                    schoolSourcedId: String(code),
+                    userSourcedId: teacherId,
+                    role: 'teacher',
+                    primary: n === 1,
+                    beginDate: null,
+                    endDate: null
+                });
+            }
+        });
+
+        (data.rosters[sectionKey(section)] || []).forEach(function (rosterStudent) {
+            var studentId = 'student-' + (rosterStudent.PermanentID || rosterStudent.StudentID);
+            // Only students returned by the school are enrolled, so every enrollment refers to a user in the bundle.
+            if (studentUsers[studentId]) {
+                add('enrollments', {
+                    sourcedId: classId + '-' + studentId,
+                    classSourcedId: classId,
+                    schoolSourcedId: String(code),
+                    userSourcedId: studentId,
+                    role: 'student',
+                    primary: false,
+                    beginDate: null,
+                    endDate: null
+                });
+            }
+        });
+    });
+
+    // Demographics
+    Object.keys(studentUsers).forEach(function (id) {
+        var student = studentUsers[id].student;
+        var ethnicity = String(student.EthnicityCode || '').toUpperCase();
+
+        add('demographics', Object.assign({
+            sourcedId: id,
+            birthDate: formatDate(student.Birthdate || student.BirthDate),
+            sex: sexCode(student.Sex)
+        }, getRaces(student), {
+            hispanicOrLatinoEthnicity: ethnicity === 'Y' ? true : ethnicity === 'N' ? false : null,
+            countryOfBirthCode: null,
+            stateOfBirthAbbreviation: null,
+            cityOfBirth: null,
+            publicSchoolResidenceStatus: null
+        }));
+    });
+
+    return bundle;
+}
+
+/**
+ * Formats a field for a OneRoster CSV file.
+ * @param {string} column
+ * @param {*} value
+ * @returns {string}
+ */
+function csvValue(column, value) {
+    if (column === 'status' || column === 'dateLastModified') {
+        // Bulk files leave these blank.
+        return '';
+    }
+    if (Array.isArray(value)) {
+        return value.map(function (item) {
+            return item && typeof item === 'object' ? '{' + item.type + ':' + item.identifier + '}' : item;
+        }).join(',');
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'true' : 'false';
+    }
+    return value === null || value === undefined ? '' : value;
+}
+
+/**
+ * Writes a text file.
+ * @param {string} file
+ * @param {string} text
+ * @returns {Promise}
+ */
+function writeFile(file, text) {
+    return new Promise(function (resolve, reject) {
+        fs.writeFile(file, text, 'utf8', function (err) {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+}
+
+/**
+ * Writes a bundle as the OneRoster 1.1 CSV files and manifest.
+ * @param {oneRosterBundle} bundle
+ * @param {string} directory The directory to write to. It is created if it does not exist.
+ * @returns {Promise<string[]>} The files written.
+ */
+function writeOneRosterCsv(bundle, directory) {
+    directory = path.resolve(directory);
+    var names = Object.keys(CSV_COLUMNS);
+
+    return new Promise(function (resolve, reject) {
+        fs.mkdir(directory, function (err) {
+            if (err && err.code !== 'EEXIST') reject(err);
+            else resolve();
+        });
+    }).then(function () {
+        var manifest = [
+            { propertyName: 'manifest.version', value: '1.0' },
+            { propertyName: 'oneroster.version', value: '1.1' },
+            { propertyName: 'file.academicSessions', value: 'bulk' },
+            { propertyName: 'file.categories', value: 'absent' },
+            { propertyName: 'file.classes', value: 'bulk' },
+            { propertyName: 'file.classResources', value: 'absent' },
+            { propertyName: 'file.courses', value: 'bulk' },
+            { propertyName: 'file.courseResources', value: 'absent' },
+            { propertyName: 'file.demographics', value: 'bulk' },
+            { propertyName: 'file.enrollments', value: 'bulk' },
+            { propertyName: 'file.lineItems', value: 'absent' },
+            { propertyName: 'file.orgs', value: 'bulk' },
+            { propertyName: 'file.resources', value: 'absent' },
+            { propertyName: 'file.results', value: 'absent' },
+            { propertyName: 'file.users', value: 'bulk' },
+            { propertyName: 'source.systemName', value: 'Aeries' },
+            { propertyName: 'source.systemCode', value: 'aeriesjs' }
+        ];
+
+        var files = [{ name: 'manifest.csv', text: formatRecords(manifest, { columns: ['propertyName', 'value'] }) }];
+        names.forEach(function (name) {
+            files.push({
+                name: name + '.csv',
+                text: formatRecords(bundle[name] || [], {
+                    columns: CSV_COLUMNS[name].map(function (column) {
+                        return { header: column, value: function (flat, record) { return csvValue(column, record[column]); } };
+                    })
+                })
+            });
+        });
+
+        return Promise.all(files.map(function (file) {
+            return writeFile(path.join(directory, file.name), file.text);
+        })).then(function () {
+            return files.map(function (file) { return path.join(directory, file.name); });
+        });
+    });
+}
+
+/**
+ * Converts a bundle to the OneRoster 1.1 JSON representation, with references as GUIDRefs, e.g. "course": { "href": ..., "sourcedId": ..., "type": "course" }.
+ * @param {oneRosterBundle} bundle
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] The base url of the hrefs, e.g. https://sis.example.org/ims/oneroster/v1p1
+ * @returns {Object} The collections, e.g. { orgs: [...], users: [...] }
+ */
+function toOneRosterJson(bundle, options) {
+    var baseUrl = ((options && options.baseUrl) || '').replace(/\/$/, '');
+    var result = {};
+
+    function ref(type, id) {
+        return { href: baseUrl + '/' + COLLECTIONS[type] + '/' + id, sourcedId: id, type: type };
+    }
+
+    Object.keys(CSV_COLUMNS).forEach(function (collection) {
+        var selfType = collection === 'orgs' ? 'org' : collection === 'academicSessions' ? 'academicSession' : null;
+
+        result[collection] = (bundle[collection] || []).map(function (record) {
+            var json = {};
+            Object.keys(record).forEach(function (key) {
+                var value = record[key];
+                var single = /^(\w+)SourcedId$/.exec(key);
+                var multiple = /^(\w+)SourcedIds$/.exec(key);
+
+                if (single && key !== 'sourcedId') {
+                    var type = REFERENCE_TYPES[single[1]] || selfType;
+                    json[single[1]] = value === null || value === undefined ? null : ref(type, value);
+                }
+                else if (multiple) {
+                    var name = multiple[1] + 's';
+                    json[name] = (value || []).map(function (id) { return ref(REFERENCE_TYPES[name], id); });
+                }
+                else {
+                    json[key] = value;
+                }
+            });
+            return json;
+        });
+    });
+
+    return result;
+}
+
+/**
+ * Writes a bundle as a OneRoster 1.1 JSON file.
+ * @param {oneRosterBundle} bundle
+ * @param {string} file
+ * @param {Object} [options] See toOneRosterJson.
+ * @returns {Promise}
+ */
+function writeOneRosterJson(bundle, file, options) {
+    return writeFile(path.resolve(file), JSON.stringify(toOneRosterJson(bundle, options), null, 2));
+}
+
+module.exports = {
+    CSV_COLUMNS: CSV_COLUMNS,
+    buildOneRoster: buildOneRoster,
+    toOneRosterJson: toOneRosterJson,
+    writeOneRosterCsv: writeOneRosterCsv,
+    writeOneRosterJson: writeOneRosterJson,
+    gradeCode: gradeCode,
+    sexCode: sexCode,
+    formatDate: formatDate,
+    isInactive: isInactive,
+    writeFile: writeFile
+};
@@ -0,0 +1,425 @@
+'use strict';
+
+let fs = require('fs');
+let path = require('path');
+let { formatRecords } = require('./export');
+let { sectionKey } = require('./roster');
+let oneroster = require('./oneroster');
+
+/**
+ * An export profile describes how roster data maps to the files of a target system.
+ * Either files or write must be set.
+ * @typedef exportProfile
+ * @type {Object}
+ * @property {string} name
+ * @property {string} format The default format of the files: csv, tsv or ndjson. Defaults to csv.
+ * @property {Object.<string, profileFile>} files The files to write, by file name.
+ * @property {function(rosterData, string, Object): Promise<string[]>} write Writes the files itself, for targets that are not tables, e.g. OneRoster.
+ */
+
+/**
+ * @typedef profileFile
+ * @type {Object}
+ * @property {string|function(rosterData, RosterContext): Object[]} source The records to write: schools, terms, courses, sections, teachers, students or enrollments, or a function.
+ * @property {function(Object, RosterContext): boolean} filter Only records it returns true for are written.
+ * @property {profileColumn[]} columns
+ * @property {string} format Overrides the format of the profile.
+ */
+
+/**
+ * @typedef profileColumn
+ * @type {Object}
+ * @property {string} header The column header.
+ * @property {string} field The flattened Aeries field to write, e.g. "Contacts.0.EmailAddress".
+ * @property {function(Object, RosterContext): *} value Computes the value from the record instead of reading a field.
+ */
+
+/**
+ * Lookups over roster data, for joining records in profile columns.
+ */
+class RosterContext {
+
+    /**
+     * RosterContext
+     * @param {rosterData} data
+     * @param {Object} [options] The options the export was run with.
+     */
+    constructor(data, options) {
+        this.data = data;
+        this.options = options || {};
+        this._schools = index(data.schools, function (s) { return s.SchoolCode; });
+        this._courses = index(data.courses, function (c) { return c.ID; });
+        this._teachers = index(data.teachers, function (t) { return t.SchoolCode + '-' + t.TeacherNumber; });
+        this._students = index(data.students, function (s) { return s.PermanentID; });
+    }
+
+    /**
+     * Gets a school by school code.
+     * @param {number} schoolCode
+     * @returns {Object|null}
+     */
+    school(schoolCode) {
+        return this._schools[schoolCode] || null;
+    }
+
+    /**
+     * Gets a course by course id.
+     * @param {string} courseId
+     * @returns {Object|null}
+     */
+    course(courseId) {
+        return this._courses[courseId] || null;
+    }
+
+    /**
+     * Gets a teacher by school code and teacher number.
+     * @param {number} schoolCode
+     * @param {number} teacherNumber
+     * @returns {Object|null}
+     */
+    teacher(schoolCode, teacherNumber) {
+        return this._teachers[schoolCode + '-' + teacherNumber] || null;
+    }
+
+    /**
+     * Gets a student by permanent id.
+     * @param {number} permanentId
+     * @returns {Object|null}
+     */
+    student(permanentId) {
+        return this._students[permanentId] || null;
+    }
+
+    /**
+     * Gets the terms of a school.
+     * @param {number} schoolCode
+     * @returns {Object[]}
+     */
+    terms(schoolCode) {
+        return this.data.terms[schoolCode] || [];
+    }
+
+    /**
+     * Gets the term of a section from its Semester, or a term spanning the school's terms for year long sections.
+     * @param {Object} section
+     * @returns {{TermCode: string, TermDescription: string, StartDate: string, EndDate: string}|null}
+     */
+    sectionTerm(section) {
+        var terms = this.terms(section.SchoolCode);
+        var semester = section.Semester ? String(section.Semester).trim() : '';
+        var match = terms.filter(function (t) { return t.TermCode === semester; })[0];
+        if (match) {
+            return match;
+        }
+        if (terms.length === 0) {
+            return null;
+        }
+
+        var starts = terms.map(function (t) { return oneroster.formatDate(t.StartDate); }).filter(Boolean).sort();
+        var ends = terms.map(function (t) { return oneroster.formatDate(t.EndDate); }).filter(Boolean).sort();
+        return { TermCode: '', TermDescription: 'Year', StartDate: starts[0] || null, EndDate: ends[ends.length - 1] || null };
+    }
+}
+
+/**
+ * Indexes records by a key.
+ * @param {Object[]} records
+ * @param {function(Object): *} key
+ * @returns {Object}
+ */
+function index(records, key) {
+    var result = {};
+    records.forEach(function (record) {
+        var k = key(record);
+        if (result[k] === undefined) {
+            result[k] = record;
+        }
+    });
+    return result;
+}
+
+/**
+ * The record sources profile files can use.
+ */
+const SOURCES = {
+    schools: (data) => data.schools,
+    terms: (data) => data.schools.reduce(function (terms, school) {
+        return terms.concat((data.terms[school.SchoolCode] || []).map(function (term) {
+            return Object.assign({ SchoolCode: school.SchoolCode }, term);
+        }));
+    }, []),
+    courses: (data) => data.courses,
+    sections: (data) => data.sections.filter(function (section) { return !oneroster.isInactive(section); }),
+    teachers: (data) => data.teachers,
+    students: (data) => data.students,
+    enrollments: (data) => SOURCES.sections(data).reduce(function (enrollments, section) {
+        return enrollments.concat((data.rosters[sectionKey(section)] || []).map(function (student) {
+            return {
+                SchoolCode: section.SchoolCode,
+                SectionNumber: section.SectionNumber,
+                PermanentID: student.PermanentID || student.StudentID
+            };
+        }));
+    }, [])
+};
+
+/**
+ * Formats an Aeries date as MM/DD/YYYY.
+ * @param {string|Date} value
+ * @returns {string|null}
+ */
+function usDate(value) {
+    var date = oneroster.formatDate(value);
+    return date ? date.slice(5, 7) + '/' + date.slice(8, 10) + '/' + date.slice(0, 4) : null;
+}
+
+/**
+ * Gets the Clever id of a teacher: the staff id, so teachers at more than one school are one Clever user.
+ * @param {Object} teacher
+ * @returns {string|null}
+ */
+function cleverTeacherId(teacher) {
+    if (!teacher) {
+        return null;
+    }
+    return teacher.StaffID1 ? String(teacher.StaffID1) : teacher.SchoolCode + '-' + teacher.TeacherNumber;
+}
+
+/**
+ * Converts an Aeries grade level to a Clever grade.
+ * @param {number} grade
+ * @returns {string|null}
+ */
+function cleverGrade(grade) {
+    if (grade === null || grade === undefined || grade === '') {
+        return null;
+    }
+    var n = Number(grade);
+    if (n === -2) return 'PreKindergarten';
+    if (n === -1) return 'TransitionalKindergarten';
+    if (n === 0) return 'Kindergarten';
+    if (n >= 1 && n <= 12) return String(n);
+    return 'Other';
+}
+
+/**
+ * Converts the CALPADS race codes of a student to a Clever race.
+ * @param {Object} student
+ * @returns {string|null}
+ */
+function cleverRace(student) {
+    var races = [];
+    for (var i = 1; i <= 5; i++) {
+        var code = Number(student['RaceCode' + i]);
+        var race = code === 100 ? 'I' : (code >= 200 && code < 300) || code === 400 ? 'A' : code >= 300 && code < 400 ? 'P' : code === 600 ? 'B' : code === 700 ? 'W' : null;
+        if (race && races.indexOf(race) === -1) {
+            races.push(race);
+        }
+    }
+    return races.length > 1 ? 'M' : races[0] || null;
+}
+
+/**
+ * Clever's schools, students, teachers, sections and enrollments CSVs.
+ * @type {exportProfile}
+ */
+const CLEVER = {
+    name: 'clever',
+    format: 'csv',
+    files: {
+        'schools.csv': {
+            source: 'schools',
+            columns: [
+                { header: 'School_id', field: 'SchoolCode' },
+                { header: 'School_name', field: 'Name' },
+                { header: 'School_number', field: 'SchoolCode' },
+                { header: 'State_id', field: 'StateSchoolID' },
+                { header: 'Low_grade', value: (s) => cleverGrade(s.LowGradeLevel) },
+                { header: 'High_grade', value: (s) => cleverGrade(s.HighGradeLevel) },
+                { header: 'Principal', field: 'PrincipalName' },
+                { header: 'Principal_email', field: 'PrincipalEmailAddress' },
+                { header: 'School_address', field: 'Address' },
+                { header: 'School_city', field: 'AddressCity' },
+                { header: 'School_state', field: 'AddressState' },
+                { header: 'School_zip', field: 'AddressZipCode' },
+                { header: 'School_phone', field: 'PhoneNumber' }
+            ]
+        },
+        'students.csv': {
+            source: 'students',
+            columns: [
+                { header: 'School_id', field: 'SchoolCode' },
+                { header: 'Student_id', field: 'PermanentID' },
+                { header: 'Student_number', field: 'StudentNumber' },
+                { header: 'State_id', field: 'StateStudentID' },
+                { header: 'Last_name', field: 'LastName' },
+                { header: 'Middle_name', field: 'MiddleName' },
+                { header: 'First_name', field: 'FirstName' },
+                { header: 'Grade', value: (s) => cleverGrade(s.Grade) },
+                { header: 'Gender', value: (s) => ['M', 'F', 'X'].indexOf(String(s.Sex || '').toUpperCase()) !== -1 ? String(s.Sex).toUpperCase() : null },
+                { header: 'DOB', value: (s) => usDate(s.Birthdate || s.BirthDate) },
+                { header: 'Race', value: cleverRace },
+                { header: 'Hispanic_Latino', value: (s) => s.EthnicityCode === 'Y' || s.EthnicityCode === 'N' ? s.EthnicityCode : null },
+                { header: 'Ell_status', value: (s) => s.LanguageFluencyCode ? (String(s.LanguageFluencyCode).trim() === 'L' ? 'Y' : 'N') : null },
+                { header: 'Student_street', field: 'MailingAddress' },
+                { header: 'Student_city', field: 'MailingAddressCity' },
+                { header: 'Student_state', field: 'MailingAddressState' },
+                { header: 'Student_zip', field: 'MailingAddressZipCode' },
+                { header: 'Student_email', field: 'StudentEmailAddress' },
+                { header: 'Contact_name', value: (s) => s.Contacts && s.Contacts[0] ? [s.Contacts[0].FirstName, s.Contacts[0].LastName].filter(Boolean).join(' ') : null },
+                { header: 'Contact_phone', field: 'Contacts.0.HomePhone' },
+                { header: 'Contact_email', field: 'Contacts.0.EmailAddress' },
+                { header: 'Username', field: 'StudentEmailAddress' }
+            ]
+        },
+        'teachers.csv': {
+            source: 'teachers',
+            columns: [
+                { header: 'School_id', field: 'SchoolCode' },
+                { header: 'Teacher_id', value: cleverTeacherId },
+                { header: 'Teacher_number', field: 'TeacherNumber' },
+                { header: 'Last_name', field: 'LastName' },
+                { header: 'First_name', field: 'FirstName' },
+                { header: 'Teacher_email', field: 'EmailAddress' },
+                { header: 'Username', field: 'EmailAddress' }
+            ]
+        },
+        'sections.csv': {
+            source: 'sections',
+            columns: [
+                { header: 'School_id', field: 'SchoolCode' },
+                { header: 'Section_id', value: (s) => s.SchoolCode + '-' + s.SectionNumber },
+                { header: 'Teacher_id', value: (s, context) => cleverTeacherId(context.teacher(s.SchoolCode, s.TeacherNumber1)) },
+                { header: 'Teacher_2_id', value: (s, context) => cleverTeacherId(context.teacher(s.SchoolCode, s.TeacherNumber2)) },
+                { header: 'Name', value: (s, context) => (context.course(s.CourseID) || { Title: s.CourseID }).Title + (s.Period ? ' - Period ' + s.Period : '') },
+                { header: 'Section_number', field: 'SectionNumber' },
+                { header: 'Grade', value: (s) => s.LowGrade !== undefined && s.LowGrade === s.HighGrade ? cleverGrade(s.LowGrade) : null },
+                { header: 'Course_name', value: (s, context) => (context.course(s.CourseID) || {}).Title },
+                { header: 'Course_number', field: 'CourseID' },
+                { header: 'Period', field: 'Period' },
+                { header: 'Term_name', value: (s, context) => (context.sectionTerm(s) || {}).TermDescription },
+                { header: 'Term_start', value: (s, context) => usDate((context.sectionTerm(s) || {}).StartDate) },
+                { header: 'Term_end', value: (s, context) => usDate((context.sectionTerm(s) || {}).EndDate) }
+            ]
+        },
+        'enrollments.csv': {
+            source: 'enrollments',
+            // Only students returned by the school are enrolled, so every enrollment refers to a student in students.csv.
+            filter: (e, context) => !!context.student(e.PermanentID),
+            columns: [
+                { header: 'School_id', field: 'SchoolCode' },
+                { header: 'Section_id', value: (e) => e.SchoolCode + '-' + e.SectionNumber },
+                { header: 'Student_id', field: 'PermanentID' }
+            ]
+        }
+    }
+};
+
+/**
+ * The OneRoster 1.1 CSV bundle, as a profile.
+ * @type {exportProfile}
+ */
+const ONEROSTER = {
+    name: 'oneroster',
+    write: function (data, directory, options) {
+        return oneroster.writeOneRosterCsv(oneroster.buildOneRoster(data, options), directory);
+    }
+};
+
+const PROFILES = {
+    clever: CLEVER,
+    oneroster: ONEROSTER
+};
+
+/**
+ * Registers a profile, so it can be used by name.
+ * @param {exportProfile} profile
+ */
+function registerProfile(profile) {
+    if (!profile || !profile.name || (!profile.files && typeof profile.write !== 'function')) {
+        throw new TypeError('A profile needs a name, and files or a write function.');
+    }
+    PROFILES[profile.name] = profile;
+}
+
+/**
+ * Gets a registered profile.
+ * @param {string|exportProfile} profile A profile name, or a profile.
+ * @returns {exportProfile}
+ */
+function getProfile(profile) {
+    if (typeof profile !== 'string') {
+        return profile;
+    }
+    if (!PROFILES.hasOwnProperty(profile)) {
+        throw new TypeError('Unknown export profile "' + profile + '". Use one of ' + Object.keys(PROFILES).join(', ') + '.');
+    }
+    return PROFILES[profile];
+}
+
+/**
+ * Writes the files of a profile from roster data.
+ * @param {string|exportProfile} profile A profile name, or a profile.
+ * @param {rosterData} data From fetchRosterData.
+ * @param {string} directory The directory to write to. It is created if it does not exist.
+ * @param {Object} [options] Passed to the profile, e.g. the oneRosterOptions for the oneroster profile.
+ * @returns {Promise<string[]>} The files written.
+ */
+function runProfile(profile, data, directory, options) {
+    try {
+        profile = getProfile(profile);
+    }
+    catch (e) {
+        return Promise.reject(e);
+    }
+
+    directory = path.resolve(directory);
+    if (typeof profile.write === 'function') {
+        return Promise.resolve(profile.write(data, directory, options || {}));
+    }
+
+    var context = new RosterContext(data, options);
+
+    return new Promise(function (resolve, reject) {
+        fs.mkdir(directory, function (err) {
+            if (err && err.code !== 'EEXIST') reject(err);
+            else resolve();
+        });
+    }).then(function () {
+        return Promise.all(Object.keys(profile.files).map(function (name) {
+            var file = profile.files[name];
+            var source = typeof file.source === 'function' ? file.source : SOURCES[file.source];
+            if (!source) {
+                throw new TypeError('Unknown profile source "' + file.source + '" for ' + name + '.');
+            }
+
+            var records = source(data, context).filter(function (record) {
+                return !file.filter || file.filter(record, context);
+            });
+            var text = formatRecords(records, {
+                format: file.format || profile.format || 'csv',
+                columns: file.columns.map(function (column) {
+                    return {
+                        header: column.header,
+                        field: column.field,
+                        value: column.value ? function (flat, record) { return column.value(record, context); } : null
+                    };
+                })
+            });
+
+            var target = path.join(directory, name);
+            return oneroster.writeFile(target, text).then(function () {
+                return target;
+            });
+        }));
+    });
+}
+
+module.exports = {
+    RosterContext: RosterContext,
+    SOURCES: SOURCES,
+    CLEVER: CLEVER,
+    registerProfile: registerProfile,
+    getProfile: getProfile,
+    runProfile: runProfile
+};
@@ -0,0 +1,321 @@
+'use strict';
+
+let { Transform } = require('stream');
+
+/**
+ * Formats a date as YYYYMMDD, the format Aeries takes in query strings.
+ * @param {Date|string} value A Date, or a YYYYMMDD or YYYY-MM-DD string.
+ * @returns {string}
+ */
+function formatQueryDate(value) {
+    if (value instanceof Date) {
+        return String(value.getFullYear()) + ('0' + (value.getMonth() + 1)).slice(-2) + ('0' + value.getDate()).slice(-2);
+    }
+    return String(value).replace(/-/g, '');
+}
+
+/**
+ * Picks fields from a record, or from each record of a list.
+ * @param {Object|Object[]} body
+ * @param {string[]} fields
+ * @returns {Object|Object[]}
+ */
+function pickFields(body, fields) {
+    if (Array.isArray(body)) {
+        return body.map(function (record) { return pickFields(record, fields); });
+    }
+    if (!body || typeof body !== 'object') {
+        return body;
+    }
+    var result = {};
+    fields.forEach(function (field) {
+        if (body.hasOwnProperty(field)) {
+            result[field] = body[field];
+        }
+    });
+    return result;
+}
+
+/**
+ * A request to the Aeries API, built up one step at a time, e.g. aeries.school(994).students().grade(9).extended()
+ * Each step returns a new query, so a query can be reused as the base of others.
+ * A query is sent with get or stream, through the same makeApiCall pipeline as the getters.
+ */
+class AeriesQuery {
+
+    /**
+     * AeriesQuery
+     * @param {aeriesjs} client
+     * @param {string} apiVersion The API version, e.g. v3.
+     * @param {Array} [segments] The path segments after the version.
+     * @param {Object} [state]
+     * @param {Array<string[]>} [state.params] The query string parameters, as name and value pairs.
+     * @param {string[]} [state.fields] The fields to pick from each record.
+     */
+    constructor(client, apiVersion, segments, state) {
+        this.client = client;
+        this.apiVersion = apiVersion || 'v3';
+        this.segments = segments || [];
+        this.params = state && state.params ? state.params : [];
+        this.fields = state && state.fields ? state.fields : null;
+    }
+
+    /**
+     * Creates a copy of this query with changes.
+     * @param {Object} changes Any of apiVersion, segments, params and fields.
+     * @returns {AeriesQuery}
+     */
+    _with(changes) {
+        var next = Object.assign({ apiVersion: this.apiVersion, segments: this.segments, params: this.params, fields: this.fields }, changes);
+        return new AeriesQuery(this.client, next.apiVersion, next.segments, { params: next.params, fields: next.fields });
+    }
+
+    /**
+     * Adds path segments. Null and undefined segments are skipped, so optional ids can be passed through.
+     * @param {...*} segments
+     * @returns {AeriesQuery}
+     */
+    path() {
+        var added = Array.prototype.slice.call(arguments).filter(function (s) { return s !== null && s !== undefined; });
+        return this._with({ segments: this.segments.concat(added) });
+    }
+
+    /**
+     * Uses another API version, e.g. v1 for class rosters.
+     * @param {string} apiVersion
+     * @returns {AeriesQuery}
+     */
+    version(apiVersion) {
+        return this._with({ apiVersion: apiVersion });
+    }
+
+    /**
+     * Students, or one student by id.
+     * @param {number} [studentId]
+     * @returns {AeriesQuery}
+     */
+    students(studentId) {
+        return this.path('students', studentId);
+    }
+
+    /**
+     * One student by student number.
+     * @param {number} studentNumber
+     * @returns {AeriesQuery}
+     */
+    studentNumber(studentNumber) {
+        return this.path('students', 'sn', studentNumber);
+    }
+
+    /**
+     * Limits students to a grade level.
+     * @param {number} grade
+     * @returns {AeriesQuery}
+     */
+    grade(grade) {
+        return this.path('grade', grade);
+    }
+
+    /**
+     * Gets the extended student records, which include contacts and other details.
+     * @returns {AeriesQuery}
+     */
+    extended() {
+        return this.path('extended');
+    }
+
+    /**
+     * Contacts, or the contacts of one student.
+     * @param {number} [studentId]
+     * @returns {AeriesQuery}
+     */
+    contacts(studentId) {
+        return this.path('contacts', studentId);
+    }
+
+    /**
+     * The programs of a student.
+     * @returns {AeriesQuery}
+     */
+    programs() {
+        return this.path('programs');
+    }
+
+    /**
+     * Attendance, or the attendance of one student.
+     * @param {number} [studentId]
+     * @returns {AeriesQuery}
+     */
+    attendance(studentId) {
+        return this.path('attendance', studentId);
+    }
+
+    /**
+     * Transcripts, or the transcript of one student.
+     * @param {number} [studentId]
+     * @returns {AeriesQuery}
+     */
+    transcript(studentId) {
+        return this.path('transcript', studentId);
+    }
+
+    /**
+     * Class schedules, or the class schedule of one student.
+     * @param {number} [studentId]
+     * @returns {AeriesQuery}
+     */
+    classes(studentId) {
+        return this.path('classes', studentId);
+    }
+
+    /**
+     * The terms of a school.
+     * @returns {AeriesQuery}
+     */
+    terms() {
+        return this.path('terms');
+    }
+
+    /**
+     * Teachers, or one teacher by teacher number.
+     * @param {number} [teacherNumber]
+     * @returns {AeriesQuery}
+     */
+    teachers(teacherNumber) {
+        return this.path('teachers', teacherNumber);
+    }
+
+    /**
+     * Sections, or one section by section number.
+     * @param {number} [sectionNumber]
+     * @returns {AeriesQuery}
+     */
+    sections(sectionNumber) {
+        return this.path('sections', sectionNumber);
+    }
+
+    /**
+     * The students in a section. Class rosters are only available in v1 of the API.
+     * @returns {AeriesQuery}
+     */
+    roster() {
+        return this.version('v1').path('students');
+    }
+
+    /**
+     * Gradebooks.
+     * @returns {AeriesQuery}
+     */
+    gradebooks() {
+        return this.path('gradebooks');
+    }
+
+    /**
+     * Adds a query string parameter. Values are encoded, and arrays are joined with commas.
+     * @param {string} name
+     * @param {*} value Skipped if null or undefined.
+     * @returns {AeriesQuery}
+     */
+    param(name, value) {
+        if (value === null || value === undefined) {
+            return this;
+        }
+        return this._with({ params: this.params.concat([[name, Array.isArray(value) ? value.join(',') : String(value)]]) });
+    }
+
+    /**
+     * Limits the records to a date range.
+     * @param {Date|string} startDate A Date, or a YYYYMMDD or YYYY-MM-DD string.
+     * @param {Date|string} [endDate]
+     * @returns {AeriesQuery}
+     */
+    between(startDate, endDate) {
+        return this.param('startDate', startDate === null || startDate === undefined ? null : formatQueryDate(startDate))
+            .param('endDate', endDate === null || endDate === undefined ? null : formatQueryDate(endDate));
+    }
+
+    /**
+     * Limits the records to one or more codes, e.g. program codes.
+     * @param {string|number|Array<string|number>} codes
+     * @returns {AeriesQuery}
+     */
+    code(codes) {
+        return this.param('code', codes);
+    }
+
+    /**
+     * Picks fields from each record. Aeries returns whole records, so the fields are picked by the client once the response is parsed.
+     * @param {...string|string[]} fields
+     * @returns {AeriesQuery}
+     */
+    select() {
+        var fields = Array.prototype.concat.apply([], arguments);
+        return this._with({ fields: (this.fields || []).concat(fields) });
+    }
+
+    /**
+     * Builds the url of the query.
+     * @returns {URL}
+     */
+    url() {
+        var url = this.client.makeApiUrl.apply(this.client, [this.apiVersion].concat(this.segments));
+        this.params.forEach(function (param) {
+            url.searchParams.append(param[0], param[1]);
+        });
+        return url;
+    }
+
+    /**
+     * Sends the query.
+     * @param {callOptions} [callOptions]
+     * @param {apiCallback} [callback]
+     * @returns {Promise<apiResult>|undefined}
+     */
+    get(callOptions, callback) {
+        if (typeof callOptions === 'function') {
+            callback = callOptions;
+            callOptions = null;
+        }
+
+        var fields = this.fields;
+        if (!fields) {
+            return this.client.makeApiCall(this.url(), callOptions, callback);
+        }
+        if (typeof callback === 'function') {
+            return this.client.makeApiCall(this.url(), callOptions, function (err, body, code, headers) {
+                callback(err, err ? body : pickFields(body, fields), code, headers);
+            });
+        }
+        return this.client.makeApiCall(this.url(), callOptions).then(function (result) {
+            return Object.assign({}, result, { body: pickFields(result.body, fields) });
+        });
+    }
+
+    /**
+     * Streams the records of the query as they are parsed.
+     * @param {callOptions} [callOptions]
+     * @returns {Readable}
+     */
+    stream(callOptions) {
+        var source = this.client.makeApiStream(this.url(), callOptions);
+        var fields = this.fields;
+        if (!fields) {
+            return source;
+        }
+
+        var picked = new Transform({
+            objectMode: true,
+            transform: function (record, encoding, done) {
+                done(null, pickFields(record, fields));
+            }
+        });
+        source.on('error', function (err) { picked.destroy(err); });
+        return source.pipe(picked);
+    }
+
+}
+
+module.exports = {
+    AeriesQuery: AeriesQuery,
+    formatQueryDate: formatQueryDate
+};
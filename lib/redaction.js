@@ -0,0 +1,251 @@
+'use strict';
+
+let fs = require('fs');
+let { getEndpointTemplate, matchesTemplate } = require('./endpoints');
+
+/**
+ * A redaction profile removes fields from responses before they are returned, e.g. before passing them to a vendor.
+ * Profiles are plain data, so they can be kept in JSON files.
+ * A field pattern is a field name, which matches at any depth, e.g. FirstName, or a path from the top of the record, e.g. Contacts.FirstName.
+ * A * matches any characters within a name, e.g. Mailing*. Matching is case insensitive.
+ * @typedef redactionProfile
+ * @type {Object}
+ * @property {string} name
+ * @property {string} extends The name of a profile this profile adds its rules to. Allowed fields are added to those of the profile it extends.
+ * @property {string[]} allow Only keep fields matching these patterns. Allowing an object or list, e.g. Contacts, keeps it whole.
+ * @property {string[]} deny Remove fields matching these patterns, even if they are allowed.
+ * @property {Object} endpoints Rules for whole responses, by endpoint template pattern, e.g. schools/:school/fees/*
+ * @property {string[]} endpoints.allow Withhold the responses of every other endpoint.
+ * @property {string[]} endpoints.deny Withhold the responses of these endpoints.
+ * @property {string[]} endpoints.exempt Return the responses of these endpoints unchanged, e.g. reference data.
+ * @property {*} replacement Replace removed fields with this value, e.g. "[redacted]", instead of removing them.
+ */
+
+// FERPA directory information: what a district may share without consent, unless a family has opted out.
+const DIRECTORY = {
+    name: 'directory',
+    allow: [
+        'SchoolCode', 'PermanentID', 'StudentNumber', 'FirstName', 'LastName', 'MiddleName', 'Grade', 'Birthdate',
+        'MailingAddress*', 'HomePhone', 'StudentEmailAddress', 'ParentEmailAddress', 'SchoolEnterDate', 'SchoolLeaveDate', 'InactiveStatusCode'
+    ],
+    endpoints: {
+        allow: [
+            'schools/:school/students',
+            'schools/:school/students/:id',
+            'schools/:school/students/:id/extended',
+            'schools/:school/students/grade/:id',
+            'schools/:school/students/grade/:id/extended',
+            'schools/:school/students/sn/:id',
+            'schools/:school/students/sn/:id/extended',
+            'schools/:school/sections/:id/students'
+        ],
+        exempt: ['schools', 'schools/:school', 'schools/:school/terms', 'schools/:school/calendar', 'courses', 'courses/*']
+    }
+};
+
+const NO_DISCIPLINE_HEALTH_FEES = {
+    name: 'no-discipline-health-fees',
+    deny: [
+        '*Discipline*', 'ViolationCode*', 'DispositionCode', '*Suspension*', '*Expulsion*',
+        '*Health*', '*Medical*', '*Medication*', '*Immunization*',
+        'Fees', 'Fines', 'FeesAndFines'
+    ],
+    endpoints: {
+        deny: [
+            'schools/:school/assertivediscipline',
+            'schools/:school/assertivediscipline/:id',
+            'schools/:school/fees',
+            'schools/:school/fees/:id'
+        ]
+    }
+};
+
+const PROFILES = {};
+
+/**
+ * Compiles a field pattern.
+ * @param {string} pattern
+ * @returns {RegExp[]} A pattern for each segment of the path.
+ */
+function compilePattern(pattern) {
+    if (typeof pattern !== 'string' || pattern.length === 0) {
+        throw new TypeError('Field patterns must be non-empty strings.');
+    }
+    return pattern.split('.').map(function (segment) {
+        return new RegExp('^' + segment.split('*').map(function (part) { return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'); }).join('.*') + '$', 'i');
+    });
+}
+
+/**
+ * Checks if a pattern matches the path of a field.
+ * @param {RegExp[]} pattern
+ * @param {string[]} path
+ * @returns {boolean}
+ */
+function matchesPath(pattern, path) {
+    if (pattern.length === 1) {
+        return pattern[0].test(path[path.length - 1]);
+    }
+    return pattern.length === path.length && pattern.every(function (segment, i) { return segment.test(path[i]); });
+}
+
+/**
+ * Checks if a path pattern continues below a field, e.g. Contacts.FirstName below Contacts.
+ * @param {RegExp[]} pattern
+ * @param {string[]} path
+ * @returns {boolean}
+ */
+function continuesBelow(pattern, path) {
+    return pattern.length > path.length && path.every(function (key, i) { return pattern[i].test(key); });
+}
+
+/**
+ * Checks a profile and resolves the profile it extends.
+ * @param {redactionProfile} profile
+ * @returns {Object} The compiled profile.
+ */
+function compileProfile(profile) {
+    if (!profile || typeof profile !== 'object' || !profile.name) {
+        throw new TypeError('A redaction profile needs a name.');
+    }
+    ['allow', 'deny'].forEach(function (key) {
+        if (profile[key] !== undefined && profile[key] !== null && !Array.isArray(profile[key])) {
+            throw new TypeError('The ' + key + ' list of redaction profile "' + profile.name + '" must be an array.');
+        }
+    });
+
+    var base = profile.extends ? getRedactionProfile(profile.extends) : null;
+    var endpoints = profile.endpoints || {};
+    var baseEndpoints = base ? base.endpoints : { allow: null, deny: [], exempt: [] };
+
+    return {
+        name: profile.name,
+        source: profile,
+        allow: profile.allow ? (base && base.allow ? base.allow : []).concat(profile.allow.map(compilePattern)) : base ? base.allow : null,
+        deny: (base ? base.deny : []).concat((profile.deny || []).map(compilePattern)),
+        endpoints: {
+            allow: endpoints.allow || baseEndpoints.allow,
+            deny: baseEndpoints.deny.concat(endpoints.deny || []),
+            exempt: baseEndpoints.exempt.concat(endpoints.exempt || [])
+        },
+        replacement: profile.replacement !== undefined ? profile.replacement : base ? base.replacement : undefined
+    };
+}
+
+/**
+ * Registers a redaction profile, replacing any profile with the same name.
+ * @param {redactionProfile} profile
+ * @returns {Object} The compiled profile.
+ */
+function registerRedactionProfile(profile) {
+    var compiled = compileProfile(profile);
+    PROFILES[compiled.name] = compiled;
+    return compiled;
+}
+
+/**
+ * Gets a registered redaction profile, or compiles a profile object.
+ * @param {string|redactionProfile} profile A profile name, or a profile.
+ * @returns {Object} The compiled profile.
+ */
+function getRedactionProfile(profile) {
+    if (typeof profile !== 'string') {
+        return profile && profile.source ? profile : compileProfile(profile);
+    }
+    if (!PROFILES.hasOwnProperty(profile)) {
+        throw new TypeError('Unknown redaction profile "' + profile + '". Use one of ' + Object.keys(PROFILES).join(', ') + '.');
+    }
+    return PROFILES[profile];
+}
+
+/**
+ * Registers the redaction profiles in a JSON file, which holds a profile or a list of profiles.
+ * Profiles can extend profiles earlier in the file.
+ * @param {string} file
+ * @returns {string[]} The names of the registered profiles.
+ */
+function loadRedactionProfiles(file) {
+    var profiles = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return (Array.isArray(profiles) ? profiles : [profiles]).map(function (profile) {
+        return registerRedactionProfile(profile).name;
+    });
+}
+
+/**
+ * Removes the fields a profile does not allow from a record, including nested records, e.g. the Contacts of an extended student.
+ * @param {*} value
+ * @param {Object} profile The compiled profile.
+ * @param {string[]} path The path of the value from the top of the record.
+ * @param {boolean} allowed True if a parent was allowed whole.
+ * @returns {*}
+ */
+function redactValue(value, profile, path, allowed) {
+    if (Array.isArray(value)) {
+        return value.map(function (item) { return redactValue(item, profile, path, allowed); });
+    }
+    if (!value || typeof value !== 'object' || value instanceof Date) {
+        return value;
+    }
+
+    var result = {};
+    Object.keys(value).forEach(function (key) {
+        var fieldPath = path.concat([key]);
+        var field = value[key];
+        var nested = field !== null && typeof field === 'object' && !(field instanceof Date);
+
+        var denied = profile.deny.some(function (pattern) { return matchesPath(pattern, fieldPath); });
+        var fieldAllowed = allowed || !profile.allow || profile.allow.some(function (pattern) { return matchesPath(pattern, fieldPath); });
+        var partlyAllowed = !fieldAllowed && nested && profile.allow.some(function (pattern) { return continuesBelow(pattern, fieldPath); });
+
+        if (!denied && (fieldAllowed || partlyAllowed)) {
+            result[key] = nested ? redactValue(field, profile, fieldPath, fieldAllowed) : field;
+        }
+        else if (profile.replacement !== undefined) {
+            result[key] = profile.replacement;
+        }
+    });
+    return result;
+}
+
+/**
+ * Checks if a profile withholds the whole response of an endpoint.
+ * @param {Object} profile The compiled profile.
+ * @param {string} template The endpoint template.
+ * @returns {boolean}
+ */
+function isWithheld(profile, template) {
+    function matches(pattern) { return matchesTemplate(pattern, template); }
+    if (profile.endpoints.deny.some(matches)) {
+        return true;
+    }
+    return !!profile.endpoints.allow && !profile.endpoints.allow.some(matches);
+}
+
+/**
+ * Applies a redaction profile to a response body. Withheld responses become an empty list, or null for a single record.
+ * @param {*} body The parsed response body, or one record of a streamed response.
+ * @param {string|redactionProfile} profile
+ * @param {URL|string} url The requested url, to apply the endpoint rules.
+ * @returns {*}
+ */
+function applyRedactionProfile(body, profile, url) {
+    profile = getRedactionProfile(profile);
+    var template = getEndpointTemplate(url);
+    if (profile.endpoints.exempt.some(function (pattern) { return matchesTemplate(pattern, template); })) {
+        return body;
+    }
+    if (isWithheld(profile, template)) {
+        return Array.isArray(body) ? [] : null;
+    }
+    return redactValue(body, profile, [], false);
+}
+
+registerRedactionProfile(DIRECTORY);
+registerRedactionProfile(NO_DISCIPLINE_HEALTH_FEES);
+
+module.exports = {
+    registerRedactionProfile: registerRedactionProfile,
+    getRedactionProfile: getRedactionProfile,
+    loadRedactionProfiles: loadRedactionProfiles,
+    applyRedactionProfile: applyRedactionProfile
+};
@@ -0,0 +1,285 @@
+'use strict';
+
+let fs = require('fs');
+let path = require('path');
+let { FileCacheStore } = require('./cache');
+let { mapLimit } = require('./util');
+
+/**
+ * @typedef registryOptions
+ * @type {Object}
+ * @property {initOptions} defaults Options every district's client starts from, e.g. { timeout: 30000, retry: 3 }. A district's own options override them.
+ * @property {string} cacheDirectory Keeps each district's cached responses in its own subdirectory, for districts with caching enabled.
+ * @property {function(string): cacheStore} cacheStore Creates the cache store of a district with caching enabled, e.g. (id) => new MemoryCacheStore({ maxEntries: 100 }). Ignored with a cacheDirectory.
+ * @property {number} concurrency The number of districts to call at once in forEachDistrict. Defaults to 4.
+ */
+
+/**
+ * @typedef fanOutOptions
+ * @type {Object}
+ * @property {string[]} districts The districts to call. Defaults to every registered district.
+ * @property {number} concurrency The number of districts to call at once. Defaults to the registry concurrency.
+ * @property {boolean} failFast Reject on the first district that fails, instead of collecting the errors. Defaults to false.
+ * @property {string} tagField The field each record is tagged with its district id in, if not already set. Defaults to "DistrictID".
+ */
+
+/**
+ * The merged results of a call to every district.
+ * @typedef fanOutResult
+ * @type {Object}
+ * @property {Object[]} records The records from every district.
+ * @property {string[]} districts The districts that were called.
+ * @property {Array<{districtId: string, schoolCode: number, error: AeriesError}>} errors The districts, or schools of a district wide call, that failed.
+ */
+
+const TLS_FILES = { caFile: 'ca', certFile: 'cert', keyFile: 'key', pfxFile: 'pfx' };
+
+/**
+ * Reads the TLS files named in a config, e.g. { caFile: 'district.pem' }, relative to the config file.
+ * @param {Object} tls
+ * @param {string} directory The directory of the config file.
+ * @returns {tlsOptions}
+ */
+function readTlsFiles(tls, directory) {
+    var result = {};
+    Object.keys(tls).forEach(function (key) {
+        if (TLS_FILES[key]) {
+            result[TLS_FILES[key]] = fs.readFileSync(path.resolve(directory, tls[key]));
+        }
+        else {
+            result[key] = tls[key];
+        }
+    });
+    return result;
+}
+
+/**
+ * Gets the environment variable prefix of a district, e.g. AERIES_NORTH_USD_ for north-usd.
+ * @param {string} districtId
+ * @returns {string}
+ */
+function envPrefix(districtId) {
+    return 'AERIES_' + String(districtId).toUpperCase().replace(/[^A-Z0-9]+/g, '_') + '_';
+}
+
+/**
+ * Closes the kept alive connections of a client, unless its transport was passed in and may be shared.
+ * @param {aeriesjs} client
+ */
+function closeClient(client) {
+    if (!client.options.transport && client.transport && typeof client.transport.destroy === 'function') {
+        client.transport.destroy();
+    }
+}
+
+/**
+ * Keeps an Aeries client for each district, each with its own url, certificate, cache, limits and TLS settings.
+ */
+class ClientRegistry {
+
+    /**
+     * ClientRegistry
+     * @param {registryOptions} [options]
+     */
+    constructor(options) {
+        this.options = Object.assign({
+            defaults: null,
+            cacheDirectory: null,
+            cacheStore: null,
+            concurrency: 4
+        }, options);
+        this.clients = {};
+    }
+
+    /**
+     * Gets the ids of the registered districts, in the order they were registered.
+     * @returns {string[]}
+     */
+    get districtIds() {
+        return Object.keys(this.clients);
+    }
+
+    /**
+     * Registers a district, replacing any client already registered for it. The replaced client's connections are closed.
+     * Each district gets its own cache store, so a store instance in the defaults, which every district would share, is refused.
+     * @param {string} districtId
+     * @param {initOptions} options The district's url, certificate and any other client options.
+     * @returns {aeriesjs} The district's client.
+     */
+    register(districtId, options) {
+        if (!districtId) {
+            throw new TypeError('A district id is required.');
+        }
+
+        var aeriesjs = require('../aeriesjs');
+        var defaults = this.options.defaults || {};
+        options = Object.assign({}, defaults, options);
+        if (options.cache && (this.options.cacheDirectory || this.options.cacheStore)) {
+            options.cache = Object.assign({}, options.cache === true ? null : options.cache, {
+                store: this.options.cacheDirectory
+                    ? new FileCacheStore(path.join(this.options.cacheDirectory, String(districtId)))
+                    : this.options.cacheStore(String(districtId))
+            });
+        }
+        else if (options.cache && options.cache === defaults.cache && options.cache.store) {
+            throw new TypeError('A cache store in the registry defaults would be shared by every district. Use the cacheStore or cacheDirectory registry option instead.');
+        }
+
+        var client = new aeriesjs(options);
+        if (this.has(districtId)) {
+            closeClient(this.clients[districtId]);
+        }
+        this.clients[districtId] = client;
+        return client;
+    }
+
+    /**
+     * Gets the client of a district.
+     * @param {string} districtId
+     * @returns {aeriesjs}
+     */
+    get(districtId) {
+        if (!this.has(districtId)) {
+            throw new TypeError('Unknown district "' + districtId + '".');
+        }
+        return this.clients[districtId];
+    }
+
+    /**
+     * Checks if a district is registered.
+     * @param {string} districtId
+     * @returns {boolean}
+     */
+    has(districtId) {
+        return this.clients.hasOwnProperty(districtId);
+    }
+
+    /**
+     * Removes a district and closes its client's connections.
+     * @param {string} districtId
+     * @returns {boolean} True if the district was registered.
+     */
+    remove(districtId) {
+        var found = this.has(districtId);
+        if (found) {
+            closeClient(this.clients[districtId]);
+        }
+        delete this.clients[districtId];
+        return found;
+    }
+
+    /**
+     * Registers the districts in a JSON config file, e.g. { "districts": { "north-usd": { "url": "...", "certificate": "..." } } }
+     * A "defaults" object in the file applies to each of its districts. Certificate and TLS files, e.g. { "certificate": { "file": "north.cert" }, "tls": { "caFile": "north.pem" } }, are relative to the file.
+     * @param {string} file
+     * @returns {ClientRegistry}
+     */
+    loadFile(file) {
+        file = path.resolve(file);
+        var config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        var districts = config.districts || {};
+
+        Object.keys(districts).forEach((districtId) => {
+            var options = Object.assign({}, config.defaults, districts[districtId]);
+            if (options.tls) {
+                options.tls = readTlsFiles(options.tls, path.dirname(file));
+            }
+            if (options.certificate && options.certificate.file) {
+                options.certificate = { file: path.resolve(path.dirname(file), options.certificate.file) };
+            }
+            this.register(districtId, options);
+        });
+        return this;
+    }
+
+    /**
+     * Registers the districts listed in AERIES_DISTRICTS, e.g. "north-usd,south-usd", from AERIES_<ID>_URL and AERIES_<ID>_CERT, e.g. AERIES_NORTH_USD_URL.
+     * AERIES_<ID>_INSECURE=1 turns off certificate verification for a district.
+     * @param {Object} [env] Defaults to process.env.
+     * @returns {ClientRegistry}
+     */
+    loadEnv(env) {
+        env = env || process.env;
+        var districts = (env.AERIES_DISTRICTS || '').split(',').map(function (id) { return id.trim(); }).filter(Boolean);
+
+        districts.forEach((districtId) => {
+            var prefix = envPrefix(districtId);
+            if (!env[prefix + 'URL'] || !env[prefix + 'CERT']) {
+                throw new TypeError('Set ' + prefix + 'URL and ' + prefix + 'CERT for district "' + districtId + '".');
+            }
+            var options = { url: env[prefix + 'URL'], certificate: env[prefix + 'CERT'] };
+            if (/^(1|true|yes)$/i.test(env[prefix + 'INSECURE'] || '')) {
+                options.verifyCerts = false;
+            }
+            this.register(districtId, options);
+        });
+        return this;
+    }
+
+    /**
+     * Calls fn for each district with bounded concurrency and merges the records.
+     * fn can return a getter's result, or the result of a district wide call, e.g. (aeries) => aeries.getDistrictStudents()
+     * @param {function(aeriesjs, string): Promise<apiResult|districtResult>} fn Called with each district's client and id.
+     * @param {fanOutOptions} [options]
+     * @returns {Promise<fanOutResult>}
+     */
+    forEachDistrict(fn, options) {
+        options = Object.assign({
+            districts: null,
+            concurrency: this.options.concurrency,
+            failFast: false,
+            tagField: 'DistrictID'
+        }, options);
+
+        var districtIds;
+        try {
+            districtIds = options.districts ? options.districts.map((id) => { this.get(id); return id; }) : this.districtIds;
+        }
+        catch (e) {
+            return Promise.reject(e);
+        }
+
+        var result = { records: [], districts: districtIds, errors: [] };
+
+        return mapLimit(districtIds, options.concurrency, (districtId) => {
+            return Promise.resolve().then(() => fn(this.clients[districtId], districtId)).then(function (response) {
+                var body = response;
+                if (response && response.records !== undefined) {
+                    // A district wide call, which may have failed for some schools.
+                    body = response.records;
+                    (response.errors || []).forEach(function (error) {
+                        result.errors.push({ districtId: districtId, schoolCode: error.schoolCode, error: error.error });
+                    });
+                }
+                else if (response && response.body !== undefined) {
+                    body = response.body;
+                }
+                if (body === null || body === undefined) {
+                    return [];
+                }
+                return (Array.isArray(body) ? body : [body]).map(function (record) {
+                    if (record && typeof record === 'object' && record[options.tagField] === undefined) {
+                        record[options.tagField] = districtId;
+                    }
+                    return record;
+                });
+            }, function (error) {
+                if (options.failFast) {
+                    throw error;
+                }
+                result.errors.push({ districtId: districtId, schoolCode: null, error: error });
+                return [];
+            });
+        }).then(function (perDistrict) {
+            // Merged in district order, regardless of which district finished first.
+            perDistrict.forEach(function (records) {
+                Array.prototype.push.apply(result.records, records);
+            });
+            return result;
+        });
+    }
+}
+
+module.exports = {
+    ClientRegistry: ClientRegistry
+};
@@ -0,0 +1,119 @@
+'use strict';
+
+let { AeriesNetworkError } = require('./errors');
+
+/**
+ * @typedef retryOptions
+ * @type {Object}
+ * @property {number} maxAttempts The maximum number of attempts for a request, including the first. 1 disables retries.
+ * @property {number} minDelay The delay before the first retry, in milliseconds.
+ * @property {number} maxDelay The maximum delay between retries, in milliseconds, including delays from Retry-After.
+ * @property {number} factor The multiplier applied to the delay after each retry.
+ * @property {boolean} jitter Should the delay be randomized to spread out retries from multiple clients?
+ * @property {number[]} statusCodes The HTTP status codes that should be retried.
+ * @property {string[]} errorCodes The network error codes that should be retried, e.g. ECONNRESET.
+ * @property {boolean} respectRetryAfter Should the Retry-After response header be used as the delay when present? It is capped at maxDelay.
+ * @property {function(retryInfo)} onRetry Called before each retry.
+ */
+
+/**
+ * @typedef retryInfo
+ * @type {Object}
+ * @property {number} attempt The attempt that failed, starting at 1.
+ * @property {number} delay The delay before the next attempt, in milliseconds.
+ * @property {AeriesError} error The error from the failed attempt.
+ * @property {string} url The url that is being retried.
+ */
+
+const DEFAULT_OPTIONS = {
+    maxAttempts: 1,
+    minDelay: 500,
+    maxDelay: 30000,
+    factor: 2,
+    jitter: true,
+    statusCodes: [408, 429, 500, 502, 503, 504],
+    errorCodes: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN'],
+    respectRetryAfter: true,
+    onRetry: null
+};
+
+/**
+ * Merges retry options with the defaults.
+ * @param {retryOptions|number} [options] The retry options, or the maximum number of attempts.
+ * @returns {retryOptions}
+ */
+function normalizeRetryOptions(options) {
+    if (typeof options === 'number') {
+        options = { maxAttempts: options };
+    }
+    return Object.assign({}, DEFAULT_OPTIONS, options);
+}
+
+/**
+ * Parses a Retry-After header, which is either a number of seconds or an HTTP date.
+ * @param {string} value The header value.
+ * @param {number} [now] The current time, in milliseconds.
+ * @returns {number|null} The delay in milliseconds, or null if the header is missing or invalid.
+ */
+function parseRetryAfter(value, now) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    if (/^\s*\d+\s*$/.test(value)) {
+        return parseInt(value, 10) * 1000;
+    }
+
+    var date = Date.parse(value);
+    if (isNaN(date)) {
+        return null;
+    }
+    return Math.max(0, date - (now === undefined ? Date.now() : now));
+}
+
+/**
+ * Checks if a failed attempt should be retried.
+ * @param {retryOptions} options The retry options.
+ * @param {AeriesError} err The error from the failed attempt.
+ * @returns {boolean}
+ */
+function isRetryable(options, err) {
+    if (!err) {
+        return false;
+    }
+    if (err instanceof AeriesNetworkError) {
+        var code = err.code || (err.cause && err.cause.code);
+        return options.errorCodes.indexOf(code) !== -1;
+    }
+    return !!err.statusCode && options.statusCodes.indexOf(err.statusCode) !== -1;
+}
+
+/**
+ * Gets the delay before the next attempt, never more than maxDelay.
+ * @param {retryOptions} options The retry options.
+ * @param {number} attempt The attempt that failed, starting at 1.
+ * @param {string} [retryAfter] The Retry-After header of the failed response.
+ * @returns {number} The delay in milliseconds.
+ */
+function getRetryDelay(options, attempt, retryAfter) {
+    if (options.respectRetryAfter) {
+        var serverDelay = parseRetryAfter(retryAfter);
+        if (serverDelay !== null) {
+            return Math.min(options.maxDelay, serverDelay);
+        }
+    }
+
+    var delay = Math.min(options.maxDelay, options.minDelay * Math.pow(options.factor, attempt - 1));
+    if (options.jitter) {
+        delay = delay / 2 + Math.random() * delay / 2;
+    }
+    return Math.round(delay);
+}
+
+module.exports = {
+    DEFAULT_OPTIONS: DEFAULT_OPTIONS,
+    normalizeRetryOptions: normalizeRetryOptions,
+    parseRetryAfter: parseRetryAfter,
+    isRetryable: isRetryable,
+    getRetryDelay: getRetryDelay
+};
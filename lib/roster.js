@@ -0,0 +1,139 @@
+'use strict';
+
+let { filterSchools } = require('./district');
+let { mapLimit } = require('./util');
+
+/**
+ * @typedef rosterOptions
+ * @type {Object}
+ * @property {number[]} schools The school codes to include. Defaults to every school returned by getSchools.
+ * @property {number[]} skipSchools School codes to skip, e.g. [0, 999].
+ * @property {boolean} skipInactive Skip schools with an InactiveStatusCode. Defaults to true.
+ * @property {number} concurrency The number of calls to make at once. Defaults to 4.
+ */
+
+/**
+ * The school, section, roster, teacher and student data of a district, fetched once and shared by the roster exports.
+ * @typedef rosterData
+ * @type {Object}
+ * @property {Object[]} schools The schools, from getSchools.
+ * @property {Object.<number, Object[]>} terms The terms of each school, from getSchoolTerms, by school code.
+ * @property {Object[]} courses The district course catalog, from getCourseDetails.
+ * @property {Object[]} sections The sections of every school, from getSection.
+ * @property {Object.<string, Object[]>} rosters The students in each section, from getClassRoster, by "schoolCode-sectionNumber".
+ * @property {Object[]} teachers The teachers of every school, from getTeachers.
+ * @property {Object[]} students The students of every school, from getStudentsInGradeExtended.
+ */
+
+/**
+ * Gets the key of a section in rosterData.rosters.
+ * @param {Object} section A record with a SchoolCode and SectionNumber.
+ * @returns {string}
+ */
+function sectionKey(section) {
+    return section.SchoolCode + '-' + section.SectionNumber;
+}
+
+/**
+ * Gets the body of a result as an array.
+ * @param {apiResult} result
+ * @returns {Object[]}
+ */
+function toList(result) {
+    var body = result.body;
+    if (body === null || body === undefined) {
+        return [];
+    }
+    return Array.isArray(body) ? body : [body];
+}
+
+/**
+ * Tags records with their school code, if not already set.
+ * @param {Object[]} records
+ * @param {number} schoolCode
+ * @returns {Object[]}
+ */
+function tagSchool(records, schoolCode) {
+    records.forEach(function (record) {
+        if (record && record.SchoolCode === undefined) {
+            record.SchoolCode = schoolCode;
+        }
+    });
+    return records;
+}
+
+/**
+ * Fetches the data the roster exports are built from. Any failed call fails the fetch, as a partial roster would remove students and classes downstream.
+ * Students are fetched grade by grade, from each school's LowGradeLevel to HighGradeLevel, so the extended records are available.
+ * @param {aeriesjs} client
+ * @param {rosterOptions} [options]
+ * @returns {Promise<rosterData>}
+ */
+function fetchRosterData(client, options) {
+    options = Object.assign({
+        schools: null,
+        skipSchools: [],
+        skipInactive: true,
+        concurrency: 4
+    }, options);
+
+    var data = { schools: [], terms: {}, courses: [], sections: [], rosters: {}, teachers: [], students: [] };
+
+    return Promise.all([
+        client.getSchools(),
+        client.getCourseDetails()
+    ]).then(function (results) {
+        var codes = options.schools ? options.schools.map(Number) : null;
+        data.schools = filterSchools(toList(results[0]), options).filter(function (school) {
+            return !codes || codes.indexOf(Number(school.SchoolCode)) !== -1;
+        });
+        data.courses = toList(results[1]);
+
+        return mapLimit(data.schools, options.concurrency, function (school) {
+            var code = school.SchoolCode;
+            var grades = [];
+            for (var grade = Number(school.LowGradeLevel); grade <= Number(school.HighGradeLevel); grade++) {
+                grades.push(grade);
+            }
+
+            return Promise.all([
+                client.getSchoolTerms(code),
+                client.getSection(code),
+                client.getTeachers(code),
+                mapLimit(grades, options.concurrency, function (grade) {
+                    return client.getStudentsInGradeExtended(code, grade).catch(function (err) {
+                        // Aeries returns 404 for grades with no students.
+                        if (err.statusCode === 404) {
+                            return { body: [] };
+                        }
+                        throw err;
+                    });
+                })
+            ]);
+        }).then(function (perSchool) {
+            // Merged in school order, regardless of which school finished first.
+            perSchool.forEach(function (results, index) {
+                var code = data.schools[index].SchoolCode;
+                data.terms[code] = toList(results[0]);
+                Array.prototype.push.apply(data.sections, tagSchool(toList(results[1]), code));
+                Array.prototype.push.apply(data.teachers, tagSchool(toList(results[2]), code));
+                results[3].forEach(function (result) {
+                    Array.prototype.push.apply(data.students, tagSchool(toList(result), code));
+                });
+            });
+        });
+    }).then(function () {
+        return mapLimit(data.sections, options.concurrency, function (section) {
+            return client.getClassRoster(section.SchoolCode, section.SectionNumber).then(function (result) {
+                data.rosters[sectionKey(section)] = tagSchool(toList(result), section.SchoolCode);
+            });
+        });
+    }).then(function () {
+        return data;
+    });
+}
+
+module.exports = {
+    fetchRosterData: fetchRosterData,
+    sectionKey: sectionKey
+};
@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * @typedef schedulerOptions
+ * @type {Object}
+ * @property {number} maxConcurrent The maximum number of requests in flight at once.
+ * @property {number} requestsPerSecond The maximum number of requests started in any one second window.
+ */
+
+/**
+ * A scheduled task. The task must call done when it has completed.
+ * @callback scheduledTask
+ * @param {function()} done
+ */
+
+/**
+ * Queues tasks in the order they are scheduled and runs them within the configured limits.
+ */
+class RequestScheduler {
+
+    /**
+     * RequestScheduler
+     * @param {schedulerOptions} [options] The limits to enforce. Unset limits are unbounded.
+     */
+    constructor(options) {
+        this.options = Object.assign({
+            maxConcurrent: Infinity,
+            requestsPerSecond: Infinity
+        }, options);
+
+        this.active = 0;
+        this.queue = [];
+        this.started = [];
+        this.timer = null;
+    }
+
+    /**
+     * Gets the number of tasks waiting to run.
+     * @returns {number}
+     */
+    get pending() {
+        return this.queue.length;
+    }
+
+    /**
+     * Schedules a task to run when the limits allow.
+     * @param {scheduledTask} task The task to run.
+     * @returns {function(): boolean} Removes the task from the queue. Returns false if the task has already started.
+     */
+    schedule(task) {
+        this.queue.push(task);
+        this._drain();
+
+        return () => {
+            var index = this.queue.indexOf(task);
+            if (index === -1) {
+                return false;
+            }
+            this.queue.splice(index, 1);
+            return true;
+        };
+    }
+
+    /**
+     * Starts as many queued tasks as the limits allow.
+     */
+    _drain() {
+        while (this.queue.length > 0 && this.active < this.options.maxConcurrent) {
+            var wait = this._rateLimitDelay();
+            if (wait > 0) {
+                if (!this.timer) {
+                    this.timer = setTimeout(() => {
+                        this.timer = null;
+                        this._drain();
+                    }, wait);
+                }
+                return;
+            }
+
+            this._run(this.queue.shift());
+        }
+    }
+
+    /**
+     * Gets how long to wait before another task may start under the requests per second limit.
+     * @returns {number} The delay in milliseconds, 0 if a task may start now.
+     */
+    _rateLimitDelay() {
+        if (!isFinite(this.options.requestsPerSecond)) {
+            return 0;
+        }
+
+        var now = Date.now();
+        while (this.started.length > 0 && this.started[0] <= now - 1000) {
+            this.started.shift();
+        }
+
+        if (this.started.length < this.options.requestsPerSecond) {
+            return 0;
+        }
+        return this.started[0] + 1000 - now;
+    }
+
+    /**
+     * Runs a task and releases its slot when it completes.
+     * @param {scheduledTask} task The task to run.
+     */
+    _run(task) {
+        var finished = false;
+
+        this.active++;
+        if (isFinite(this.options.requestsPerSecond)) {
+            this.started.push(Date.now());
+        }
+
+        task(() => {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            this.active--;
+            this._drain();
+        });
+    }
+}
+
+module.exports = RequestScheduler;
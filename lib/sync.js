@@ -0,0 +1,262 @@
+'use strict';
+
+let { Readable } = require('stream');
+let { MemoryCheckpointStore } = require('./checkpoints');
+let { AeriesNotFoundError, AeriesValidationError } = require('./errors');
+let { mapLimit } = require('./util');
+
+/**
+ * @typedef syncOptions
+ * @type {Object}
+ * @property {string[]} areas The data areas to sync: student, course, staff, section and/or roster. Defaults to all of them.
+ * @property {string} studentDataArea The StudentDataChanges area to check for changed students, e.g. "student", "contact", "program". Defaults to "student".
+ * @property {checkpointStore} store Where the checkpoint is kept. Defaults to a MemoryCheckpointStore.
+ * @property {string} key The name of the checkpoint in the store. Defaults to "aeriesjs".
+ * @property {Date} initialSince Where to start when there is no checkpoint yet.
+ * @property {number} concurrency The number of records to fetch at once. Defaults to 4.
+ */
+
+/**
+ * A changed record.
+ * @typedef syncRecord
+ * @type {Object}
+ * @property {string} type The data area of the record, e.g. "student".
+ * @property {string} op "upsert" for changed records, or "delete" if the record no longer exists.
+ * @property {Object} key The identifying fields of the record, e.g. { schoolCode: 994, studentId: 99400001 }
+ * @property {Object|Array} record The full record, or null for deletes.
+ */
+
+/**
+ * Gets the first field of a record that has a value.
+ * @param {Object} record
+ * @param {string[]} fields
+ */
+function firstField(record, fields) {
+    for (var i = 0; i < fields.length; i++) {
+        if (record[fields[i]] !== undefined && record[fields[i]] !== null) {
+            return record[fields[i]];
+        }
+    }
+    return null;
+}
+
+/**
+ * Aeries returns single records as one element arrays from some endpoints.
+ * @param {*} body
+ */
+function unwrap(body) {
+    return Array.isArray(body) && body.length === 1 ? body[0] : body;
+}
+
+const AREAS = {
+    student: {
+        changes: (client, t, options) => client.getStudentDataChanges(options.studentDataArea, t.year, t.month, t.day, t.hour, t.minute),
+        key: (r) => ({ schoolCode: r.SchoolCode, studentId: firstField(r, ['PermanentID', 'StudentID', 'ID']) }),
+        fetch: (client, key) => client.getStudentByIdExtended(key.schoolCode, key.studentId).then((result) => unwrap(result.body))
+    },
+    course: {
+        changes: (client, t) => client.getCourseDataChanges(t.year, t.month, t.day, t.hour, t.minute),
+        key: (r) => ({ courseId: firstField(r, ['CourseID', 'ID']) }),
+        fetch: (client, key) => client.getCourseDetails(key.courseId).then((result) => unwrap(result.body))
+    },
+    staff: {
+        changes: (client, t) => client.getStaffDataChanges(t.year, t.month, t.day, t.hour, t.minute),
+        key: (r) => ({ staffId: firstField(r, ['StaffID', 'ID']) }),
+        fetch: (client, key) => client.getStaffDetails(key.staffId).then((result) => unwrap(result.body))
+    },
+    section: {
+        changes: (client, t) => client.getSectionDataChanges(t.year, t.month, t.day, t.hour, t.minute),
+        key: (r) => ({ schoolCode: r.SchoolCode, sectionNumber: r.SectionNumber }),
+        fetch: (client, key) => client.getSection(key.schoolCode, key.sectionNumber).then((result) => unwrap(result.body))
+    },
+    roster: {
+        changes: (client, t) => client.getClassRosterChanges(t.year, t.month, t.day, t.hour, t.minute),
+        key: (r) => ({ schoolCode: r.SchoolCode, sectionNumber: r.SectionNumber }),
+        fetch: (client, key) => client.getClassRoster(key.schoolCode, key.sectionNumber).then((result) => result.body)
+    }
+};
+
+/**
+ * Splits a date into the parts used by the *DataChanges endpoints, in local time.
+ * @param {Date} date
+ */
+function toTimestamp(date) {
+    return {
+        year: date.getFullYear(),
+        month: date.getMonth() + 1,
+        day: date.getDate(),
+        hour: date.getHours(),
+        minute: date.getMinutes()
+    };
+}
+
+/**
+ * Incrementally syncs records that changed in Aeries since the last checkpoint.
+ */
+class ChangeSync {
+
+    /**
+     * ChangeSync
+     * @param {aeriesjs} client The client to use.
+     * @param {syncOptions} [options]
+     */
+    constructor(client, options) {
+        this.client = client;
+        this.options = Object.assign({
+            areas: Object.keys(AREAS),
+            studentDataArea: 'student',
+            store: null,
+            key: 'aeriesjs',
+            initialSince: null,
+            concurrency: 4
+        }, options);
+
+        this.options.areas.forEach(function (area) {
+            if (!AREAS[area]) {
+                throw new AeriesValidationError('Unknown sync area "' + area + '".');
+            }
+        });
+
+        this.store = this.options.store || new MemoryCheckpointStore();
+    }
+
+    /**
+     * Gets the time to sync changes from.
+     * @param {Date|string} [since] Overrides the stored checkpoint.
+     * @returns {Promise<Date>}
+     */
+    getSince(since) {
+        var pending = since ? Promise.resolve(since) : this.store.get(this.options.key);
+
+        return pending.then((value) => {
+            value = value || this.options.initialSince;
+            if (!value) {
+                throw new AeriesValidationError('No checkpoint found for "' + this.options.key + '". Pass a Date or set initialSince.');
+            }
+
+            var date = value instanceof Date ? value : new Date(value);
+            if (isNaN(date.getTime())) {
+                throw new AeriesValidationError('Invalid checkpoint "' + value + '".');
+            }
+            return date;
+        });
+    }
+
+    /**
+     * Streams the records that changed since the checkpoint.
+     * The checkpoint is saved when the last record has been queued on the stream. Use run to only save it after every record has been handled.
+     * @param {Date|string} [since] Overrides the stored checkpoint.
+     * @returns {Readable} An object mode stream of {@link syncRecord}s.
+     */
+    stream(since) {
+        var waiting = [];
+        var readable = new Readable({
+            objectMode: true,
+            read: function () {
+                var resume = waiting;
+                waiting = [];
+                resume.forEach(function (fn) { fn(); });
+            }
+        });
+
+        function push(record) {
+            if (readable.push(record)) {
+                return Promise.resolve();
+            }
+            return new Promise(function (resolve) { waiting.push(resolve); });
+        }
+
+        this._sync(since, push).then(function (summary) {
+            readable.emit('checkpoint', summary);
+            readable.push(null);
+        }, function (err) {
+            readable.emit('error', err);
+        });
+
+        return readable;
+    }
+
+    /**
+     * Syncs the records that changed since the checkpoint, calling handler for each one.
+     * The checkpoint is only saved if every handler call succeeds.
+     * @param {function(syncRecord): (Promise|undefined)} handler Called for each changed record.
+     * @param {Date|string} [since] Overrides the stored checkpoint.
+     * @returns {Promise<{since: Date, until: Date, count: number}>}
+     */
+    run(handler, since) {
+        return this._sync(since, function (record) {
+            return Promise.resolve(handler(record));
+        });
+    }
+
+    /**
+     * Fetches the changed records of one area and passes them to push, at most concurrency at a time.
+     * @param {string} type The area.
+     * @param {string} timestamp The time to sync changes from, as a DataChanges timestamp.
+     * @param {function(syncRecord): Promise} push
+     * @returns {Promise<number>} The number of records.
+     */
+    _syncArea(type, timestamp, push) {
+        var area = AREAS[type];
+        var count = 0;
+
+        // Change lists are read by their Aeries field names, whatever the client normalize settings are.
+        return area.changes(this.client.withOptions({ normalize: false }), timestamp, this.options).then((result) => {
+            var seen = {};
+            var keys = [];
+            (result.body || []).forEach(function (change) {
+                var key = area.key(change);
+                var id = JSON.stringify(key);
+                if (!seen[id]) {
+                    seen[id] = true;
+                    keys.push(key);
+                }
+            });
+
+            return mapLimit(keys, this.options.concurrency, (key) => {
+                return area.fetch(this.client, key).then(function (record) {
+                    return { type: type, op: 'upsert', key: key, record: record };
+                }, function (err) {
+                    if (err instanceof AeriesNotFoundError) {
+                        return { type: type, op: 'delete', key: key, record: null };
+                    }
+                    throw err;
+                }).then(function (item) {
+                    count++;
+                    return push(item);
+                });
+            });
+        }).then(function () {
+            return count;
+        });
+    }
+
+    /**
+     * Fetches the changed records of each area in turn and passes them to push, then saves the checkpoint.
+     * @param {Date|string} since
+     * @param {function(syncRecord): Promise} push
+     * @returns {Promise<{since: Date, until: Date, count: number}>}
+     */
+    _sync(since, push) {
+        return this.getSince(since).then((from) => {
+            var until = new Date();
+            var timestamp = toTimestamp(from);
+            var count = 0;
+
+            return this.options.areas.reduce((previous, type) => {
+                return previous.then(() => this._syncArea(type, timestamp, push)).then(function (areaCount) {
+                    count += areaCount;
+                });
+            }, Promise.resolve()).then(() => {
+                return this.store.set(this.options.key, until.toISOString());
+            }).then(function () {
+                return { since: from, until: until, count: count };
+            });
+        });
+    }
+}
+
+module.exports = {
+    ChangeSync: ChangeSync,
+    AREAS: AREAS
+};
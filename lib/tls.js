@@ -0,0 +1,97 @@
+'use strict';
+
+let https = require('https');
+let crypto = require('crypto');
+
+/**
+ * @typedef tlsOptions
+ * @type {Object}
+ * @property {boolean} rejectUnauthorized Should the server certificate be verified against the trusted CAs? Defaults to true.
+ * @property {string|Buffer|Array<string|Buffer>} ca Additional trusted CA certificates in PEM format, e.g. for a district self-signed certificate.
+ * @property {string|Buffer} cert A client certificate in PEM format.
+ * @property {string|Buffer} key The private key for the client certificate in PEM format.
+ * @property {string} passphrase The passphrase for the private key or pfx.
+ * @property {string|Buffer} pfx A client certificate and key in PFX/PKCS12 format.
+ * @property {string[]} fingerprints SHA-256 fingerprints of the server certificates to accept, e.g. "AB:CD:...". Any other certificate is rejected.
+ */
+
+const AGENT_OPTIONS = ['rejectUnauthorized', 'ca', 'cert', 'key', 'passphrase', 'pfx'];
+
+/**
+ * Normalizes a certificate fingerprint to lower case hex without separators.
+ * @param {string} fingerprint The fingerprint, e.g. "AB:CD:EF..."
+ * @returns {string}
+ */
+function normalizeFingerprint(fingerprint) {
+    return String(fingerprint).replace(/[^0-9a-f]/gi, '').toLowerCase();
+}
+
+/**
+ * Gets the SHA-256 fingerprint of a peer certificate.
+ * @param {Object} cert The certificate from tls.TLSSocket.getPeerCertificate()
+ * @returns {string} The fingerprint in lower case hex without separators.
+ */
+function getFingerprint(cert) {
+    return crypto.createHash('sha256').update(cert.raw).digest('hex');
+}
+
+/**
+ * An https agent that only accepts servers presenting one of the pinned certificates.
+ */
+class PinnedAgent extends https.Agent {
+
+    /**
+     * PinnedAgent
+     * @param {Object} options The https.Agent options.
+     * @param {string[]} fingerprints The SHA-256 fingerprints to accept.
+     */
+    constructor(options, fingerprints) {
+        super(options);
+        this.fingerprints = fingerprints.map(normalizeFingerprint);
+    }
+
+    createConnection() {
+        var socket = super.createConnection.apply(this, arguments);
+        var fingerprints = this.fingerprints;
+
+        socket.once('secureConnect', function () {
+            var cert = socket.getPeerCertificate();
+            if (!cert || !cert.raw || fingerprints.indexOf(getFingerprint(cert)) === -1) {
+                var err = new Error('The server certificate does not match any of the pinned fingerprints.');
+                err.code = 'ERR_CERT_PIN_MISMATCH';
+                socket.destroy(err);
+            }
+        });
+
+        return socket;
+    }
+}
+
+/**
+ * Creates the https agent for a client, or null if the transport's own agent can be used. Connections are kept alive.
+ * @param {tlsOptions} options The TLS options for the client.
+ * @returns {https.Agent|null}
+ */
+function createAgent(options) {
+    options = options || {};
+
+    var agentOptions = { keepAlive: true };
+    var custom = false;
+    AGENT_OPTIONS.forEach(function (name) {
+        if (options[name] !== undefined && options[name] !== null) {
+            agentOptions[name] = options[name];
+            custom = true;
+        }
+    });
+
+    if (options.fingerprints && options.fingerprints.length > 0) {
+        return new PinnedAgent(agentOptions, options.fingerprints);
+    }
+    return custom ? new https.Agent(agentOptions) : null;
+}
+
+module.exports = {
+    createAgent: createAgent,
+    getFingerprint: getFingerprint,
+    PinnedAgent: PinnedAgent
+};
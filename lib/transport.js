@@ -0,0 +1,192 @@
+'use strict';
+
+let http = require('http');
+let https = require('https');
+let zlib = require('zlib');
+let { URL } = require('url');
+
+/**
+ * Sends HTTP requests for a client. Replace it to send requests through a proxy, or to answer them in tests.
+ * @typedef transport
+ * @type {Object}
+ * @property {function(transportRequest, function(Error, transportResponse)): {abort: function()}} request Sends a request and calls back once the response starts.
+ */
+
+/**
+ * @typedef transportRequest
+ * @type {Object}
+ * @property {string} url
+ * @property {string} method
+ * @property {Object} headers
+ * @property {string} body The request body, if any.
+ * @property {http.Agent} agent The agent to use for https requests with custom TLS settings, if any.
+ */
+
+/**
+ * @typedef transportResponse
+ * @type {Object}
+ * @property {number} statusCode
+ * @property {Object} headers The response headers, with lower case names.
+ * @property {Readable} body The decompressed response body.
+ */
+
+const REDIRECTS = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 5;
+
+/**
+ * The default transport, built on Node's http and https modules.
+ * Connections are kept alive and reused between calls, and gzip and deflate responses are decompressed.
+ */
+class HttpTransport {
+
+    /**
+     * HttpTransport
+     * @param {Object} [options]
+     * @param {boolean} [options.keepAlive] Reuse connections between calls. Defaults to true.
+     * @param {number} [options.maxSockets] The maximum number of connections per host. Unlimited by default, as the client limits handle this.
+     * @param {number} [options.maxRedirects] The number of redirects to follow for GET requests. Defaults to 5.
+     * @param {https.Agent} [options.httpsAgent] The agent for https requests, e.g. one with custom TLS settings.
+     */
+    constructor(options) {
+        options = Object.assign({ keepAlive: true, maxSockets: Infinity, maxRedirects: MAX_REDIRECTS, httpsAgent: null }, options);
+        var agentOptions = { keepAlive: options.keepAlive, maxSockets: options.maxSockets };
+
+        this.maxRedirects = options.maxRedirects;
+        this.httpAgent = new http.Agent(agentOptions);
+        this.httpsAgent = options.httpsAgent || new https.Agent(agentOptions);
+    }
+
+    /**
+     * Sends a request.
+     * @param {transportRequest} options
+     * @param {function(Error, transportResponse)} callback Called once, when the response starts or the request fails.
+     * @returns {{abort: function()}}
+     */
+    request(options, callback) {
+        var current = null;
+        var done = false;
+        var redirects = 0;
+        var self = this;
+
+        function reply(err, response) {
+            if (!done) {
+                done = true;
+                callback(err, response);
+            }
+        }
+
+        function send(url, headers) {
+            var target = new URL(url);
+            var secure = target.protocol === 'https:';
+            var requestHeaders = Object.assign({ 'Accept-Encoding': 'gzip, deflate' }, headers);
+            if (options.body !== undefined && options.body !== null) {
+                requestHeaders['Content-Length'] = Buffer.byteLength(options.body);
+            }
+
+            current = (secure ? https : http).request(target, {
+                method: options.method || 'GET',
+                headers: requestHeaders,
+                agent: secure ? options.agent || self.httpsAgent : self.httpAgent
+            });
+
+            current.on('error', function (err) {
+                reply(err);
+            });
+            current.on('response', function (res) {
+                var method = (options.method || 'GET').toUpperCase();
+                if (REDIRECTS.indexOf(res.statusCode) !== -1 && res.headers.location && method === 'GET' && redirects < self.maxRedirects) {
+                    redirects++;
+                    res.resume();
+                    var next = new URL(res.headers.location, target);
+                    var nextHeaders = Object.assign({}, headers);
+                    if (next.origin !== target.origin) {
+                        // Never send the certificate to another server.
+                        delete nextHeaders['AERIES-CERT'];
+                    }
+                    send(next.toString(), nextHeaders);
+                    return;
+                }
+
+                reply(null, {
+                    statusCode: res.statusCode,
+                    headers: res.headers,
+                    body: decompress(res)
+                });
+            });
+
+            if (options.body !== undefined && options.body !== null) {
+                current.write(options.body);
+            }
+            current.end();
+        }
+
+        try {
+            send(options.url, options.headers || {});
+        }
+        catch (e) {
+            process.nextTick(reply, e);
+        }
+
+        return {
+            abort: function () {
+                done = true;
+                if (current) {
+                    current.destroy();
+                }
+            }
+        };
+    }
+
+    /**
+     * Closes the kept alive connections.
+     */
+    destroy() {
+        this.httpAgent.destroy();
+        this.httpsAgent.destroy();
+    }
+}
+
+/**
+ * Decompresses a response body if it is gzip or deflate encoded.
+ * @param {http.IncomingMessage} res
+ * @returns {Readable}
+ */
+function decompress(res) {
+    var encoding = String(res.headers['content-encoding'] || '').trim().toLowerCase();
+    var inflate = encoding === 'gzip' ? zlib.createGunzip() : encoding === 'deflate' ? zlib.createInflate() : null;
+    if (!inflate) {
+        return res;
+    }
+
+    res.on('error', function (err) { inflate.destroy(err); });
+    return res.pipe(inflate);
+}
+
+/**
+ * Reads a response body as text.
+ * @param {Readable} body
+ * @param {function(Error, string)} callback
+ */
+function readBody(body, callback) {
+    var chunks = [];
+    var done = false;
+    function finish(err, text) {
+        if (!done) {
+            done = true;
+            callback(err, text);
+        }
+    }
+
+    body.on('data', function (chunk) {
+        chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    });
+    body.on('error', finish);
+    body.on('end', function () {
+        finish(null, Buffer.concat(chunks).toString('utf8'));
+    });
+}
+
+module.exports = {
+    HttpTransport: HttpTransport,
+    readBody: readBody
+};
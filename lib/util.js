@@ -0,0 +1,36 @@
+'use strict';
+
+/**
+ * Runs an async function over a list of items with at most limit calls in flight.
+ * @param {Array} items The items to process.
+ * @param {number} limit The maximum number of calls in flight.
+ * @param {function(*, number): Promise} fn Called for each item and its index.
+ * @returns {Promise<Array>} Resolves to the results in the order of the items.
+ */
+function mapLimit(items, limit, fn) {
+    var results = new Array(items.length);
+    var index = 0;
+
+    function worker() {
+        if (index >= items.length) {
+            return Promise.resolve();
+        }
+        var i = index++;
+        return Promise.resolve()
+            .then(function () { return fn(items[i], i); })
+            .then(function (result) {
+                results[i] = result;
+                return worker();
+            });
+    }
+
+    var workers = [];
+    for (var n = 0; n < Math.max(1, Math.min(limit || 1, items.length)); n++) {
+        workers.push(worker());
+    }
+    return Promise.all(workers).then(function () { return results; });
+}
+
+module.exports = {
+    mapLimit: mapLimit
+};
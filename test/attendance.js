@@ -0,0 +1,139 @@
+'use strict';
+
+let assert = require('assert');
+let aeriesjs = require('../aeriesjs');
+let { useMockServer } = require('./helpers');
+
+describe('attendance analytics', function () {
+    var mock = useMockServer();
+
+    function calendar(prefix, days, holidays) {
+        return days.map(function (day) {
+            return { SchoolCode: 1, CalendarDate: prefix + day + 'T00:00:00', DayNumber: day, HolidayCode: (holidays || []).indexOf(day) !== -1 ? 'H' : '' };
+        });
+    }
+
+    var DATA = {
+        schoolCode: 1,
+        calendar: calendar('2019-03-', [11, 12, 13, 14, 15, 18, 19, 20, 21, 22], [15]),
+        absenceCodes: [
+            { Code: 'E', Title: 'Excused', ExcusedCode: 'Y', TruancyCode: 'N' },
+            { Code: 'I', Title: 'Illness', ExcusedCode: 'Y', TruancyCode: 'N' },
+            { Code: 'U', Title: 'Unexcused', ExcusedCode: 'N', TruancyCode: 'Y' },
+            { Code: 'L', Title: 'Late (Tardy)', ExcusedCode: 'N', TruancyCode: 'N' },
+            { Code: 'S', Title: 'Independent Study', ExcusedCode: 'N', TruancyCode: 'N' }
+        ],
+        students: [
+            { SchoolCode: 1, PermanentID: 11, Grade: 9, SchoolEnterDate: '2018-08-15T00:00:00', SchoolLeaveDate: null },
+            { SchoolCode: 1, PermanentID: 12, Grade: 9, SchoolEnterDate: '2019-03-18T00:00:00', SchoolLeaveDate: null },
+            { SchoolCode: 1, PermanentID: 13, Grade: 10, SchoolEnterDate: '2018-08-15T00:00:00', SchoolLeaveDate: '2019-03-20T00:00:00' }
+        ],
+        attendance: [
+            { SchoolCode: 1, PermanentID: 11, CalendarDays: [
+                { Date: '2019-03-11T00:00:00', AllDayAttendanceCode: 'E', Periods: [] },
+                { Date: '2019-03-12T00:00:00', AllDayAttendanceCode: '', Periods: [{ Period: 1, AbsenceCode: 'L' }] },
+                { Date: '2019-03-15T00:00:00', AllDayAttendanceCode: 'U', Periods: [] },
+                { Date: '2019-03-19T00:00:00', AllDayAttendanceCode: 'U', Periods: [] }
+            ] },
+            { SchoolCode: 1, PermanentID: 12, CalendarDays: [
+                { Date: '2019-03-11T00:00:00', AllDayAttendanceCode: 'U', Periods: [] },
+                { Date: '2019-03-20T00:00:00', AllDayAttendanceCode: 'I', Periods: [] }
+            ] },
+            { SchoolCode: 1, PermanentID: 13, CalendarDays: [
+                { Date: '2019-03-14T00:00:00', AllDayAttendanceCode: 'S', Periods: [] },
+                { Date: '2019-03-21T00:00:00', AllDayAttendanceCode: 'U', Periods: [] }
+            ] }
+        ]
+    };
+
+    it('joins the attendance of a school with its absence codes and calendar', function () {
+        return mock.client({ normalize: { camelCase: true } }).getAttendanceSummary(994, { endDate: '2018-10-12' }).then(function (summary) {
+            assert.strictEqual(summary.schoolDays, 28);
+            assert.deepStrictEqual(summary.students[0], {
+                schoolCode: 994, permanentId: 99400001, grade: 9,
+                daysEnrolled: 28, daysPresent: 27, daysAbsent: 1, daysExcused: 0, daysUnexcused: 1, daysTardy: 1,
+                attendanceRate: 27 / 28, absenceRate: 1 / 28, chronicallyAbsent: false
+            });
+            assert.deepStrictEqual(summary.students.map(function (s) { return [s.permanentId, s.daysAbsent]; }), [[99400001, 1], [99400002, 1], [99400003, 0]]);
+            assert.deepStrictEqual(Object.keys(summary.grades), ['9', '10', '12']);
+            assert.strictEqual(summary.total.daysEnrolled, 84);
+            assert.strictEqual(summary.total.chronicAbsenteeismRate, 0);
+        });
+    });
+
+    it('counts enrolled days, excused, unexcused and tardy days', function () {
+        var summary = aeriesjs.summarizeAttendance(DATA, { endDate: '2019-03-22', presentCodes: ['S'] });
+        var counts = summary.students.map(function (s) {
+            return [s.permanentId, s.daysEnrolled, s.daysAbsent, s.daysExcused, s.daysUnexcused, s.daysTardy, s.chronicallyAbsent];
+        });
+
+        assert.strictEqual(summary.schoolDays, 9);
+        assert.deepStrictEqual(counts, [
+            [11, 9, 2, 1, 1, 1, true],
+            [12, 5, 1, 1, 0, 0, true],
+            [13, 7, 0, 0, 0, 0, false]
+        ]);
+        assert.strictEqual(summary.students[0].attendanceRate, 7 / 9);
+        assert.deepStrictEqual([summary.grades[9].chronicallyAbsent, summary.grades[10].chronicallyAbsent], [2, 0]);
+        assert.strictEqual(summary.total.chronicAbsenteeismRate, 2 / 3);
+    });
+
+    it('flags chronic absenteeism at a threshold for a grade', function () {
+        var summary = aeriesjs.summarizeAttendance(DATA, { endDate: '2019-03-22', grade: 9, threshold: 0.21, minDaysEnrolled: 6 });
+
+        assert.deepStrictEqual(summary.students.map(function (s) { return [s.permanentId, s.chronicallyAbsent]; }), [[11, true], [12, false]]);
+        assert.deepStrictEqual(Object.keys(summary.grades), ['9']);
+        assert.strictEqual(summary.total.chronicallyAbsent, 1);
+        assert.strictEqual(summary.total.chronicAbsenteeismRate, 1);
+
+        var early = aeriesjs.summarizeAttendance(DATA, { startDate: '20190311', endDate: new Date(2019, 2, 14), grade: [9, 10] });
+        assert.deepStrictEqual(early.students.map(function (s) { return [s.permanentId, s.daysEnrolled, s.daysAbsent]; }), [[11, 4, 1], [12, 0, 0], [13, 4, 1]]);
+        assert.strictEqual(early.students[1].attendanceRate, null);
+        assert.throws(function () { aeriesjs.summarizeAttendance(DATA, { threshold: 10 }); }, TypeError);
+    });
+
+    it('skips students with attendance but no student record', function () {
+        var data = Object.assign({}, DATA, {
+            attendance: DATA.attendance.concat([{ SchoolCode: 1, PermanentID: 14, CalendarDays: [{ Date: '2019-03-11T00:00:00', AllDayAttendanceCode: 'U', Periods: [] }] }])
+        });
+        var summary = aeriesjs.summarizeAttendance(data, { endDate: '2019-03-22' });
+
+        assert.deepStrictEqual(summary.students.map(function (s) { return s.permanentId; }), [11, 12, 13]);
+        assert.deepStrictEqual(summary.skippedStudents, [{ schoolCode: 1, permanentId: 14 }]);
+        assert.strictEqual(summary.total.daysEnrolled, 21);
+    });
+
+    it('calculates from unredacted records and redacts the summary', function () {
+        var client = mock.client({ redaction: 'directory' });
+
+        return client.getAttendanceSummary(994, { endDate: '2018-10-12' }).then(function (summary) {
+            assert.deepStrictEqual(summary.students, []);
+            assert.deepStrictEqual(summary.skippedStudents, []);
+            assert.strictEqual(summary.total.students, 3);
+            assert.strictEqual(summary.total.daysAbsent, 2);
+            assert.strictEqual(summary.grades[9].daysTardy, 1);
+            return client.withOptions({ redaction: 'no-discipline-health-fees' }).getAttendanceSummary(994, { endDate: '2018-10-12' });
+        }).then(function (summary) {
+            assert.deepStrictEqual(summary.students.map(function (s) { return [s.permanentId, s.daysAbsent]; }), [[99400001, 1], [99400002, 1], [99400003, 0]]);
+        });
+    });
+
+    it('fetches a date range and reuses fetched data', function () {
+        var client = mock.client();
+        var before = mock.server.requests.length;
+
+        return client.fetchAttendanceData(994, { startDate: '2018-09-01', endDate: '2018-09-30' }).then(function (data) {
+            var attendanceRequest = mock.server.requests.slice(before).filter(function (r) { return r.key === 'v3/schools/994/attendance'; })[0];
+            assert.strictEqual(attendanceRequest.query.get('startDate'), '20180901');
+            assert.strictEqual(attendanceRequest.query.get('endDate'), '20180930');
+            assert.strictEqual(data.absenceCodes.length, 5);
+
+            var count = mock.server.requests.length;
+            return client.getAttendanceSummary(994, { endDate: '2018-09-30', threshold: 0.05 }, data).then(function (summary) {
+                assert.strictEqual(mock.server.requests.length, count);
+                assert.strictEqual(summary.schoolDays, 19);
+                assert.deepStrictEqual(summary.students.filter(function (s) { return s.chronicallyAbsent; }).map(function (s) { return s.permanentId; }), [99400001, 99400002]);
+            });
+        });
+    });
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+let assert = require('assert');
+let { respond } = require('../lib/mock-server');
+let { useMockServer } = require('./helpers');
+
+describe('caching', function () {
+    var mock = useMockServer();
+
+    function countRequests(key) {
+        return mock.server.requests.filter(function (r) { return r.key === key; }).length;
+    }
+
+    it('serves reference data from the cache', function () {
+        var client = mock.client({ cache: true });
+        return client.getSchools().then(function () {
+            return client.getSchools();
+        }).then(function (result) {
+            assert.strictEqual(result.body.length, 3);
+            assert.strictEqual(countRequests('v3/schools'), 1);
+        });
+    });
+
+    it('does not cache student data', function () {
+        var client = mock.client({ cache: true });
+        var before = countRequests('v3/schools/994/students');
+        return client.getStudents(994).then(function () {
+            return client.getStudents(994);
+        }).then(function () {
+            assert.strictEqual(countRequests('v3/schools/994/students') - before, 2);
+        });
+    });
+
+    it('revalidates expired entries with the ETag', function () {
+        mock.server.setFixture('v3/schools/990/terms', function (request) {
+            if (request.headers['if-none-match'] === '"v1"') {
+                return respond(304, null, { ETag: '"v1"' });
+            }
+            return respond(200, [{ TermCode: 'F' }], { ETag: '"v1"' });
+        });
+
+        var client = mock.client({ cache: { ttl: { 'schools/:school/terms': 1 } } });
+        return client.getSchoolTerms(990).then(function () {
+            return new Promise(function (resolve) { setTimeout(resolve, 10); });
+        }).then(function () {
+            return client.getSchoolTerms(990);
+        }).then(function (result) {
+            var last = mock.server.requests[mock.server.requests.length - 1];
+            assert.strictEqual(last.headers['if-none-match'], '"v1"');
+            assert.deepStrictEqual(result.body, [{ TermCode: 'F' }]);
+            mock.server.removeFixture('v3/schools/990/terms');
+        });
+    });
+
+    it('invalidates by endpoint pattern', function () {
+        var client = mock.client({ cache: true });
+        var before = countRequests('v3/schools/994');
+        return client.getSchool(994).then(function () {
+            return client.invalidateCache('schools/:school');
+        }).then(function () {
+            return client.getSchool(994);
+        }).then(function () {
+            assert.strictEqual(countRequests('v3/schools/994') - before, 2);
+        });
+    });
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+let assert = require('assert');
+let { DEMO_CERTIFICATE } = require('../lib/mock-server');
+let cli = require('../lib/cli');
+let { useMockServer } = require('./helpers');
+
+/**
+ * A writable that keeps what is written to it.
+ */
+function output() {
+    return { text: '', write: function (chunk) { this.text += chunk; } };
+}
+
+describe('cli', function () {
+    var mock = useMockServer();
+
+    function run(argv, env) {
+        var io = { stdout: output(), stderr: output() };
+        return cli.main(argv, env || { AERIES_URL: mock.server.url, AERIES_CERT: DEMO_CERTIFICATE }, io).then(function (code) {
+            return { code: code, stdout: io.stdout.text, stderr: io.stderr.text };
+        });
+    }
+
+    it('prints a table', function () {
+        return run(['schools']).then(function (result) {
+            assert.strictEqual(result.code, 0);
+            var lines = result.stdout.trim().split('\n');
+            assert.ok(/^SchoolCode\s+Name/.test(lines[0]));
+            assert.strictEqual(lines.length, 5);
+        });
+    });
+
+    it('prints JSON', function () {
+        return run(['classes', '994', '99400001', '--format', 'json']).then(function (result) {
+            assert.strictEqual(result.code, 0);
+            assert.deepStrictEqual(JSON.parse(result.stdout).map(function (c) { return c.SectionNumber; }), [1001, 1002]);
+        });
+    });
+
+    it('prints CSV', function () {
+        return run(['gradebook', '4432', 'assignments', '--format=csv']).then(function (result) {
+            var lines = result.stdout.trim().split('\r\n');
+            assert.strictEqual(lines[0].split(',')[0], 'GradebookNumber');
+            assert.strictEqual(lines.length, 3);
+        });
+    });
+
+    it('picks nested columns', function () {
+        return run(['student', '994', '99400001', '--extended', '--format', 'tsv', '--columns', 'PermanentID,Contacts.0.FirstName']).then(function (result) {
+            assert.strictEqual(result.stdout, 'PermanentID\tContacts.0.FirstName\n99400001\tMaria\n');
+        });
+    });
+
+    it('prefers flags to environment variables', function () {
+        return run(['schools', '--url', mock.server.url, '--cert', 'bad'], { AERIES_CERT: DEMO_CERTIFICATE }).then(function (result) {
+            assert.strictEqual(result.code, 1);
+            assert.ok(/AeriesAuthenticationError/.test(result.stderr));
+        });
+    });
+
+    it('exits with 2 for usage errors', function () {
+        return Promise.all([run(['student', '994']), run(['schools'], {})]).then(function (results) {
+            assert.strictEqual(results[0].code, 2);
+            assert.strictEqual(results[1].code, 2);
+        });
+    });
+});
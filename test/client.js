@@ -0,0 +1,199 @@
+'use strict';
+
+let assert = require('assert');
+let aeriesjs = require('../aeriesjs');
+let { respond } = require('../lib/mock-server');
+let { useMockServer } = require('./helpers');
+
+describe('aeriesjs', function () {
+    var mock = useMockServer();
+
+    describe('getters', function () {
+        it('resolves with the body and status code', function () {
+            return mock.client().getSchools().then(function (result) {
+                assert.strictEqual(result.statusCode, 200);
+                assert.deepStrictEqual(result.body.map(function (s) { return s.SchoolCode; }), [994, 990, 999]);
+            });
+        });
+
+        it('calls back when given a callback', function (done) {
+            mock.client().getStudentById(994, 99400001, function (err, body, statusCode) {
+                assert.ifError(err);
+                assert.strictEqual(statusCode, 200);
+                assert.strictEqual(body[0].LastName, 'Alvarez');
+                done();
+            });
+        });
+
+        it('builds the v1, v2 and v3 urls', function () {
+            var client = mock.client();
+            return Promise.all([
+                client.getClassRoster(994, 1001),
+                client.getCourseDataChanges(2018, 9, 1, 8, 0),
+                client.getGradebookAssignmentScores(4432, 1)
+            ]).then(function (results) {
+                assert.strictEqual(results[0].body.length, 2);
+                assert.strictEqual(results[1].body[0].CourseID, '0105');
+                assert.strictEqual(results[2].body.length, 2);
+            });
+        });
+
+        it('sends the date range as a query string', function () {
+            return mock.client().getAttendanceByDateRange(994, '20180801', '20180901', 99400001).then(function () {
+                var request = mock.server.requests[mock.server.requests.length - 1];
+                assert.strictEqual(request.query.get('startDate'), '20180801');
+                assert.strictEqual(request.query.get('endDate'), '20180901');
+            });
+        });
+
+        it('rejects invalid enrollment years without calling the API', function () {
+            var count = mock.server.requests.length;
+            return mock.client().getStudentEnrollmentByYear(994, 99400001, 1800).then(function () {
+                assert.fail('Expected an error');
+            }, function (err) {
+                assert.ok(err instanceof aeriesjs.AeriesValidationError);
+                assert.strictEqual(mock.server.requests.length, count);
+            });
+        });
+    });
+
+    describe('errors', function () {
+        it('rejects with an AeriesAuthenticationError for a bad certificate', function () {
+            return mock.client({ certificate: 'bad' }).getSchools().then(function () {
+                assert.fail('Expected an error');
+            }, function (err) {
+                assert.ok(err instanceof aeriesjs.AeriesAuthenticationError);
+                assert.strictEqual(err.statusCode, 401);
+            });
+        });
+
+        it('rejects with an AeriesNotFoundError for unknown routes', function () {
+            return mock.client().getStudentById(994, 1).then(function () {
+                assert.fail('Expected an error');
+            }, function (err) {
+                assert.ok(err instanceof aeriesjs.AeriesNotFoundError);
+                assert.ok(/No HTTP resource/.test(err.message));
+            });
+        });
+
+        it('rejects with an AeriesParseError for invalid JSON', function () {
+            mock.server.setFixture('v3/schools/994/terms', respond(200, '{"broken'));
+            return mock.client().getSchoolTerms(994).then(function () {
+                assert.fail('Expected an error');
+            }, function (err) {
+                assert.ok(err instanceof aeriesjs.AeriesParseError);
+            }).then(function () {
+                mock.server.removeFixture('v3/schools/994/terms');
+            });
+        });
+    });
+
+    describe('retries', function () {
+        it('retries retryable responses', function () {
+            var calls = 0;
+            mock.server.setFixture('v3/schools/990/terms', function () {
+                calls++;
+                return calls < 3 ? respond(503, { Message: 'Busy' }) : [];
+            });
+
+            return mock.client({ retry: { maxAttempts: 3, minDelay: 1, maxDelay: 5 } }).getSchoolTerms(990).then(function (result) {
+                assert.strictEqual(calls, 3);
+                assert.deepStrictEqual(result.body, []);
+                mock.server.removeFixture('v3/schools/990/terms');
+            });
+        });
+
+        it('caps a Retry-After delay at maxDelay', function () {
+            var calls = 0;
+            var delays = [];
+            mock.server.setFixture('v3/schools/990/terms', function () {
+                calls++;
+                return calls === 1 ? respond(429, { Message: 'Slow down.' }, { 'Retry-After': '3600' })
+                    : calls === 2 ? respond(503, { Message: 'Busy' }, { 'Retry-After': new Date(Date.now() + 86400000).toUTCString() })
+                    : [];
+            });
+
+            var client = mock.client({ retry: { maxAttempts: 3, minDelay: 1, maxDelay: 5, onRetry: function (info) { delays.push(info.delay); } } });
+            return client.getSchoolTerms(990).then(function (result) {
+                assert.strictEqual(calls, 3);
+                assert.deepStrictEqual(delays, [5, 5]);
+                assert.deepStrictEqual(result.body, []);
+                mock.server.removeFixture('v3/schools/990/terms');
+            });
+        });
+
+        it('does not retry writes', function () {
+            var calls = 0;
+            mock.server.setFixture('POST v3/schools/994/contacts/99400001', function () {
+                calls++;
+                return respond(503, { Message: 'Busy' });
+            });
+
+            return mock.client({ retry: 3 }).updateContacts(994, 99400001, []).then(function () {
+                assert.fail('Expected an error');
+            }, function (err) {
+                assert.ok(err instanceof aeriesjs.AeriesServerError);
+                assert.strictEqual(calls, 1);
+                mock.server.removeFixture('POST v3/schools/994/contacts/99400001');
+            });
+        });
+    });
+
+    describe('writes', function () {
+        it('sends the body as JSON with the method', function () {
+            mock.server.setFixture('PUT v3/gradebooks/4432/assignments/1', function (request) {
+                return request.body;
+            });
+
+            return mock.client().updateGradebookAssignment(4432, 1, { Description: 'Essay 1 (revised)' }).then(function (result) {
+                var request = mock.server.requests[mock.server.requests.length - 1];
+                assert.strictEqual(request.method, 'PUT');
+                assert.strictEqual(request.headers['content-type'], 'application/json');
+                assert.deepStrictEqual(result.body, { Description: 'Essay 1 (revised)' });
+            });
+        });
+    });
+
+    describe('timeouts and cancellation', function () {
+        before(function () {
+            mock.server.setFixture('v3/schools/994/calendar', function () {
+                return new Promise(function (resolve) { setTimeout(function () { resolve([]); }, 200); });
+            });
+        });
+
+        after(function () {
+            mock.server.removeFixture('v3/schools/994/calendar');
+        });
+
+        it('rejects with an AeriesTimeoutError', function () {
+            return mock.client().withOptions({ timeout: 20 }).getSchoolCalendar(994).then(function () {
+                assert.fail('Expected an error');
+            }, function (err) {
+                assert.ok(err instanceof aeriesjs.AeriesTimeoutError);
+            });
+        });
+
+        it('rejects with an AeriesAbortError when the signal is aborted', function () {
+            var controller = new AbortController();
+            var pending = mock.client().withOptions({ signal: controller.signal }).getSchoolCalendar(994);
+            setTimeout(function () { controller.abort(); }, 20);
+
+            return pending.then(function () {
+                assert.fail('Expected an error');
+            }, function (err) {
+                assert.ok(err instanceof aeriesjs.AeriesAbortError);
+            });
+        });
+    });
+
+    describe('normalization', function () {
+        it('converts dates, blanks and codes', function () {
+            return mock.client({ normalize: { camelCase: true } }).getStudentById(994, 99400003).then(function (result) {
+                var student = result.body[0];
+                assert.ok(student.birthdate instanceof Date);
+                assert.strictEqual(student.studentEmailAddress, null);
+                assert.strictEqual(student.schoolCode, 994);
+            });
+        });
+    });
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+let assert = require('assert');
+let fs = require('fs');
+let os = require('os');
+let path = require('path');
+let util = require('util');
+let aeriesjs = require('../aeriesjs');
+let { respond, DEMO_CERTIFICATE } = require('../lib/mock-server');
+let { useMockServer } = require('./helpers');
+
+describe('credential providers', function () {
+    var mock = useMockServer();
+
+    function rotating() {
+        var calls = [];
+        var provider = function () {
+            calls.push(Date.now());
+            return Promise.resolve(calls.length === 1 ? 'expired-cert' : DEMO_CERTIFICATE);
+        };
+        provider.calls = calls;
+        return provider;
+    }
+
+    it('gets the certificate again and retries once after a 401', function () {
+        var provider = rotating();
+        var count = mock.server.requests.length;
+        var client = mock.client({ certificate: provider });
+
+        return client.getSchool(994).then(function (result) {
+            assert.strictEqual(result.body.SchoolCode, 994);
+            assert.strictEqual(provider.calls.length, 2);
+            assert.strictEqual(mock.server.requests.length - count, 2);
+            return client.getSchool(990);
+        }).then(function () {
+            // The refreshed certificate is kept.
+            assert.strictEqual(provider.calls.length, 2);
+        });
+    });
+
+    it('refreshes streamed calls', function () {
+        var records = [];
+        return new Promise(function (resolve, reject) {
+            mock.client({ certificate: rotating() }).streamStudents(994)
+                .on('data', function (record) { records.push(record); })
+                .on('error', reject)
+                .on('end', resolve);
+        }).then(function () {
+            assert.strictEqual(records.length, 3);
+        });
+    });
+
+    it('does not retry a fixed certificate', function () {
+        var count = mock.server.requests.length;
+        return mock.client({ certificate: 'wrong' }).getSchools().then(function () {
+            assert.fail('Expected an error');
+        }, function (err) {
+            assert.ok(err instanceof aeriesjs.AeriesAuthenticationError);
+            assert.strictEqual(mock.server.requests.length - count, 1);
+        });
+    });
+
+    it('reads the certificate from a file or an environment variable', function () {
+        var file = path.join(os.tmpdir(), 'aeriesjs-cert-' + process.pid);
+        fs.writeFileSync(file, DEMO_CERTIFICATE + '\n');
+
+        return Promise.all([
+            mock.client({ certificate: { file: file } }).getSchool(994),
+            mock.client({ certificate: new aeriesjs.EnvCredentials('NORTH_CERT', { NORTH_CERT: DEMO_CERTIFICATE }) }).getSchool(994)
+        ]).then(function (results) {
+            fs.unlinkSync(file);
+            assert.strictEqual(results[0].statusCode, 200);
+            assert.strictEqual(results[1].statusCode, 200);
+        });
+    });
+
+    it('rejects with an AeriesCredentialError without calling the API when the provider fails', function () {
+        var count = mock.server.requests.length;
+        return mock.client({ certificate: function () { throw new Error('vault is sealed'); } }).getSchools().then(function () {
+            assert.fail('Expected an error');
+        }, function (err) {
+            assert.ok(err instanceof aeriesjs.AeriesCredentialError);
+            assert.ok(/vault is sealed/.test(err.message));
+            assert.strictEqual(mock.server.requests.length, count);
+        });
+    });
+
+    it('sets the certificate of a view on the client it was made from', function () {
+        var client = mock.client({ certificate: 'wrong-cert' });
+        var view = client.withOptions({ timeout: 5000 });
+        view.setCertificate(DEMO_CERTIFICATE);
+
+        assert.strictEqual(client.certificate, DEMO_CERTIFICATE);
+        assert.strictEqual(view.credentials, client.credentials);
+        assert.strictEqual(view.hasOwnProperty('credentials'), false);
+        return Promise.all([client.getSchool(994), view.getSchool(990)]).then(function (results) {
+            assert.deepStrictEqual(results.map(function (r) { return r.statusCode; }), [200, 200]);
+        });
+    });
+
+    it('keeps certificates out of errors and inspected clients', function () {
+        mock.server.setFixture('v3/schools/123', function (request) {
+            return respond(500, { Message: 'Request failed. AERIES-CERT: ' + request.headers['aeries-cert'] });
+        });
+
+        var client = mock.client();
+        assert.strictEqual(util.inspect(client).indexOf(DEMO_CERTIFICATE), -1);
+
+        return client.getSchool(123).then(function () {
+            assert.fail('Expected an error');
+        }, function (err) {
+            assert.ok(err instanceof aeriesjs.AeriesServerError);
+            assert.strictEqual(err.message, 'Aeries API responded with HTTP 500: Request failed. AERIES-CERT: [redacted]');
+            assert.strictEqual(String(err.body).indexOf(DEMO_CERTIFICATE), -1);
+            assert.strictEqual(String(err.stack).indexOf(DEMO_CERTIFICATE), -1);
+        });
+    });
+});
@@ -0,0 +1,33 @@
+'use strict';
+
+let assert = require('assert');
+let { respond } = require('../lib/mock-server');
+let { useMockServer } = require('./helpers');
+
+describe('district wide calls', function () {
+    var mock = useMockServer();
+
+    it('merges the records of every active school', function () {
+        return mock.client().getDistrictStudents({ skipInactive: true }).then(function (result) {
+            assert.deepStrictEqual(result.schools, [994, 990]);
+            assert.strictEqual(result.records.length, 5);
+            assert.deepStrictEqual(result.errors, []);
+        });
+    });
+
+    it('collects the schools that fail', function () {
+        mock.server.setFixture('v3/schools/990/contacts', respond(500, { Message: 'Server error' }));
+        return mock.client().getDistrictContacts({ schools: [994, 990] }).then(function (result) {
+            assert.strictEqual(result.records.length, 3);
+            assert.strictEqual(result.errors.length, 1);
+            assert.strictEqual(result.errors[0].schoolCode, 990);
+            mock.server.removeFixture('v3/schools/990/contacts');
+        });
+    });
+
+    it('tags records with the school code', function () {
+        return mock.client().getDistrictTeachers({ schools: [994] }).then(function (result) {
+            assert.ok(result.records.every(function (r) { return r.SchoolCode === 994; }));
+        });
+    });
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+let assert = require('assert');
+let { getEndpointTemplate, matchesTemplate } = require('../lib/endpoints');
+
+describe('endpoint templates', function () {
+    var base = 'https://demo.aeries.net/aeries/api/';
+
+    it('replaces ids of any format by route', function () {
+        assert.deepStrictEqual([
+            'v3/schools/994/students/99400001/',
+            'courses/0105A',
+            'v3/schools/994/students/sn/A1234/extended',
+            'v3/schools/994/students/grade/TK',
+            'v3/gradebooks/assignments/6f1c2a9e-0b7e-4c1d-9c1e-3f2a1b0c9d8e/scores/99400001',
+            'v3/schools/994/absencecodes/A',
+            'v3/codes/STU/TG',
+            'v2/StudentDataChanges/contact/2018/9/1/0/0',
+            'v1/schools/994/sections/1001A/students/'
+        ].map(function (path) { return getEndpointTemplate(base + path); }), [
+            'schools/:school/students/:id',
+            'courses/:id',
+            'schools/:school/students/sn/:id/extended',
+            'schools/:school/students/grade/:id',
+            'gradebooks/assignments/:id/scores/:id',
+            'schools/:school/absencecodes/:id',
+            'codes/:id/:id',
+            'StudentDataChanges/:id/:id/:id/:id/:id/:id',
+            'schools/:school/sections/:id/students'
+        ]);
+    });
+
+    it('keeps only known segments of other paths', function () {
+        assert.strictEqual(getEndpointTemplate(base + 'v3/schools/994/lockers/L-12'), 'schools/:school/:id/:id');
+        assert.strictEqual(getEndpointTemplate(base + 'v3/schools/994/students/99400001/extended/ABC'), 'schools/:school/students/:id/extended/:id');
+    });
+
+    it('matches patterns with wildcards', function () {
+        assert.ok(matchesTemplate('schools/:school/absencecodes/*', getEndpointTemplate(base + 'v3/schools/994/absencecodes/A')));
+        assert.ok(matchesTemplate('COURSES/*', 'courses/:id'));
+        assert.ok(!matchesTemplate('schools/*', 'schools/:school/terms'));
+    });
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+let assert = require('assert');
+let fs = require('fs');
+let os = require('os');
+let path = require('path');
+let { PassThrough } = require('stream');
+let { exportRecords, formatRecords, flatten } = require('../lib/export');
+let { useMockServer } = require('./helpers');
+
+/**
+ * A stream that keeps what is written to it.
+ * @returns {PassThrough}
+ */
+function sink() {
+    var stream = new PassThrough();
+    stream.text = '';
+    stream.on('data', function (chunk) { stream.text += chunk; });
+    return stream;
+}
+
+describe('export', function () {
+    var mock = useMockServer();
+
+    describe('flatten', function () {
+        it('flattens nested objects and arrays into dotted fields', function () {
+            var date = new Date();
+            assert.deepStrictEqual(flatten({ ID: 1, Contacts: [{ FirstName: 'Maria', Phones: ['1', '2'] }], Date: date, Empty: [] }), {
+                'ID': 1,
+                'Contacts.0.FirstName': 'Maria',
+                'Contacts.0.Phones.0': '1',
+                'Contacts.0.Phones.1': '2',
+                'Date': date
+            });
+        });
+    });
+
+    describe('formatRecords', function () {
+        var records = [{ ID: 1, Name: 'Baker, "Ben"' }, { ID: 2, Grade: 9, Note: 'a\tb\nc' }];
+
+        it('writes csv with a header from every field', function () {
+            assert.strictEqual(formatRecords(records),
+                'ID,Name,Grade,Note\r\n1,"Baker, ""Ben""",,\r\n2,,9,"a\tb\nc"\r\n');
+        });
+
+        it('writes tsv without tabs or line breaks in values', function () {
+            assert.strictEqual(formatRecords(records, { format: 'tsv', columns: ['ID', 'Note'] }), 'ID\tNote\n1\t\n2\ta b c\n');
+        });
+
+        it('writes ndjson', function () {
+            assert.strictEqual(formatRecords(records, { format: 'ndjson' }), JSON.stringify(records[0]) + '\n' + JSON.stringify(records[1]) + '\n');
+        });
+
+        it('picks, orders and renames columns', function () {
+            var csv = formatRecords([{ ID: 1, Contacts: [{ FirstName: 'Maria' }] }], {
+                columns: [{ field: 'Contacts.0.FirstName', header: 'Parent' }, 'ID', { header: 'Source', value: function () { return 'aeries'; } }]
+            });
+            assert.strictEqual(csv, 'Parent,ID,Source\r\nMaria,1,aeries\r\n');
+        });
+
+        it('rejects unknown formats', function () {
+            assert.throws(function () { formatRecords([], { format: 'xml' }); }, TypeError);
+        });
+    });
+
+    describe('exportRecords', function () {
+        it('exports a getter to a stream', function () {
+            var client = mock.client();
+            var output = sink();
+            return client.exportRecords(client.getClassRoster(994, 1001), output, { columns: ['PermanentID', 'SectionNumber'] }).then(function (result) {
+                assert.strictEqual(result.count, 2);
+                assert.strictEqual(output.text, 'PermanentID,SectionNumber\r\n99400001,1001\r\n99400002,1001\r\n');
+            });
+        });
+
+        it('exports a stream method to a file', function () {
+            var client = mock.client();
+            var file = path.join(os.tmpdir(), 'aeriesjs-export-' + process.pid + '.ndjson');
+            return client.exportRecords(client.streamStudentsInGradeExtended(994, 9), file, { format: 'ndjson' }).then(function (result) {
+                var lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+                fs.unlinkSync(file);
+                assert.strictEqual(result.count, 1);
+                assert.strictEqual(JSON.parse(lines[0]).PermanentID, 99400001);
+            });
+        });
+
+        it('exports a district wide call', function () {
+            var client = mock.client();
+            var output = sink();
+            return client.exportRecords(client.getDistrictStudents({ schools: [994, 990] }), output, { format: 'tsv', columns: ['SchoolCode', 'PermanentID'] }).then(function (result) {
+                assert.strictEqual(result.count, 5);
+            });
+        });
+
+        it('rejects when the source fails', function () {
+            var client = mock.client();
+            return client.exportRecords(client.getContacts(123), sink()).then(function () {
+                assert.fail('Expected an error');
+            }, function (err) {
+                assert.strictEqual(err.statusCode, 404);
+            });
+        });
+
+        it('leaves an existing file in place when the source fails', function () {
+            var client = mock.client();
+            var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aeriesjs-export-'));
+            var file = path.join(dir, 'contacts.csv');
+            fs.writeFileSync(file, 'last good export\r\n');
+
+            return client.exportRecords(client.getContacts(123), file).then(function () {
+                assert.fail('Expected an error');
+            }, function (err) {
+                assert.strictEqual(err.statusCode, 404);
+                assert.strictEqual(fs.readFileSync(file, 'utf8'), 'last good export\r\n');
+                assert.deepStrictEqual(fs.readdirSync(dir), ['contacts.csv']);
+                return client.exportRecords(client.getContacts(994), file, { columns: ['StudentID'] });
+            }).then(function (result) {
+                assert.strictEqual(result.count, 3);
+                assert.strictEqual(fs.readFileSync(file, 'utf8'), 'StudentID\r\n99400001\r\n99400002\r\n99400003\r\n');
+                assert.deepStrictEqual(fs.readdirSync(dir), ['contacts.csv']);
+                fs.unlinkSync(file);
+                fs.rmdirSync(dir);
+            });
+        });
+    });
+});
@@ -0,0 +1,33 @@
+'use strict';
+
+let aeriesjs = require('../aeriesjs');
+let { MockAeriesServer, DEMO_CERTIFICATE } = require('../lib/mock-server');
+
+/**
+ * Starts a mock server for the tests in a describe block, and stops it afterwards.
+ * @param {Object} [options] MockAeriesServer options.
+ * @returns {{server: MockAeriesServer, client: function(Object): aeriesjs}}
+ */
+function useMockServer(options) {
+    var context = {
+        server: null,
+        client: function (clientOptions) {
+            return new aeriesjs(Object.assign({ url: context.server.url, certificate: DEMO_CERTIFICATE }, clientOptions));
+        }
+    };
+
+    before(function () {
+        context.server = new MockAeriesServer(options);
+        return context.server.listen();
+    });
+
+    after(function () {
+        return context.server.close();
+    });
+
+    return context;
+}
+
+module.exports = {
+    useMockServer: useMockServer
+};
@@ -0,0 +1,121 @@
+'use strict';
+
+let assert = require('assert');
+let aeriesjs = require('../aeriesjs');
+let { DEMO_CERTIFICATE } = require('../lib/mock-server');
+let { useMockServer } = require('./helpers');
+
+describe('middleware', function () {
+    var mock = useMockServer();
+
+    function lastRequest() {
+        return mock.server.requests[mock.server.requests.length - 1];
+    }
+
+    it('runs in order around the request and response', function () {
+        var calls = [];
+        var client = mock.client()
+            .use(function (request, next) {
+                calls.push('first');
+                request.headers['X-Request-ID'] = 'abc-123';
+                return next().then(function (response) {
+                    calls.push('first ' + response.statusCode);
+                    return response;
+                });
+            })
+            .use(function (request, next) {
+                calls.push('second');
+                return next();
+            });
+
+        return client.getSchool(994).then(function (result) {
+            assert.deepStrictEqual(calls, ['first', 'second', 'first 200']);
+            assert.strictEqual(lastRequest().headers['x-request-id'], 'abc-123');
+            assert.strictEqual(lastRequest().headers['aeries-cert'], DEMO_CERTIFICATE);
+            assert.strictEqual(result.body.SchoolCode, 994);
+        });
+    });
+
+    it('can rewrite the url, e.g. for a reverse proxy', function () {
+        var client = mock.client({
+            url: 'https://aeries.proxy.invalid/aeries/',
+            middleware: [function (request, next) {
+                request.url = request.url.replace('https://aeries.proxy.invalid/aeries/', mock.server.url);
+                return next();
+            }]
+        });
+
+        return client.getSchools().then(function (result) {
+            assert.strictEqual(result.statusCode, 200);
+            assert.strictEqual(lastRequest().path, '/aeries/api/v3/schools/');
+        });
+    });
+
+    it('sees the parsed body and can change it', function () {
+        var client = mock.client().use(function (request, next) {
+            return next().then(function (response) {
+                return Object.assign({}, response, { body: response.body.map(function (school) { return school.SchoolCode; }) });
+            });
+        });
+
+        return client.getSchools().then(function (result) {
+            assert.ok(result.body.indexOf(994) !== -1);
+        });
+    });
+
+    it('can answer requests without sending them', function () {
+        var count = mock.server.requests.length;
+        var client = mock.client().use(function (request, next) {
+            if (/schools\/1\//.test(request.url)) {
+                return { statusCode: 200, headers: {}, body: { SchoolCode: 1, Name: 'Offline School' } };
+            }
+            return next();
+        });
+
+        var records = [];
+        return client.getSchool(1).then(function (result) {
+            assert.strictEqual(result.body.Name, 'Offline School');
+            return new Promise(function (resolve, reject) {
+                client.streamStudents(1)
+                    .on('data', function (record) { records.push(record); })
+                    .on('error', reject)
+                    .on('end', resolve);
+            });
+        }).then(function () {
+            assert.strictEqual(mock.server.requests.length, count);
+            assert.deepStrictEqual(records, [{ SchoolCode: 1, Name: 'Offline School' }]);
+        });
+    });
+
+    it('applies to streamed calls', function () {
+        var ids = [];
+        var client = mock.client().use(function (request, next) {
+            request.headers['X-Request-ID'] = 'stream-1';
+            return next();
+        });
+
+        return new Promise(function (resolve, reject) {
+            client.streamStudents(994)
+                .on('data', function (record) { ids.push(record.PermanentID); })
+                .on('error', reject)
+                .on('end', resolve);
+        }).then(function () {
+            assert.strictEqual(ids.length, 3);
+            assert.strictEqual(lastRequest().headers['x-request-id'], 'stream-1');
+        });
+    });
+
+    it('reports middleware errors as AeriesErrors', function () {
+        var client = mock.client().use(function () {
+            throw new Error('no route to district');
+        });
+
+        return client.getSchools().then(function () {
+            assert.fail('Expected an error');
+        }, function (err) {
+            assert.ok(err instanceof aeriesjs.AeriesError);
+            assert.strictEqual(err.message, 'no route to district');
+            assert.throws(function () { client.use(null); }, TypeError);
+        });
+    });
+});
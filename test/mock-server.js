@@ -0,0 +1,89 @@
+'use strict';
+
+let assert = require('assert');
+let fs = require('fs');
+let os = require('os');
+let path = require('path');
+let aeriesjs = require('../aeriesjs');
+let { MockAeriesServer, DEMO_CERTIFICATE, loadFixtures } = require('../lib/mock-server');
+let { useMockServer } = require('./helpers');
+
+describe('MockAeriesServer', function () {
+    var mock = useMockServer();
+
+    it('matches routes case insensitively', function () {
+        return mock.client().getStudentDataChanges('contact', 2018, 9, 1, 0, 0).then(function (result) {
+            assert.strictEqual(result.body.length, 2);
+            assert.strictEqual(mock.server.requests[mock.server.requests.length - 1].key, 'v2/studentdatachanges/contact/2018/9/1/0/0');
+        });
+    });
+
+    it('prefers fixtures with a matching query string', function () {
+        mock.server.setFixture('v3/schools/994/attendance/99400001?startDate=20180801&endDate=20180831', []);
+        var client = mock.client();
+        return Promise.all([
+            client.getAttendanceByDateRange(994, '20180801', '20180831', 99400001),
+            client.getAttendanceByDateRange(994, '20180801', '20181231', 99400001)
+        ]).then(function (results) {
+            assert.strictEqual(results[0].body.length, 0);
+            assert.strictEqual(results[1].body.length, 1);
+        });
+    });
+
+    describe('recording', function () {
+        var file = path.join(os.tmpdir(), 'aeriesjs-fixtures-' + process.pid + '.json');
+        var recorder = null;
+
+        before(function () {
+            recorder = new MockAeriesServer({ certificate: 'other', fixtures: {}, record: mock.client() });
+            return recorder.listen();
+        });
+
+        after(function () {
+            fs.unlink(file, function () { });
+            return recorder.close();
+        });
+
+        it('records responses from the real server', function () {
+            var client = new aeriesjs({ url: recorder.url, certificate: 'other' });
+            return client.getSchools().then(function (result) {
+                assert.strictEqual(result.body.length, 3);
+                return client.getStudentById(994, 1).catch(function (err) { return err; });
+            }).then(function (err) {
+                assert.ok(err instanceof aeriesjs.AeriesNotFoundError);
+                return recorder.saveFixtures(file);
+            }).then(function () {
+                var fixtures = loadFixtures(file);
+                assert.deepStrictEqual(Object.keys(fixtures), ['v3/schools', 'v3/schools/994/students/1']);
+                assert.strictEqual(fixtures['v3/schools/994/students/1'].$statusCode, 404);
+            });
+        });
+
+        it('serves recorded fixtures', function () {
+            var replay = new MockAeriesServer({ fixtures: loadFixtures(file) });
+            return replay.listen().then(function (url) {
+                var client = new aeriesjs({ url: url, certificate: DEMO_CERTIFICATE });
+                return Promise.all([
+                    client.getSchools(),
+                    client.getStudentById(994, 1).catch(function (err) { return err; })
+                ]);
+            }).then(function (results) {
+                assert.strictEqual(results[0].body.length, 3);
+                assert.strictEqual(results[1].statusCode, 404);
+                return replay.close();
+            });
+        });
+
+        it('records raw payloads through a client with a redaction profile', function () {
+            var redacting = new MockAeriesServer({ certificate: 'other', fixtures: {}, record: mock.client({ redaction: 'directory' }) });
+
+            return redacting.listen().then(function () {
+                return new aeriesjs({ url: redacting.url, certificate: 'other' }).getContacts(994);
+            }).then(function (result) {
+                assert.strictEqual(result.body[0].EmailAddress, 'maria.alvarez@example.org');
+                assert.strictEqual(redacting.fixtures['v3/schools/994/contacts'][0].EmailAddress, 'maria.alvarez@example.org');
+                return redacting.close();
+            });
+        });
+    });
+});
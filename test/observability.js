@@ -0,0 +1,142 @@
+'use strict';
+
+let assert = require('assert');
+let aeriesjs = require('../aeriesjs');
+let { respond, DEMO_CERTIFICATE } = require('../lib/mock-server');
+let { useMockServer } = require('./helpers');
+
+describe('observability', function () {
+    var mock = useMockServer();
+
+    function record(client) {
+        var events = [];
+        ['request', 'response', 'retry', 'error'].forEach(function (name) {
+            client.on(name, function (e) { events.push(Object.assign({ name: name }, e)); });
+        });
+        return events;
+    }
+
+    describe('events', function () {
+        it('emits request and response events with the endpoint template', function () {
+            var client = mock.client();
+            var events = record(client);
+
+            return client.getStudentById(994, 99400001).then(function () {
+                assert.deepStrictEqual(events.map(function (e) { return e.name; }), ['request', 'response']);
+                var response = events[1];
+                assert.strictEqual(response.endpoint, 'schools/:school/students/:id');
+                assert.strictEqual(response.method, 'GET');
+                assert.strictEqual(response.statusCode, 200);
+                assert.strictEqual(response.attempt, 1);
+                assert.strictEqual(response.cached, false);
+                assert.ok(response.duration >= 0);
+                assert.ok(response.bytesReceived > 0);
+            });
+        });
+
+        it('emits retry and error events', function () {
+            mock.server.setFixture('v3/schools/996/terms', respond(503, { Message: 'Busy' }));
+            var client = mock.client({ retry: { maxAttempts: 2, minDelay: 1, maxDelay: 5 } });
+            var events = record(client);
+
+            return client.getSchoolTerms(996).then(function () {
+                assert.fail('Expected an error');
+            }, function (err) {
+                assert.deepStrictEqual(events.map(function (e) { return e.name; }), ['request', 'response', 'retry', 'request', 'response', 'error']);
+                assert.strictEqual(events[2].attempt, 1);
+                assert.strictEqual(events[5].error, err);
+                assert.strictEqual(events[5].statusCode, 503);
+            });
+        });
+
+        it('marks cached responses and streamed calls', function () {
+            var client = mock.client({ cache: true });
+            var events = record(client);
+
+            return client.getSchools().then(function () {
+                return client.getSchools();
+            }).then(function () {
+                return new Promise(function (resolve, reject) {
+                    client.streamStudents(994).on('data', function () { }).on('error', reject).on('end', resolve);
+                });
+            }).then(function () {
+                var responses = events.filter(function (e) { return e.name === 'response'; });
+                assert.deepStrictEqual(responses.map(function (e) { return [e.endpoint, e.cached, e.stream]; }), [
+                    ['schools', false, false],
+                    ['schools', true, false],
+                    ['schools/:school/students', false, true]
+                ]);
+                assert.ok(responses[2].bytesReceived > 0);
+            });
+        });
+    });
+
+    describe('metrics', function () {
+        it('counts requests by endpoint template', function () {
+            var metrics = new aeriesjs.MetricsCollector({ labels: { district: 'demo' } });
+            var client = mock.client({ metrics: metrics });
+
+            return Promise.all([
+                client.getStudentById(994, 99400001),
+                client.getStudentById(994, 99400002),
+                client.getStudentById(994, 12345678).catch(function () { }),
+                client.getCourseDetails('0105A').catch(function () { })
+            ]).then(function () {
+                assert.strictEqual(metrics.requests.get({ district: 'demo', endpoint: 'schools/:school/students/:id', method: 'GET', status: 200 }), 2);
+                assert.strictEqual(metrics.duration.get({ district: 'demo', endpoint: 'schools/:school/students/:id', method: 'GET' }).count, 3);
+
+                var text = metrics.toPrometheus();
+                assert.ok(text.indexOf('# TYPE aeries_request_duration_seconds histogram') !== -1);
+                assert.ok(text.indexOf('aeries_requests_total{district="demo",endpoint="schools/:school/students/:id",method="GET",status="200"} 2') !== -1);
+                assert.ok(text.indexOf('aeries_request_duration_seconds_bucket{district="demo",endpoint="schools/:school/students/:id",method="GET",le="+Inf"} 3') !== -1);
+                assert.ok(text.indexOf('aeries_errors_total{district="demo",endpoint="schools/:school/students/:id",error="AeriesNotFoundError"} 1') !== -1);
+                assert.strictEqual(text.indexOf('99400001'), -1);
+                assert.strictEqual(text.indexOf('0105A'), -1);
+                assert.strictEqual(metrics.requests.get({ district: 'demo', endpoint: 'courses/:id', method: 'GET', status: 404 }), 1);
+
+                metrics.detach(client);
+                return client.getSchools();
+            }).then(function () {
+                assert.strictEqual(metrics.requests.get({ district: 'demo', endpoint: 'schools', method: 'GET', status: 200 }), 0);
+            });
+        });
+    });
+
+    describe('logging', function () {
+        it('logs events without student ids, names or certificates', function () {
+            var lines = [];
+            var logger = new aeriesjs.LogAdapter(function (level, fields, message) {
+                lines.push({ level: level, fields: fields, message: message });
+            }, { level: 'debug' });
+            var client = mock.client({ logger: logger });
+
+            return client.getStudentById(994, 12345678).then(function () {
+                assert.fail('Expected an error');
+            }, function () {
+                assert.deepStrictEqual(lines.map(function (l) { return l.level; }), ['debug', 'warn', 'error']);
+                assert.strictEqual(lines[2].fields.event, 'aeries.error');
+                assert.strictEqual(lines[2].fields.endpoint, 'schools/:school/students/:id');
+                assert.strictEqual(lines[2].fields.error.type, 'AeriesNotFoundError');
+
+                logger.info({ student: { PermanentID: 99400001, FirstName: 'Maria', LastName: 'Lopez', Grade: 9 }, headers: { 'AERIES-CERT': DEMO_CERTIFICATE } }, 'Synced /schools/994/students/99400001/ with ' + DEMO_CERTIFICATE);
+                var text = JSON.stringify(lines);
+                ['12345678', '99400001', 'Maria', 'Lopez', DEMO_CERTIFICATE].forEach(function (secret) {
+                    assert.strictEqual(text.indexOf(secret), -1, secret + ' was logged');
+                });
+                assert.strictEqual(lines[3].fields.student.Grade, 9);
+                assert.strictEqual(lines[3].message, 'Synced /schools/994/students/[redacted]/ with [redacted]');
+            });
+        });
+
+        it('redacts nested records', function () {
+            assert.deepStrictEqual(aeriesjs.redactPii([{ StudentID: 1, Contacts: [{ FirstName: 'Ana', Relationship: 'Mother' }] }]), [{ StudentID: '[redacted]', Contacts: [{ FirstName: '[redacted]', Relationship: 'Mother' }] }]);
+        });
+
+        it('keeps names that are not of students or contacts', function () {
+            assert.deepStrictEqual(
+                aeriesjs.redactPii({ SchoolName: 'Aeries High School', CourseName: 'English 9', TeacherName: 'Hopper', CodeName: 'Excused', NickName: 'Avi', ParentGuardianName: 'Maria Alvarez' }),
+                { SchoolName: 'Aeries High School', CourseName: 'English 9', TeacherName: 'Hopper', CodeName: 'Excused', NickName: '[redacted]', ParentGuardianName: '[redacted]' }
+            );
+        });
+    });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+let assert = require('assert');
+let fs = require('fs');
+let os = require('os');
+let path = require('path');
+let aeriesjs = require('../aeriesjs');
+let { gradeCode, sexCode } = require('../lib/oneroster');
+let { useMockServer } = require('./helpers');
+
+describe('OneRoster', function () {
+    var mock = useMockServer();
+    var bundle = null;
+
+    before(function () {
+        return mock.client().getOneRoster({ districtId: 'aeries-usd', districtName: 'Aeries USD', dateLastModified: new Date(Date.UTC(2018, 8, 1)) }).then(function (result) {
+            bundle = result;
+        });
+    });
+
+    function find(collection, sourcedId) {
+        return bundle[collection].filter(function (r) { return r.sourcedId === sourcedId; })[0];
+    }
+
+    it('builds orgs for the district and each active school', function () {
+        assert.deepStrictEqual(bundle.orgs.map(function (o) { return o.sourcedId; }), ['aeries-usd', '994', '990']);
+        assert.strictEqual(find('orgs', '994').parentSourcedId, 'aeries-usd');
+    });
+
+    it('builds a school year with its terms', function () {
+        assert.strictEqual(find('academicSessions', '994-2019').type, 'schoolYear');
+        var fall = find('academicSessions', '994-2019-F');
+        assert.strictEqual(fall.parentSourcedId, '994-2019');
+        assert.strictEqual(fall.startDate, '2018-08-15');
+    });
+
+    it('builds classes with their terms and course', function () {
+        var semester = find('classes', '994-1001');
+        var yearLong = find('classes', '994-1002');
+        assert.strictEqual(semester.courseSourcedId, '0105');
+        assert.deepStrictEqual(semester.termSourcedIds, ['994-2019-F']);
+        assert.deepStrictEqual(yearLong.termSourcedIds, ['994-2019-F', '994-2019-S']);
+        assert.deepStrictEqual(semester.grades, ['09', '10']);
+    });
+
+    it('builds users and enrollments', function () {
+        assert.strictEqual(find('users', 'staff-1234').role, 'teacher');
+        assert.deepStrictEqual(find('users', 'student-99000001').grades, ['07']);
+
+        var enrollments = bundle.enrollments.filter(function (e) { return e.classSourcedId === '994-1002'; });
+        assert.deepStrictEqual(enrollments.map(function (e) { return e.userSourcedId + ':' + e.role + ':' + e.primary; }), [
+            'staff-1235:teacher:true',
+            'staff-1234:teacher:false',
+            'student-99400001:student:false',
+            'student-99400003:student:false'
+        ]);
+    });
+
+    it('maps demographics', function () {
+        var demographics = find('demographics', 'student-99400001');
+        assert.strictEqual(demographics.birthDate, '2003-09-14');
+        assert.strictEqual(demographics.sex, 'female');
+        assert.strictEqual(demographics.white, true);
+        assert.strictEqual(demographics.hispanicOrLatinoEthnicity, true);
+        assert.deepStrictEqual(['M', 'f', 'X', 'U', '', null].map(sexCode), ['male', 'female', null, null, null, null]);
+    });
+
+    it('converts grade levels to CEDS codes', function () {
+        assert.deepStrictEqual([-1, 0, 1, 12].map(gradeCode), ['TK', 'KG', '01', '12']);
+    });
+
+    it('writes the CSV bundle', function () {
+        var directory = path.join(os.tmpdir(), 'aeriesjs-oneroster-' + process.pid);
+        return aeriesjs.writeOneRosterCsv(bundle, directory).then(function (files) {
+            assert.deepStrictEqual(files.map(function (f) { return path.basename(f); }),
+                ['manifest.csv', 'orgs.csv', 'academicSessions.csv', 'courses.csv', 'classes.csv', 'users.csv', 'enrollments.csv', 'demographics.csv']);
+
+            var classes = fs.readFileSync(path.join(directory, 'classes.csv'), 'utf8').split('\r\n');
+            assert.strictEqual(classes[0], 'sourcedId,status,dateLastModified,title,grades,courseSourcedId,classCode,classType,location,schoolSourcedId,termSourcedIds,subjects,subjectCodes,periods');
+            assert.strictEqual(classes[2], '994-1002,,,Algebra 1 - Period 2,"09,10,11,12",0301,1002,scheduled,B2,994,"994-2019-F,994-2019-S",MTH,,2');
+
+            files.forEach(function (file) { fs.unlinkSync(file); });
+            fs.rmdirSync(directory);
+        });
+    });
+
+    it('converts references to GUIDRefs for JSON', function () {
+        var json = aeriesjs.toOneRosterJson(bundle, { baseUrl: 'https://sis.example.org/ims/oneroster/v1p1/' });
+        var enrollment = json.enrollments[0];
+        assert.deepStrictEqual(enrollment.class, { href: 'https://sis.example.org/ims/oneroster/v1p1/classes/994-1001', sourcedId: '994-1001', type: 'class' });
+        assert.strictEqual(enrollment.classSourcedId, undefined);
+        assert.strictEqual(json.academicSessions[1].parent.type, 'academicSession');
+        assert.strictEqual(json.orgs[1].parent.type, 'org');
+        assert.strictEqual(json.users[0].orgs[0].sourcedId, '994');
+    });
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+let assert = require('assert');
+let fs = require('fs');
+let os = require('os');
+let path = require('path');
+let aeriesjs = require('../aeriesjs');
+let { useMockServer } = require('./helpers');
+
+describe('export profiles', function () {
+    var mock = useMockServer();
+    var data = null;
+    var directory = path.join(os.tmpdir(), 'aeriesjs-profiles-' + process.pid);
+
+    before(function () {
+        return mock.client().fetchRosterData().then(function (result) {
+            data = result;
+        });
+    });
+
+    afterEach(function () {
+        if (fs.existsSync(directory)) {
+            fs.readdirSync(directory).forEach(function (file) { fs.unlinkSync(path.join(directory, file)); });
+            fs.rmdirSync(directory);
+        }
+    });
+
+    function read(file) {
+        return fs.readFileSync(path.join(directory, file), 'utf8').split('\r\n');
+    }
+
+    it('writes the Clever CSVs', function () {
+        return mock.client().exportProfile('clever', directory, {}, data).then(function (files) {
+            assert.deepStrictEqual(files.map(function (f) { return path.basename(f); }),
+                ['schools.csv', 'students.csv', 'teachers.csv', 'sections.csv', 'enrollments.csv']);
+
+            var schools = read('schools.csv');
+            assert.strictEqual(schools[0], 'School_id,School_name,School_number,State_id,Low_grade,High_grade,Principal,Principal_email,School_address,School_city,School_state,School_zip,School_phone');
+            assert.strictEqual(schools[1], '994,Aeries High School,994,,9,12,,,1 Aeries Way,Anaheim,CA,92801,');
+
+            var students = read('students.csv');
+            assert.strictEqual(students[1], '994,99400001,1,,Alvarez,,Ava,9,F,09/14/2003,W,Y,,,,,,ava.alvarez@example.org,Maria Alvarez,7145550101,maria.alvarez@example.org,ava.alvarez@example.org');
+
+            var sections = read('sections.csv');
+            assert.strictEqual(sections[1], '994,994-1001,1234,,English 9 - Period 1,1001,,English 9,0105,1,Fall,08/15/2018,12/21/2018');
+            assert.strictEqual(sections[2].split(',').slice(0, 4).join(','), '994,994-1002,1235,1234');
+            assert.strictEqual(sections[2].split(',').slice(-3).join(','), 'Year,08/15/2018,06/07/2019');
+
+            assert.deepStrictEqual(read('enrollments.csv'), [
+                'School_id,Section_id,Student_id',
+                '994,994-1001,99400001',
+                '994,994-1001,99400002',
+                '994,994-1002,99400001',
+                '994,994-1002,99400003',
+                ''
+            ]);
+        });
+    });
+
+    it('writes OneRoster as a profile', function () {
+        return aeriesjs.runProfile('oneroster', data, directory).then(function (files) {
+            assert.strictEqual(path.basename(files[0]), 'manifest.csv');
+            assert.strictEqual(files.length, 8);
+        });
+    });
+
+    it('runs registered custom profiles', function () {
+        aeriesjs.registerProfile({
+            name: 'test-rostering',
+            format: 'tsv',
+            files: {
+                'people.tsv': {
+                    source: (rosterData) => rosterData.students.concat(rosterData.teachers),
+                    filter: (record) => record.SchoolCode === 990 || !!record.TeacherNumber,
+                    columns: [
+                        { header: 'id', value: (r) => r.PermanentID ? 'S' + r.PermanentID : 'T' + r.StaffID1 },
+                        { header: 'school', value: (r, context) => context.school(r.SchoolCode).Name },
+                        { header: 'name', field: 'LastName' }
+                    ]
+                }
+            }
+        });
+
+        return aeriesjs.runProfile('test-rostering', data, directory).then(function () {
+            assert.deepStrictEqual(fs.readFileSync(path.join(directory, 'people.tsv'), 'utf8').split('\n'), [
+                'id\tschool\tname',
+                'S99000001\tAeries Middle School\tDiaz',
+                'S99000002\tAeries Middle School\tEvans',
+                'T1234\tAeries High School\tHopper',
+                'T1235\tAeries High School\tTuring',
+                ''
+            ]);
+        });
+    });
+
+    it('rejects unknown profiles', function () {
+        return mock.client().exportProfile('ed-fi', directory, {}, data).then(function () {
+            assert.fail('Expected an error');
+        }, function (err) {
+            assert.ok(err instanceof TypeError);
+            assert.ok(/Unknown export profile "ed-fi"/.test(err.message));
+        });
+    });
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+let assert = require('assert');
+let { useMockServer } = require('./helpers');
+
+describe('query builder', function () {
+    var mock = useMockServer();
+
+    function lastRequest() {
+        return mock.server.requests[mock.server.requests.length - 1];
+    }
+
+    it('builds the same urls as the getters', function () {
+        var client = mock.client();
+        assert.strictEqual(client.school(994).students().grade(9).extended().url().href, client.makeApiUrl('v3', 'schools', 994, 'students', 'grade', 9, 'extended').href);
+        assert.strictEqual(client.school(994).sections(1001).roster().url().pathname, '/aeries/api/v1/schools/994/sections/1001/students/');
+        assert.strictEqual(client.school(994).contacts(null).url().pathname, '/aeries/api/v3/schools/994/contacts/');
+    });
+
+    it('resolves with the body and status code', function () {
+        return mock.client().school(994).students().grade(9).extended().get().then(function (result) {
+            assert.strictEqual(result.statusCode, 200);
+            assert.deepStrictEqual(result.body.map(function (s) { return s.PermanentID; }), [99400001]);
+            assert.strictEqual(result.body[0].Contacts[0].FirstName, 'Maria');
+        });
+    });
+
+    it('encodes query parameters', function () {
+        var client = mock.client();
+        var url = client.school(994).students(99400001).programs().code(['144', 'A&B']).url();
+        assert.strictEqual(url.search, '?code=144%2CA%26B');
+
+        return client.school(994).attendance(99400001).between(new Date(2018, 7, 1), '2018-09-01').get().then(function () {
+            assert.strictEqual(lastRequest().query.get('startDate'), '20180801');
+            assert.strictEqual(lastRequest().query.get('endDate'), '20180901');
+        });
+    });
+
+    it('picks fields from each record', function (done) {
+        mock.client().school(994).students().select('PermanentID', 'LastName').get(function (err, body, statusCode) {
+            assert.ifError(err);
+            assert.strictEqual(statusCode, 200);
+            assert.deepStrictEqual(body[0], { PermanentID: 99400001, LastName: 'Alvarez' });
+            done();
+        });
+    });
+
+    it('streams with the selected fields', function () {
+        var records = [];
+        return new Promise(function (resolve, reject) {
+            mock.client().school(994).contacts().select(['StudentID']).stream()
+                .on('data', function (record) { records.push(record); })
+                .on('error', reject)
+                .on('end', resolve);
+        }).then(function () {
+            assert.deepStrictEqual(records, [{ StudentID: 99400001 }, { StudentID: 99400002 }, { StudentID: 99400003 }]);
+        });
+    });
+
+    it('is only sent by get or stream', function () {
+        var client = mock.client();
+        var count = mock.server.requests.length;
+        var query = client.school(994).students();
+
+        assert.strictEqual(typeof query.then, 'undefined');
+        return Promise.resolve(query).then(function (resolved) {
+            assert.strictEqual(resolved, query);
+            return query;
+        }).then(function () {
+            assert.strictEqual(mock.server.requests.length, count);
+        });
+    });
+
+    it('leaves the base query unchanged', function () {
+        var school = mock.client().school(994);
+        school.students().grade(9);
+        assert.strictEqual(school.url().pathname, '/aeries/api/v3/schools/994/');
+    });
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+let assert = require('assert');
+let fs = require('fs');
+let os = require('os');
+let path = require('path');
+let aeriesjs = require('../aeriesjs');
+let { respond } = require('../lib/mock-server');
+let { useMockServer } = require('./helpers');
+
+describe('redaction profiles', function () {
+    var mock = useMockServer();
+
+    function collect(stream) {
+        var records = [];
+        return new Promise(function (resolve, reject) {
+            stream.on('data', function (record) { records.push(record); }).on('error', reject).on('end', function () { resolve(records); });
+        });
+    }
+
+    it('keeps only directory information, including in extended records', function () {
+        var client = mock.client({ redaction: 'directory' });
+
+        return client.getStudentByIdExtended(994, 99400001).then(function (result) {
+            var student = result.body[0];
+            assert.strictEqual(student.FirstName, 'Ava');
+            assert.strictEqual(student.Grade, 9);
+            assert.strictEqual(student.EthnicityCode, undefined);
+            assert.strictEqual(student.RaceCode1, undefined);
+            assert.strictEqual(student.Contacts, undefined);
+        });
+    });
+
+    it('withholds other endpoints and passes reference data through', function () {
+        var client = mock.client().withOptions({ redaction: 'directory' });
+
+        return Promise.all([client.getContacts(994), client.getSchools(), client.getStudents(994)]).then(function (results) {
+            assert.deepStrictEqual(results[0].body, []);
+            assert.strictEqual(results[1].body[0].Address, '1 Aeries Way');
+            return Promise.all([collect(client.streamContacts(994)), collect(client.streamStudents(994))]);
+        }).then(function (streamed) {
+            assert.deepStrictEqual(streamed[0], []);
+            assert.strictEqual(streamed[1].length, 3);
+            assert.strictEqual(streamed[1][0].RaceCode1, undefined);
+        });
+    });
+
+    it('removes discipline, health and fees at any depth', function () {
+        mock.server.setFixture('v3/schools/994/students/99400009/extended', [{
+            PermanentID: 99400009, FirstName: 'Zoe', Grade: 11,
+            HealthConditions: [{ Code: 'ASTH' }],
+            Fees: [{ Amount: 20 }],
+            Contacts: [{ FirstName: 'Ana', MedicalReleaseOnFile: true }],
+            Programs: [{ ProgramCode: 144, DisciplineReferral: 'Y' }]
+        }]);
+        mock.server.setFixture('v3/schools/994/assertivediscipline/99400009', [{ PermanentID: 99400009, ViolationCode1: '48900' }]);
+        var client = mock.client({ redaction: 'no-discipline-health-fees' });
+
+        return Promise.all([client.getStudentByIdExtended(994, 99400009), client.getAssertiveDisciplineById(994, 99400009)]).then(function (results) {
+            assert.deepStrictEqual(results[0].body, [{ PermanentID: 99400009, FirstName: 'Zoe', Grade: 11, Contacts: [{ FirstName: 'Ana' }], Programs: [{ ProgramCode: 144 }] }]);
+            assert.deepStrictEqual(results[1].body, []);
+            return client.withOptions({ redaction: false }).getAssertiveDisciplineById(994, 99400009);
+        }).then(function (result) {
+            assert.strictEqual(result.body[0].ViolationCode1, '48900');
+        });
+    });
+
+    it('loads custom profiles from JSON', function () {
+        var file = path.join(os.tmpdir(), 'aeriesjs-redaction-' + process.pid + '.json');
+        fs.writeFileSync(file, JSON.stringify([{
+            name: 'vendor',
+            extends: 'directory',
+            allow: ['Contacts.FirstName', 'Contacts.LastName'],
+            deny: ['Birthdate', 'Mailing*'],
+            replacement: null
+        }]));
+
+        assert.deepStrictEqual(aeriesjs.loadRedactionProfiles(file), ['vendor']);
+        fs.unlinkSync(file);
+
+        return mock.client({ redaction: 'vendor', normalize: { camelCase: true } }).getStudentByIdExtended(994, 99400001).then(function (result) {
+            var student = result.body[0];
+            assert.strictEqual(student.firstName, 'Ava');
+            assert.strictEqual(student.birthdate, null);
+            assert.strictEqual(student.raceCode1, null);
+            assert.deepStrictEqual(student.contacts.map(function (c) { return [c.firstName, c.lastName, c.emailAddress]; }), [['Maria', 'Alvarez', null]]);
+        });
+    });
+
+    it('rejects unknown and malformed profiles', function () {
+        assert.throws(function () { mock.client({ redaction: 'nope' }); }, /Unknown redaction profile "nope"/);
+        assert.throws(function () { aeriesjs.registerRedactionProfile({ name: 'bad', deny: 'Fees' }); }, TypeError);
+        assert.deepStrictEqual(aeriesjs.applyRedactionProfile({ FirstName: 'Ava', Fees: [1] }, { name: 'inline', deny: ['fees'] }, 'https://x/api/v3/schools/994/students/1/'), { FirstName: 'Ava' });
+    });
+
+    it('leaves error bodies alone', function () {
+        mock.server.setFixture('v3/schools/994/students/99400008', respond(404, { Message: 'Student 99400008 was not found.' }));
+        return mock.client({ redaction: 'directory' }).getStudentById(994, 99400008).then(function () {
+            assert.fail('Expected an error');
+        }, function (err) {
+            assert.ok(err instanceof aeriesjs.AeriesNotFoundError);
+            assert.ok(/was not found/.test(err.message));
+        });
+    });
+});
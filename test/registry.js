@@ -0,0 +1,126 @@
+'use strict';
+
+let assert = require('assert');
+let fs = require('fs');
+let os = require('os');
+let path = require('path');
+let aeriesjs = require('../aeriesjs');
+let { createFixtures, DEMO_CERTIFICATE } = require('../lib/mock-server');
+let { useMockServer } = require('./helpers');
+
+describe('ClientRegistry', function () {
+    var north = useMockServer();
+    var southFixtures = createFixtures();
+    southFixtures['v3/schools'] = [{ SchoolCode: 10, Name: 'South High School', InactiveStatusCode: '' }];
+    var south = useMockServer({ certificate: 'south-cert', fixtures: southFixtures });
+
+    function createRegistry(options) {
+        var registry = new aeriesjs.ClientRegistry(options);
+        registry.register('north', { url: north.server.url, certificate: DEMO_CERTIFICATE });
+        registry.register('south', { url: south.server.url, certificate: 'south-cert' });
+        return registry;
+    }
+
+    it('keeps a separate client for each district', function () {
+        var registry = createRegistry({ defaults: { timeout: 5000, cache: true, limits: { maxConcurrent: 2 } } });
+        var northClient = registry.get('north');
+        var southClient = registry.get('south');
+
+        assert.deepStrictEqual(registry.districtIds, ['north', 'south']);
+        assert.strictEqual(southClient.certificate, 'south-cert');
+        assert.strictEqual(southClient.options.timeout, 5000);
+        assert.notStrictEqual(northClient.cache, southClient.cache);
+        assert.notStrictEqual(northClient.scheduler, southClient.scheduler);
+        assert.throws(function () { registry.get('east'); }, /Unknown district "east"/);
+    });
+
+    it('keeps each district\'s cache files in its own directory', function () {
+        var registry = createRegistry({ defaults: { cache: true }, cacheDirectory: path.join(os.tmpdir(), 'aeriesjs-cache') });
+        assert.ok(registry.get('south').cache.store instanceof aeriesjs.FileCacheStore);
+        assert.strictEqual(registry.get('south').cache.store.directory, path.join(os.tmpdir(), 'aeriesjs-cache', 'south'));
+    });
+
+    it('creates a cache store for each district and refuses a shared one', function () {
+        var created = [];
+        var registry = createRegistry({ defaults: { cache: { ttl: { schools: 1000 } } }, cacheStore: function (districtId) {
+            created.push(districtId);
+            return new aeriesjs.MemoryCacheStore();
+        } });
+        assert.deepStrictEqual(created, ['north', 'south']);
+        assert.notStrictEqual(registry.get('north').cache.store, registry.get('south').cache.store);
+
+        var shared = new aeriesjs.ClientRegistry({ defaults: { cache: { store: new aeriesjs.MemoryCacheStore() } } });
+        assert.throws(function () {
+            shared.register('north', { url: north.server.url, certificate: DEMO_CERTIFICATE });
+        }, /would be shared by every district/);
+    });
+
+    it('closes the connections of replaced and removed clients', function () {
+        var registry = createRegistry();
+        var closed = [];
+        ['north', 'south'].forEach(function (id) {
+            var transport = registry.get(id).transport;
+            var destroy = transport.destroy;
+            transport.destroy = function () {
+                closed.push(id);
+                destroy.call(transport);
+            };
+        });
+
+        registry.register('north', { url: north.server.url, certificate: DEMO_CERTIFICATE });
+        assert.strictEqual(registry.remove('south'), true);
+        assert.deepStrictEqual(closed, ['north', 'south']);
+        return registry.get('north').getSchools().then(function (result) {
+            assert.strictEqual(result.statusCode, 200);
+        });
+    });
+
+    it('calls every district and tags the records', function () {
+        return createRegistry().forEachDistrict(function (client) {
+            return client.getSchools();
+        }).then(function (result) {
+            assert.deepStrictEqual(result.districts, ['north', 'south']);
+            assert.deepStrictEqual(result.records.map(function (s) { return s.DistrictID + ':' + s.SchoolCode; }),
+                ['north:994', 'north:990', 'north:999', 'south:10']);
+            assert.deepStrictEqual(result.errors, []);
+        });
+    });
+
+    it('collects the districts that fail', function () {
+        var registry = createRegistry();
+        registry.register('east', { url: north.server.url, certificate: 'wrong' });
+
+        return registry.forEachDistrict(function (client) {
+            return client.getSchool(994);
+        }, { districts: ['east', 'north'] }).then(function (result) {
+            assert.strictEqual(result.records.length, 1);
+            assert.strictEqual(result.errors[0].districtId, 'east');
+            assert.ok(result.errors[0].error instanceof aeriesjs.AeriesAuthenticationError);
+        });
+    });
+
+    it('loads districts from a file and the environment', function () {
+        var file = path.join(os.tmpdir(), 'aeriesjs-districts-' + process.pid + '.json');
+        fs.writeFileSync(file, JSON.stringify({
+            defaults: { timeout: 1000 },
+            districts: { north: { url: north.server.url, certificate: DEMO_CERTIFICATE, verifyCerts: false } }
+        }));
+
+        var registry = new aeriesjs.ClientRegistry();
+        try {
+            registry.loadFile(file).loadEnv({ AERIES_DISTRICTS: 'south-usd', AERIES_SOUTH_USD_URL: south.server.url, AERIES_SOUTH_USD_CERT: 'south-cert' });
+        }
+        finally {
+            fs.unlinkSync(file);
+        }
+
+        assert.deepStrictEqual(registry.districtIds, ['north', 'south-usd']);
+        assert.strictEqual(registry.get('north').options.timeout, 1000);
+        assert.strictEqual(registry.get('north').options.tls.rejectUnauthorized, false);
+        assert.throws(function () { registry.loadEnv({ AERIES_DISTRICTS: 'west' }); }, /AERIES_WEST_URL/);
+
+        return registry.get('south-usd').getSchools().then(function (result) {
+            assert.strictEqual(result.body[0].SchoolCode, 10);
+        });
+    });
+});
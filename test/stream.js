@@ -0,0 +1,69 @@
+'use strict';
+
+let assert = require('assert');
+let aeriesjs = require('../aeriesjs');
+let { respond } = require('../lib/mock-server');
+let { useMockServer } = require('./helpers');
+
+/**
+ * Reads every record from a stream.
+ * @param {Readable} stream
+ * @returns {Promise<Object[]>}
+ */
+function collect(stream) {
+    return new Promise(function (resolve, reject) {
+        var records = [];
+        stream.on('data', function (record) { records.push(record); });
+        stream.on('error', reject);
+        stream.on('end', function () { resolve(records); });
+    });
+}
+
+describe('streaming', function () {
+    var mock = useMockServer();
+
+    it('emits each record of an array', function () {
+        return collect(mock.client().streamStudents(994)).then(function (records) {
+            assert.deepStrictEqual(records.map(function (r) { return r.PermanentID; }), [99400001, 99400002, 99400003]);
+        });
+    });
+
+    it('handles large responses', function () {
+        var students = [];
+        for (var i = 0; i < 5000; i++) {
+            students.push({ SchoolCode: 990, PermanentID: 99010000 + i, LastName: 'Student "' + i + '"' });
+        }
+        mock.server.setFixture('v3/schools/990/students', students);
+
+        return collect(mock.client().streamStudents(990)).then(function (records) {
+            assert.strictEqual(records.length, 5000);
+            assert.strictEqual(records[4999].LastName, 'Student "4999"');
+            mock.server.removeFixture('v3/schools/990/students');
+        });
+    });
+
+    it('normalizes each record', function () {
+        return collect(mock.client({ normalize: true }).streamTranscript(994, 99400003)).then(function (records) {
+            assert.strictEqual(records.length, 2);
+            assert.strictEqual(records[0].CourseID, '0105');
+        });
+    });
+
+    it('emits response errors', function () {
+        return collect(mock.client().streamContacts(123)).then(function () {
+            assert.fail('Expected an error');
+        }, function (err) {
+            assert.ok(err instanceof aeriesjs.AeriesNotFoundError);
+        });
+    });
+
+    it('emits parse errors', function () {
+        mock.server.setFixture('v3/schools/994/attendance', respond(200, '[{"StudentID": 1}, {"broken'));
+        return collect(mock.client().streamAttendance(994)).then(function () {
+            assert.fail('Expected an error');
+        }, function (err) {
+            assert.ok(err instanceof aeriesjs.AeriesParseError);
+            mock.server.removeFixture('v3/schools/994/attendance');
+        });
+    });
+});
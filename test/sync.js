@@ -0,0 +1,51 @@
+'use strict';
+
+let assert = require('assert');
+let aeriesjs = require('../aeriesjs');
+let { useMockServer } = require('./helpers');
+
+describe('ChangeSync', function () {
+    var mock = useMockServer();
+
+    it('fetches changed records and marks missing ones as deleted', function () {
+        var store = new aeriesjs.MemoryCheckpointStore();
+        var sync = mock.client().createChangeSync({ areas: ['student', 'course'], store: store, initialSince: new Date(2018, 8, 1) });
+        var records = [];
+
+        return sync.run(function (record) {
+            records.push(record);
+        }).then(function (summary) {
+            assert.strictEqual(summary.count, 3);
+
+            var students = records.filter(function (r) { return r.type === 'student'; });
+            assert.deepStrictEqual(students.map(function (r) { return r.op; }).sort(), ['delete', 'upsert']);
+            assert.strictEqual(records.filter(function (r) { return r.type === 'course'; })[0].record.Title, 'English 9');
+            return store.get('aeriesjs');
+        }).then(function (checkpoint) {
+            assert.ok(checkpoint);
+        });
+    });
+
+    it('passes the checkpoint to the DataChanges endpoints', function () {
+        var sync = mock.client().createChangeSync({ areas: ['staff'] });
+        return sync.run(function () { }, new Date(2018, 8, 1, 8, 30)).then(function () {
+            assert.ok(mock.server.requests.some(function (r) { return r.key === 'v2/staffdatachanges/2018/9/1/8/30'; }));
+        });
+    });
+
+    it('does not save the checkpoint when the handler fails', function () {
+        var store = new aeriesjs.MemoryCheckpointStore();
+        var sync = mock.client().createChangeSync({ areas: ['section'], store: store, initialSince: new Date(2018, 8, 1) });
+
+        return sync.run(function () {
+            throw new Error('Handler failed');
+        }).then(function () {
+            assert.fail('Expected an error');
+        }, function (err) {
+            assert.strictEqual(err.message, 'Handler failed');
+            return store.get('aeriesjs');
+        }).then(function (checkpoint) {
+            assert.strictEqual(checkpoint, null);
+        });
+    });
+});
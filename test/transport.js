@@ -0,0 +1,86 @@
+'use strict';
+
+let assert = require('assert');
+let zlib = require('zlib');
+let { Readable } = require('stream');
+let aeriesjs = require('../aeriesjs');
+let { respond } = require('../lib/mock-server');
+let { useMockServer } = require('./helpers');
+
+describe('transport', function () {
+    var mock = useMockServer();
+
+    it('reuses connections between calls', function () {
+        var client = mock.client();
+        var connections = 0;
+        function onConnection() { connections++; }
+        mock.server.server.on('connection', onConnection);
+
+        return client.getSchools().then(function () {
+            return client.getSchool(994);
+        }).then(function () {
+            return client.getStudents(994);
+        }).then(function () {
+            mock.server.server.removeListener('connection', onConnection);
+            client.transport.destroy();
+            assert.strictEqual(connections, 1);
+        });
+    });
+
+    it('decompresses gzip and deflate responses', function () {
+        var body = JSON.stringify([{ SchoolCode: 994, Name: 'Aeries High School' }]);
+        mock.server.setFixture('v3/schools/991', respond(200, zlib.gzipSync(body), { 'Content-Encoding': 'gzip' }));
+        mock.server.setFixture('v3/schools/992', respond(200, zlib.deflateSync(body), { 'Content-Encoding': 'deflate' }));
+
+        var client = mock.client();
+        return Promise.all([client.getSchool(991), client.getSchool(992)]).then(function (results) {
+            assert.strictEqual(results[0].body[0].Name, 'Aeries High School');
+            assert.strictEqual(results[1].body[0].Name, 'Aeries High School');
+            assert.strictEqual(mock.server.requests[mock.server.requests.length - 1].headers['accept-encoding'], 'gzip, deflate');
+        });
+    });
+
+    it('exposes the response headers', function (done) {
+        mock.server.setFixture('v3/schools/993', respond(429, { Message: 'Slow down.' }, { 'Retry-After': '2' }));
+        var client = mock.client();
+
+        client.getSchools().then(function (result) {
+            assert.ok(/application\/json/.test(result.headers['content-type']));
+            client.getSchool(993, function (err, body, statusCode, headers) {
+                assert.strictEqual(statusCode, 429);
+                assert.strictEqual(err.headers['retry-after'], '2');
+                assert.strictEqual(headers['retry-after'], '2');
+                done();
+            });
+        }).catch(done);
+    });
+
+    it('follows redirects for GET requests', function () {
+        mock.server.setFixture('v3/schools/995', respond(302, null, { Location: mock.server.url + 'api/v3/schools/994/' }));
+        return mock.client().getSchool(995).then(function (result) {
+            assert.strictEqual(result.body.SchoolCode, 994);
+        });
+    });
+
+    it('sends requests through a custom transport', function () {
+        var sent = [];
+        var transport = {
+            request: function (options, callback) {
+                sent.push(options);
+                setImmediate(callback, null, {
+                    statusCode: 200,
+                    headers: { 'content-type': 'application/json' },
+                    body: Readable.from([JSON.stringify([{ SchoolCode: 1, Name: 'Test School' }])])
+                });
+                return { abort: function () { } };
+            }
+        };
+
+        var client = new aeriesjs({ url: 'https://aeries.example.org/aeries/', certificate: 'test', transport: transport });
+        return client.getSchools().then(function (result) {
+            assert.strictEqual(result.body[0].Name, 'Test School');
+            assert.strictEqual(sent[0].url, 'https://aeries.example.org/aeries/api/v3/schools/');
+            assert.strictEqual(sent[0].headers['AERIES-CERT'], 'test');
+        });
+    });
+});